@@ -1,4 +1,4 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import MapView from './components/Map/MapView';
 import AddressInput from './components/Controls/AddressInput';
 import StoreList from './components/Controls/StoreList';
@@ -7,14 +7,47 @@ import SubwayInstructions from './components/RoutePanel/SubwayInstructions';
 import POIAnalysis from './components/Analysis/POIAnalysis';
 import LocationScore from './components/Analysis/LocationScore';
 import TrafficChart from './components/Analysis/TrafficChart';
+import ScoringProfileEditor from './components/Analysis/ScoringProfileEditor';
+import ScoreLeaderboard from './components/Analysis/ScoreLeaderboard';
+import SiteComparison from './components/Analysis/SiteComparison';
+import FinancialForecast from './components/Analysis/FinancialForecast';
+import MarketShare from './components/Analysis/MarketShare';
+import WhiteSpaceFinder from './components/Analysis/WhiteSpaceFinder';
+import Cannibalization from './components/Analysis/Cannibalization';
+import PortfolioOptimizer from './components/Analysis/PortfolioOptimizer';
+import ScoreHistory from './components/Analysis/ScoreHistory';
+import ModelComparison from './components/Analysis/ModelComparison';
+import WeightCalibration from './components/Analysis/WeightCalibration';
+import LookalikeFinder from './components/Analysis/LookalikeFinder';
+import ScenarioEditor from './components/Analysis/ScenarioEditor';
 import { useStores } from './hooks/useStores';
 import { useRoute } from './hooks/useRoute';
 import { useCompetitors } from './hooks/useCompetitors';
 import { usePOI } from './hooks/usePOI';
 import { useSubway } from './hooks/useSubway';
-import { calculateFootTrafficScore, generateHeatmapData } from './services/heatmap';
+import { useScoringProfiles } from './hooks/useScoringProfiles';
+import { useWhiteSpace } from './hooks/useWhiteSpace';
+import { useOurStores } from './hooks/useOurStores';
+import { useScoreHistory } from './hooks/useScoreHistory';
+import { useCalibration } from './hooks/useCalibration';
+import { useLookalike } from './hooks/useLookalike';
+import { useBenchmarks } from './hooks/useBenchmarks';
+import { useScenario } from './hooks/useScenario';
+import { useScouts } from './hooks/useScouts';
+import {
+  calculateFootTrafficScore,
+  estimateDailyCustomers,
+  generateHeatmapData,
+  FORECAST_COMPETITOR_RADIUS_METERS
+} from './services/heatmap';
 import { analyzePOIDistribution } from './services/poi';
-import { calculateLocationScore, generateDailyTrafficData, generateWeeklyPattern } from './services/scoring';
+import { filterCompetitorsNearLocation } from './services/competitors';
+import { scoreStores, generateDailyTrafficData, generateWeeklyPattern } from './services/scoring';
+import { calculateHuffMarketShare } from './services/huff';
+import { analyzeCannibalization } from './services/cannibalization';
+import { benchmarkScore } from './services/benchmarks';
+import { runScenario } from './services/scenario';
+import { formatClock } from './services/schedule';
 
 function App() {
   const {
@@ -23,30 +56,114 @@ function App() {
     isLoading,
     error,
     addStore,
+    addStoreAtCoordinates,
     removeStore,
+    updateStore,
     updateCurrentLocation,
     getCurrentPosition
   } = useStores();
 
+  const {
+    scouts: teammates,
+    isLoading: scoutsLoading,
+    addScout,
+    removeScout
+  } = useScouts();
+
   const {
     optimizedRoute,
     routeStats,
     isOptimizing,
+    tourType,
+    setTourType,
+    departAt,
+    setDepartAt,
+    multiDay,
+    setMultiDay,
+    dayEnd,
+    setDayEnd,
+    teamMode,
+    setTeamMode,
     recalculateRoute
-  } = useRoute(currentLocation, stores);
+  } = useRoute(currentLocation, stores, teammates);
+
+  // One coloured route per scout or per day when the plan is split
+  const routeSplits = routeStats?.teams ?? routeStats?.days ?? null;
+  const routeGroups = useMemo(() => (routeSplits ?? []).map(split => ({
+    key:      split.scout ? `scout-${split.scout.id}` : `day-${split.index}`,
+    label:    split.scout ? split.scout.name : `第 ${split.index + 1} 天`,
+    route:    split.route,
+    color:    split.color,
+    start:    split.scout?.coordinates ?? null,
+    stats:    split.stats,
+    schedule: split.schedule
+  })), [routeSplits]);
+
+  const {
+    profiles,
+    activeProfile,
+    selectProfile,
+    saveProfile,
+    saveProfileAs,
+    deleteProfile
+  } = useScoringProfiles();
+
+  const {
+    ourStores,
+    isLoading: ourStoresLoading,
+    addOurStore,
+    markAsOpened,
+    removeOurStore
+  } = useOurStores();
+
+  const {
+    recordRuns,
+    getStoreHistory,
+    clearStoreHistory
+  } = useScoreHistory();
+
+  const calibration = useCalibration();
+  const lookalike = useLookalike();
+  const whatIf = useScenario();
+
+  const {
+    suggestions,
+    area: searchArea,
+    progress: whiteSpaceProgress,
+    isRunning: whiteSpaceRunning,
+    summary: whiteSpaceSummary,
+    error: whiteSpaceError,
+    setArea: setSearchArea,
+    runSearch,
+    dismissSuggestion,
+    clearSuggestions
+  } = useWhiteSpace();
 
   const [showCompetitors, setShowCompetitors] = useState(false);
   const [showSubway, setShowSubway] = useState(false);
   const [showPOIZones, setShowPOIZones] = useState(false);
   const [showHeatmap, setShowHeatmap] = useState(false);
   const [showScoring, setShowScoring] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
+  const [showFinancials, setShowFinancials] = useState(false);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showModelCompare, setShowModelCompare] = useState(false);
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [showLookalike, setShowLookalike] = useState(false);
+  const [showScenario, setShowScenario] = useState(false);
   const [selectedStoreId, setSelectedStoreId] = useState(null);
+  const [showWhiteSpace, setShowWhiteSpace] = useState(false);
+  const [showOurStores, setShowOurStores] = useState(false);
+  const [isDrawingArea, setIsDrawingArea] = useState(false);
 
+  // Scoring needs competitors whether or not the map layer shows them
   const {
     competitors,
     isLoading: competitorsLoading,
+    isLoaded: competitorsLoaded,
     refreshCompetitors
-  } = useCompetitors(stores, showCompetitors);
+  } = useCompetitors(stores, showCompetitors || showScoring);
 
   const {
     pois,
@@ -62,7 +179,14 @@ function App() {
     nearbyStations,
     isCalculating: subwayCalculating,
     getNearestStation
-  } = useSubway(currentLocation, stores, optimizedRoute);
+  } = useSubway(
+    currentLocation,
+    stores,
+    // Subway legs cover one route from the current location; a plan split
+    // into days or scouts has several (and teammates start elsewhere), so none
+    routeGroups.length > 0 ? null : optimizedRoute,
+    tourType === 'loop'
+  );
 
   // Calculate foot traffic score
   const footTrafficScore = useMemo(() => {
@@ -70,6 +194,18 @@ function App() {
     return calculateFootTrafficScore(pois, currentLocation.coordinates.lat, currentLocation.coordinates.lng);
   }, [pois, currentLocation]);
 
+  // Daily customer range (P10/P50/P90), seeded by location so it is stable across renders
+  const customerForecast = useMemo(() => {
+    if (!footTrafficScore || !currentLocation) return null;
+    const { lat, lng } = currentLocation.coordinates;
+    const nearbyCompetitors = filterCompetitorsNearLocation(
+      competitors, currentLocation.coordinates, FORECAST_COMPETITOR_RADIUS_METERS
+    );
+    return estimateDailyCustomers(footTrafficScore, nearbyCompetitors.length, {
+      seed: `${lat.toFixed(5)},${lng.toFixed(5)}`
+    });
+  }, [footTrafficScore, currentLocation, competitors]);
+
   // Generate heatmap data
   const heatmapData = useMemo(() => {
     if (!showHeatmap || !currentLocation || pois.length === 0) return [];
@@ -107,39 +243,149 @@ function App() {
     return getPOIsNearStore(selectedStore.id) || [];
   }, [selectedStore, getPOIsNearStore, pois]);
 
-  // Competitors near the selected store (within ~322m / 0.2 miles)
-  const selectedStoreCompetitors = useMemo(() => {
-    if (!selectedStore || !competitors.length) return [];
-    return competitors.filter(c => {
-      if (!c.coordinates) return false;
-      const dlat = (c.coordinates.lat - selectedStore.coordinates.lat) * 111000;
-      const dlng = (c.coordinates.lng - selectedStore.coordinates.lng) * 85000;
-      return Math.sqrt(dlat * dlat + dlng * dlng) <= 322;
+  // Batch score every store (real MTA data via store coordinates) for the leaderboard
+  const storeScores = useMemo(() => {
+    if (!showScoring || !stores.length) return [];
+    return scoreStores(stores, {
+      getPOIs: store => getPOIsNearStore(store.id),
+      // Competitors out to the outer walking ring (OUTER_RING_METERS)
+      getCompetitors: store => filterCompetitorsNearLocation(competitors, store.coordinates),
+      profile: activeProfile
+    });
+  }, [showScoring, stores, pois, competitors, getPOIsNearStore, activeProfile]);
+
+  // Snapshot every scoring run once its inputs have finished loading (scoring
+  // always loads competitors, so no run is saved as competitor-free)
+  useEffect(() => {
+    if (!competitorsLoaded || poisLoading || competitorsLoading) return;
+    recordRuns(storeScores);
+  }, [storeScores, competitorsLoaded, poisLoading, competitorsLoading, recordRuns]);
+
+  // Grade per store, used to colour map markers while scoring is on
+  const storeGrades = useMemo(() => {
+    const grades = {};
+    storeScores.forEach(({ store, result }) => { grades[store.id] = result.grade; });
+    return grades;
+  }, [storeScores]);
+
+  // Comprehensive investment score for the selected store
+  const selectedEntry = useMemo(() => {
+    if (!selectedStore) return null;
+    return storeScores.find(entry => entry.store.id === selectedStore.id) ?? null;
+  }, [storeScores, selectedStore]);
+  const scoreResult = selectedEntry?.result ?? null;
+
+  // Percentile of each dimension against NYC stations + reference grid
+  const { reference: benchmarkReference, isBuilding: benchmarksBuilding } = useBenchmarks({
+    pois,
+    competitors,
+    profile: activeProfile,
+    enabled: showScoring && !!selectedStore && !poisLoading
+  });
+  const benchmarks = useMemo(() => {
+    if (!benchmarkReference || !scoreResult) return null;
+    return benchmarkScore(scoreResult, benchmarkReference, selectedStore.coordinates);
+  }, [benchmarkReference, scoreResult, selectedStore]);
+
+  // Huff market share per store — competitors split demand from nearby stations and POIs
+  const marketShares = useMemo(() => {
+    const shares = {};
+    storeScores.forEach(({ store, pois: storePOIs }) => {
+      shares[store.id] = calculateHuffMarketShare({
+        site: store.coordinates,
+        competitors,
+        pois: storePOIs,
+        ownStores: ourStores,
+        profile: activeProfile
+      });
+    });
+    return shares;
+  }, [storeScores, competitors, ourStores, activeProfile]);
+
+  // Volume the selected candidate would move away from our opened stores
+  const cannibalization = useMemo(() => {
+    if (!showScoring || !selectedStore || !scoreResult) return null;
+    return analyzeCannibalization({
+      candidate: selectedStore,
+      ourStores,
+      competitors,
+      pois,
+      profile: activeProfile,
+      avgTicket: selectedStore.financials?.avgTicket
     });
-  }, [selectedStore, competitors]);
-
-  // Comprehensive investment score for selected store (real MTA data via storeLat/storeLng)
-  const scoreResult = useMemo(() => {
-    if (!showScoring || !selectedStore) return null;
-    return calculateLocationScore({
-      pois: selectedStorePOIs,
-      competitors: selectedStoreCompetitors,
-      storeLat: selectedStore.coordinates.lat,
-      storeLng: selectedStore.coordinates.lng
+  }, [showScoring, selectedStore, scoreResult, ourStores, competitors, pois, activeProfile]);
+
+  const selectedMarketShare = selectedStore ? marketShares[selectedStore.id] ?? null : null;
+
+  // What-if: baseline vs edited competitors / POIs / stations for the selected store
+  const scenarioSite = showScoring && showScenario ? selectedStore : null;
+  const scenarioAnalysis = useMemo(() => {
+    if (!scenarioSite || !activeProfile) return null;
+    return runScenario({
+      site: scenarioSite,
+      pois,
+      competitors,
+      ownStores: ourStores,
+      profile: activeProfile,
+      scenario: whatIf.scenario
     });
-  }, [showScoring, selectedStore, selectedStorePOIs, selectedStoreCompetitors]);
+  }, [scenarioSite, pois, competitors, ourStores, activeProfile, whatIf.scenario]);
 
-  // Daily and weekly traffic data — pass mtaInfo from scoreResult for real ridership scaling
+  // Daily and weekly traffic data — the hourly curve is scaled to the Huff visitor
+  // estimate when there is demand to split, otherwise to MTA ridership / POIs
   const dailyTraffic = useMemo(() => {
     if (!showScoring || !selectedStore) return [];
-    return generateDailyTrafficData(selectedStorePOIs, false, scoreResult?.mtaInfo ?? null);
-  }, [showScoring, selectedStore, selectedStorePOIs, scoreResult]);
+    return generateDailyTrafficData(selectedStorePOIs, false, scoreResult?.mtaInfo ?? null, {
+      dailyVisitors: selectedMarketShare?.totalDemand ? selectedMarketShare.visitors : null
+    });
+  }, [showScoring, selectedStore, selectedStorePOIs, scoreResult, selectedMarketShare]);
 
   const weeklyPattern = useMemo(() => {
     if (!showScoring || !selectedStore) return [];
     return generateWeeklyPattern(selectedStorePOIs, scoreResult?.mtaInfo ?? null);
   }, [showScoring, selectedStore, selectedStorePOIs, scoreResult]);
 
+  // Save calibrated weights as a new profile (category / brand tables from the active one)
+  const handleApplyCalibration = async (weights, name) => {
+    await saveProfileAs({ ...activeProfile, weights: { ...activeProfile.weights, ...weights } }, name);
+  };
+
+  // Match candidates / grid cells against the chosen opened stores
+  const handleRunLookalike = ({ heroIds, includeGrid, cellMiles }) => {
+    lookalike.runMatch({
+      heroes:     ourStores.filter(s => heroIds.includes(s.id)),
+      candidates: storeScores,
+      pois,
+      competitors,
+      profile:    activeProfile,
+      includeGrid,
+      cellMiles
+    });
+  };
+
+  const handlePromoteLookalike = async (match) => {
+    const result = await addStoreAtCoordinates(
+      { lat: match.target.lat, lng: match.target.lng },
+      `相似 ${match.hero.name}`
+    );
+    if (result.success) lookalike.dismissMatch(match.target.id);
+  };
+
+  // Move the selected candidate into the opened-stores layer
+  const handleMarkOpened = async (store) => {
+    const result = await markAsOpened(store);
+    if (result.success) await removeStore(store.id);
+  };
+
+  // Promote a grid suggestion to a real store in one click
+  const handlePromoteSuggestion = async (suggestion) => {
+    const result = await addStoreAtCoordinates(
+      { lat: suggestion.lat, lng: suggestion.lng },
+      `空白点 #${suggestion.rank}`
+    );
+    if (result.success) dismissSuggestion(suggestion.id);
+  };
+
   return (
     <div className="app-container">
       {/* Sidebar */}
@@ -195,6 +441,86 @@ function App() {
                 <small>请先设置当前位置</small>
               </div>
             )}
+            <button
+              className={`btn btn-sm btn-block mt-1 ${showWhiteSpace ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setShowWhiteSpace(!showWhiteSpace)}
+            >
+              {showWhiteSpace ? '✓ 空白点搜索' : '🧭 空白点搜索'}
+            </button>
+          </div>
+
+          {/* Opened Cotti stores */}
+          <div className="card">
+            <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>🏬 已开业门店 ({ourStores.length})</span>
+              <button
+                className={`btn btn-sm ${showOurStores ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setShowOurStores(!showOurStores)}
+              >
+                {showOurStores ? '✓ 地图显示' : '地图显示'}
+              </button>
+            </div>
+            <AddressInput
+              placeholder="输入已开业门店地址"
+              buttonText="录入门店"
+              onSubmit={(address) => addOurStore(address)}
+              isLoading={ourStoresLoading}
+            />
+            {ourStores.length > 0 && (
+              <StoreList stores={ourStores} onRemoveStore={removeOurStore} />
+            )}
+          </div>
+
+          {/* White-space grid search */}
+          {showWhiteSpace && (
+            <WhiteSpaceFinder
+              suggestions={suggestions}
+              area={searchArea}
+              progress={whiteSpaceProgress}
+              isRunning={whiteSpaceRunning}
+              summary={whiteSpaceSummary}
+              error={whiteSpaceError}
+              isDrawingArea={isDrawingArea}
+              onToggleDrawing={() => setIsDrawingArea(!isDrawingArea)}
+              onClearArea={() => setSearchArea(null)}
+              onRun={({ cellMiles, limit }) => runSearch({
+                // Scouted candidates and opened stores both claim their area
+                stores: [...stores, ...ourStores],
+                pois,
+                competitors,
+                profile: activeProfile,
+                cellMiles,
+                limit
+              })}
+              onPromote={handlePromoteSuggestion}
+              onClear={clearSuggestions}
+            />
+          )}
+
+          {/* Scouting team */}
+          <div className="card">
+            <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>👥 团队分工 ({teammates.length + 1} 人)</span>
+              <button
+                className={`btn btn-sm ${teamMode ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setTeamMode(!teamMode)}
+                disabled={teammates.length === 0}
+              >
+                {teamMode ? '✓ 分工路线' : '分工路线'}
+              </button>
+            </div>
+            <AddressInput
+              placeholder="输入队员出发地址"
+              buttonText="添加队员"
+              onSubmit={(address) => addScout(address)}
+              isLoading={scoutsLoading}
+            />
+            {teammates.length > 0 && (
+              <StoreList stores={teammates} onRemoveStore={removeScout} />
+            )}
+            <div className="leaderboard-footnote">
+              当前位置为第一位队员；开启分工后每家店铺只分配给一人，按工作时长均衡
+            </div>
           </div>
 
           {/* Route Summary */}
@@ -202,6 +528,14 @@ function App() {
             <RouteSummary
               routeStats={routeStats}
               isOptimizing={isOptimizing}
+              tourType={tourType}
+              onTourTypeChange={setTourType}
+              departAt={departAt}
+              onDepartAtChange={setDepartAt}
+              multiDay={multiDay}
+              onMultiDayChange={setMultiDay}
+              dayEnd={dayEnd}
+              onDayEndChange={setDayEnd}
               onRecalculate={recalculateRoute}
             />
           )}
@@ -220,6 +554,7 @@ function App() {
               analysis={analysis}
               insights={insights}
               footTrafficScore={footTrafficScore}
+              customerForecast={customerForecast}
               isLoading={poisLoading}
             />
           )}
@@ -264,6 +599,63 @@ function App() {
                 </button>
               </div>
 
+              {showScoring && (
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '8px' }}>
+                  <button
+                    className={`btn btn-sm ${showComparison ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowComparison(!showComparison)}
+                    disabled={stores.length < 2}
+                  >
+                    {showComparison ? '✓ 多店对比' : '🆚 多店对比'}
+                  </button>
+                  <button
+                    className={`btn btn-sm ${showFinancials ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowFinancials(!showFinancials)}
+                  >
+                    {showFinancials ? '✓ 财务预测' : '💰 财务预测'}
+                  </button>
+                  <button
+                    className={`btn btn-sm ${showPortfolio ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowPortfolio(!showPortfolio)}
+                    disabled={stores.length < 2}
+                    style={{ gridColumn: '1 / -1' }}
+                  >
+                    {showPortfolio ? '✓ 开店组合优化' : '📦 开店组合优化'}
+                  </button>
+                  <button
+                    className={`btn btn-sm ${showHistory ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowHistory(!showHistory)}
+                  >
+                    {showHistory ? '✓ 评分历史' : '🕒 评分历史'}
+                  </button>
+                  <button
+                    className={`btn btn-sm ${showModelCompare ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowModelCompare(!showModelCompare)}
+                  >
+                    {showModelCompare ? '✓ 模型对比' : '🧬 模型对比'}
+                  </button>
+                  <button
+                    className={`btn btn-sm ${showCalibration ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowCalibration(!showCalibration)}
+                    style={{ gridColumn: '1 / -1' }}
+                  >
+                    {showCalibration ? '✓ 营收校准权重' : '📐 营收校准权重'}
+                  </button>
+                  <button
+                    className={`btn btn-sm ${showLookalike ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowLookalike(!showLookalike)}
+                  >
+                    {showLookalike ? '✓ 相似门店搜索' : '👯 相似门店搜索'}
+                  </button>
+                  <button
+                    className={`btn btn-sm ${showScenario ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowScenario(!showScenario)}
+                  >
+                    {showScenario ? '✓ 情景模拟' : '🧪 情景模拟'}
+                  </button>
+                </div>
+              )}
+
               {/* Store selector for scoring */}
               {showScoring && stores.length > 1 && (
                 <div style={{ marginTop: '10px' }}>
@@ -287,12 +679,144 @@ function App() {
             </div>
           )}
 
+          {/* Scoring Profile Editor */}
+          {showScoring && activeProfile && (
+            <ScoringProfileEditor
+              profiles={profiles}
+              activeProfile={activeProfile}
+              onSelect={selectProfile}
+              onSave={saveProfile}
+              onSaveAs={saveProfileAs}
+              onDelete={deleteProfile}
+            />
+          )}
+
+          {/* Fit weights to existing stores' revenue */}
+          {showScoring && showCalibration && activeProfile && (
+            <WeightCalibration
+              activeProfile={activeProfile}
+              rows={calibration.rows}
+              parseErrors={calibration.parseErrors}
+              progress={calibration.progress}
+              isRunning={calibration.isRunning}
+              result={calibration.result}
+              skipped={calibration.skipped}
+              error={calibration.error}
+              onImport={calibration.importCsv}
+              onRun={calibration.runCalibration}
+              onApply={handleApplyCalibration}
+              onReset={calibration.reset}
+            />
+          )}
+
+          {/* Sites that look like our best stores */}
+          {showScoring && showLookalike && activeProfile && (
+            <LookalikeFinder
+              ourStores={ourStores}
+              matches={lookalike.matches}
+              progress={lookalike.progress}
+              isRunning={lookalike.isRunning}
+              summary={lookalike.summary}
+              error={lookalike.error}
+              onRun={handleRunLookalike}
+              onSelectStore={setSelectedStoreId}
+              onPromote={handlePromoteLookalike}
+              onClear={lookalike.clearMatches}
+            />
+          )}
+
+          {/* Portfolio Leaderboard */}
+          {showScoring && storeScores.length > 1 && (
+            <ScoreLeaderboard
+              entries={storeScores}
+              selectedStoreId={selectedStore?.id}
+              onSelectStore={setSelectedStoreId}
+            />
+          )}
+
+          {/* Pick K of N candidates */}
+          {showScoring && showPortfolio && storeScores.length > 1 && (
+            <PortfolioOptimizer
+              entries={storeScores}
+              ourStores={ourStores}
+              competitors={competitors}
+              pois={pois}
+              profile={activeProfile}
+              onSelectStore={setSelectedStoreId}
+            />
+          )}
+
+          {/* Side-by-side comparison */}
+          {showScoring && showComparison && storeScores.length > 1 && (
+            <SiteComparison entries={storeScores} />
+          )}
+
           {/* Location Score Panel */}
           {showScoring && selectedStore && (
             <LocationScore
               scoreResult={scoreResult}
               storeName={selectedStore.name || selectedStore.displayAddress || selectedStore.address}
               isLoading={poisLoading}
+              benchmarks={benchmarks}
+              benchmarksBuilding={benchmarksBuilding}
+            />
+          )}
+
+          {/* Score snapshots timeline */}
+          {showScoring && showHistory && selectedStore && (
+            <ScoreHistory
+              snapshots={getStoreHistory(selectedStore.id)}
+              storeName={selectedStore.name || selectedStore.displayAddress || selectedStore.address}
+              onClear={() => clearStoreHistory(selectedStore.id)}
+            />
+          )}
+
+          {/* Re-score under two model versions */}
+          {showScoring && showModelCompare && selectedEntry && (
+            <ModelComparison
+              entry={selectedEntry}
+              profile={activeProfile}
+              baseline={getStoreHistory(selectedStore.id)[0]}
+              defaultFromId={getStoreHistory(selectedStore.id)[0]?.modelVersion}
+            />
+          )}
+
+          {/* What-if competitor / POI / station edits */}
+          {scenarioAnalysis && (
+            <ScenarioEditor
+              storeName={selectedStore.name || selectedStore.displayAddress || selectedStore.address}
+              scenario={whatIf.scenario}
+              analysis={scenarioAnalysis}
+              tool={whatIf.tool}
+              onSetTool={whatIf.setTool}
+              onUndoEdit={whatIf.undoEdit}
+              onReset={whatIf.resetScenario}
+            />
+          )}
+
+          {/* Cannibalization of opened stores */}
+          {showScoring && selectedStore && cannibalization && (
+            <Cannibalization
+              analysis={cannibalization}
+              storeName={selectedStore.name || selectedStore.displayAddress || selectedStore.address}
+              hasOurStores={ourStores.length > 0}
+            />
+          )}
+          {showScoring && selectedStore && (
+            <button
+              className="btn btn-secondary btn-sm btn-block mb-1"
+              onClick={() => handleMarkOpened(selectedStore)}
+            >
+              🏬 将「{selectedStore.name}」标记为已开业
+            </button>
+          )}
+
+          {/* Huff Market Share */}
+          {showScoring && selectedStore && selectedMarketShare && (
+            <MarketShare
+              huff={selectedMarketShare}
+              storeName={selectedStore.name || selectedStore.displayAddress || selectedStore.address}
+              hasCompetitorData={competitors.length > 0}
             />
           )}
 
@@ -305,17 +829,50 @@ function App() {
             />
           )}
 
+          {/* Financial Forecast */}
+          {showScoring && showFinancials && selectedStore && scoreResult && (
+            <FinancialForecast
+              store={selectedStore}
+              pois={selectedStorePOIs}
+              mtaInfo={scoreResult.mtaInfo}
+              onSaveInputs={updateStore}
+            />
+          )}
+
           {/* Store List */}
           {stores.length > 0 && (
             <div className="card">
               <div className="card-header">
                 <span>📋 店铺列表 ({stores.length})</span>
               </div>
-              <StoreList
-                stores={optimizedRoute.length > 0 ? optimizedRoute : stores}
-                onRemoveStore={removeStore}
-                showOrder={optimizedRoute.length > 0}
-              />
+              {routeGroups.length > 0 ? routeGroups.map(group => (
+                <div key={group.key}>
+                  <div className="itinerary-day-header">
+                    <span className="route-day-dot" style={{ backgroundColor: group.color }} />
+                    {group.label}
+                    <small>
+                      {group.stats.stops} 家 · {formatClock(group.schedule.departAt)}–{formatClock(group.schedule.finishAt)}
+                    </small>
+                  </div>
+                  {group.route.length > 0 && (
+                    <StoreList
+                      stores={group.route}
+                      onRemoveStore={removeStore}
+                      onUpdateStore={updateStore}
+                      schedule={group.schedule}
+                      showOrder={true}
+                    />
+                  )}
+                </div>
+              )) : (
+                <StoreList
+                  stores={optimizedRoute.length > 0 ? optimizedRoute : stores}
+                  onRemoveStore={removeStore}
+                  onUpdateStore={updateStore}
+                  schedule={optimizedRoute.length > 0 ? routeStats?.schedule : null}
+                  showOrder={optimizedRoute.length > 0}
+                />
+              )}
             </div>
           )}
 
@@ -339,6 +896,8 @@ function App() {
           currentLocation={currentLocation}
           stores={stores}
           optimizedRoute={optimizedRoute}
+          routeGroups={routeGroups}
+          returnToStart={tourType === 'loop'}
           showCompetitors={showCompetitors}
           competitors={competitors}
           showSubway={showSubway}
@@ -347,6 +906,26 @@ function App() {
           poiAnalysisByStore={poiAnalysisByStore}
           showHeatmap={showHeatmap}
           heatmapData={heatmapData}
+          storeGrades={showScoring ? storeGrades : null}
+          showOurStores={showOurStores}
+          ourStores={ourStores}
+          suggestions={showWhiteSpace ? suggestions : []}
+          onPromoteSuggestion={handlePromoteSuggestion}
+          searchArea={showWhiteSpace ? searchArea : null}
+          isDrawingArea={showWhiteSpace && isDrawingArea}
+          onAreaDrawn={bounds => {
+            setSearchArea(bounds);
+            setIsDrawingArea(false);
+          }}
+          scenarioSite={scenarioSite}
+          scenario={whatIf.scenario}
+          scenarioPOIs={pois}
+          scenarioTool={whatIf.tool}
+          onScenarioPlace={whatIf.placeAt}
+          onScenarioMove={whatIf.moveRecord}
+          onScenarioRemove={whatIf.removeRecord}
+          onScenarioRestore={whatIf.restoreRecord}
+          onScenarioToggleStation={whatIf.toggleStation}
         />
 
         {/* Competitor Info Overlay */}
@@ -0,0 +1,72 @@
+function formatMoney(value) {
+  return value >= 1000 ? `$${(value / 1000).toFixed(1)}k` : `$${Math.round(value)}`;
+}
+
+function Cannibalization({ analysis, storeName, hasOurStores }) {
+  if (!analysis) return null;
+
+  const { affected, lostVisitors, monthlyRevenueMoved, candidateVisitors, netNewVisitors, cannibalizationRate } = analysis;
+  const ratePct = Math.round(cannibalizationRate * 100);
+  const rateColor = ratePct >= 50 ? '#EF4444' : ratePct >= 20 ? '#F59E0B' : '#10B981';
+
+  return (
+    <div className="card">
+      <div className="card-header">🔁 自营门店分流 — {storeName}</div>
+
+      {!hasOurStores ? (
+        <div className="alert alert-info" style={{ fontSize: '12px' }}>
+          尚未录入已开业门店，无法评估对自有门店的分流
+        </div>
+      ) : affected.length === 0 ? (
+        <div className="alert alert-success" style={{ fontSize: '12px' }}>
+          附近无已开业门店，基本无自我分流
+        </div>
+      ) : (
+        <>
+          <div className="chart-stats">
+            <div className="chart-stat">
+              <div className="chart-stat-value" style={{ color: rateColor }}>{ratePct}%</div>
+              <div className="chart-stat-label">分流占比</div>
+            </div>
+            <div className="chart-stat">
+              <div className="chart-stat-value" style={{ color: '#EF4444' }}>-{lostVisitors}</div>
+              <div className="chart-stat-label">老店日均流失</div>
+            </div>
+            <div className="chart-stat">
+              <div className="chart-stat-value" style={{ color: netNewVisitors >= 0 ? '#10B981' : '#EF4444' }}>
+                {netNewVisitors}
+              </div>
+              <div className="chart-stat-label">净新增 / {candidateVisitors}</div>
+            </div>
+          </div>
+
+          <table className="finance-table">
+            <thead>
+              <tr>
+                <th>门店</th>
+                <th>商圈重叠</th>
+                <th>流失占比</th>
+                <th>月营收转移</th>
+              </tr>
+            </thead>
+            <tbody>
+              {affected.map(a => (
+                <tr key={a.store.id}>
+                  <td title={a.store.displayAddress || a.store.address}>{a.store.name}</td>
+                  <td>{Math.round(a.overlap * 100)}%</td>
+                  <td>{(a.shareMoved * 100).toFixed(1)}%</td>
+                  <td style={{ color: '#EF4444' }}>{formatMoney(a.monthlyRevenueMoved)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="leaderboard-footnote">
+            合计月营收转移 {formatMoney(monthlyRevenueMoved)} · 基于 Huff 模型前后对比
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Cannibalization;
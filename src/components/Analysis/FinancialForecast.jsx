@@ -0,0 +1,198 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  DEFAULT_FINANCIAL_INPUTS,
+  FINANCIAL_INPUT_LABELS,
+  buildFinancialForecast
+} from '../../services/financials';
+
+function formatMoney(value) {
+  if (value === null || value === undefined) return '—';
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  if (abs >= 1000000) return `${sign}$${(abs / 1000000).toFixed(2)}M`;
+  if (abs >= 1000) return `${sign}$${(abs / 1000).toFixed(1)}k`;
+  return `${sign}$${Math.round(abs)}`;
+}
+
+function formatMonths(month) {
+  return month === null ? '未回本' : `第 ${month} 月`;
+}
+
+function SensitivityTable({ title, rows, formatValue }) {
+  return (
+    <div className="finance-sensitivity">
+      <div className="compare-section-title">{title}</div>
+      <table className="finance-table">
+        <thead>
+          <tr>
+            <th>变动</th>
+            <th>取值</th>
+            <th>NPV</th>
+            <th>回本</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.step} className={row.step === 0 ? 'finance-base-row' : ''}>
+              <td>{row.step > 0 ? '+' : ''}{Math.round(row.step * 100)}%</td>
+              <td>{formatValue(row.value)}</td>
+              <td style={{ color: row.npv >= 0 ? '#10B981' : '#EF4444' }}>{formatMoney(row.npv)}</td>
+              <td>{formatMonths(row.paybackMonth)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function FinancialForecast({ store, pois, mtaInfo, onSaveInputs }) {
+  const [inputs, setInputs] = useState({ ...DEFAULT_FINANCIAL_INPUTS, ...store.financials });
+  const [showMonthly, setShowMonthly] = useState(false);
+
+  // Load the store's saved inputs when switching stores
+  useEffect(() => {
+    setInputs({ ...DEFAULT_FINANCIAL_INPUTS, ...store.financials });
+  }, [store.id]);
+
+  const forecast = useMemo(
+    () => buildFinancialForecast({ pois, mtaInfo, inputs }),
+    [pois, mtaInfo, inputs]
+  );
+
+  const isDirty = JSON.stringify(inputs) !==
+    JSON.stringify({ ...DEFAULT_FINANCIAL_INPUTS, ...store.financials });
+
+  const { summary, monthly, sensitivity, dailyTransactions } = forecast;
+
+  return (
+    <div className="card">
+      <div className="card-header">💰 营收与回本预测 — {store.name}</div>
+
+      {/* Inputs */}
+      <div className="profile-grid">
+        {Object.entries(FINANCIAL_INPUT_LABELS).map(([key, meta]) => (
+          <label key={key} className="profile-field">
+            <span className="profile-field-label">{meta.label}（{meta.unit}）</span>
+            <input
+              type="number"
+              className="form-input profile-field-input"
+              step={meta.step}
+              min="0"
+              value={meta.percent ? Math.round(inputs[key] * 1000) / 10 : inputs[key]}
+              onChange={e => {
+                const v = Number(e.target.value) || 0;
+                setInputs(prev => ({ ...prev, [key]: meta.percent ? v / 100 : v }));
+              }}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="profile-actions">
+        <button
+          className="btn btn-primary btn-sm"
+          disabled={!isDirty}
+          onClick={() => onSaveInputs(store.id, { financials: inputs })}
+        >
+          保存参数
+        </button>
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={() => setInputs({ ...DEFAULT_FINANCIAL_INPUTS })}
+        >
+          恢复默认
+        </button>
+      </div>
+
+      {/* Key metrics */}
+      <div className="chart-stats mt-1">
+        <div className="chart-stat">
+          <div className="chart-stat-value" style={{ color: '#2563EB' }}>{dailyTransactions}</div>
+          <div className="chart-stat-label">日均单量</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value" style={{ color: '#10B981' }}>{formatMoney(summary.steadyMonthlyRevenue)}</div>
+          <div className="chart-stat-label">稳定期月营收</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value" style={{ color: summary.steadyMonthlyProfit >= 0 ? '#10B981' : '#EF4444' }}>
+            {formatMoney(summary.steadyMonthlyProfit)}
+          </div>
+          <div className="chart-stat-label">稳定期月利润</div>
+        </div>
+      </div>
+      <div className="chart-stats">
+        <div className="chart-stat">
+          <div className="chart-stat-value finance-small">{formatMonths(summary.breakEvenMonth)}</div>
+          <div className="chart-stat-label">月度盈亏平衡</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value finance-small">{formatMonths(summary.paybackMonth)}</div>
+          <div className="chart-stat-label">投资回本</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value finance-small" style={{ color: summary.npv >= 0 ? '#10B981' : '#EF4444' }}>
+            {formatMoney(summary.npv)}
+          </div>
+          <div className="chart-stat-label">5年 NPV</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value finance-small">
+            {summary.irr === null ? '—' : `${(summary.irr * 100).toFixed(1)}%`}
+          </div>
+          <div className="chart-stat-label">IRR（年化）</div>
+        </div>
+      </div>
+
+      {/* Monthly P&L */}
+      <button
+        className="btn btn-secondary btn-sm btn-block"
+        onClick={() => setShowMonthly(!showMonthly)}
+      >
+        {showMonthly ? '▲ 收起月度损益表' : '▼ 月度损益表'}
+      </button>
+      {showMonthly && (
+        <div className="finance-monthly">
+          <table className="finance-table">
+            <thead>
+              <tr>
+                <th>月</th>
+                <th>营收</th>
+                <th>原料</th>
+                <th>人工+租金</th>
+                <th>利润</th>
+                <th>累计现金</th>
+              </tr>
+            </thead>
+            <tbody>
+              {monthly.map(m => (
+                <tr key={m.month}>
+                  <td>{m.month}</td>
+                  <td>{formatMoney(m.revenue)}</td>
+                  <td>{formatMoney(m.cogs)}</td>
+                  <td>{formatMoney(m.labor + m.rent)}</td>
+                  <td style={{ color: m.profit >= 0 ? '#10B981' : '#EF4444' }}>{formatMoney(m.profit)}</td>
+                  <td style={{ color: m.cumulativeCash >= 0 ? '#10B981' : '#6B7280' }}>{formatMoney(m.cumulativeCash)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Sensitivity */}
+      <SensitivityTable
+        title="到店率敏感性"
+        rows={sensitivity.captureRate}
+        formatValue={v => `${(v * 100).toFixed(2)}%`}
+      />
+      <SensitivityTable
+        title="客单价敏感性"
+        rows={sensitivity.avgTicket}
+        formatValue={v => `$${v.toFixed(2)}`}
+      />
+    </div>
+  );
+}
+
+export default FinancialForecast;
@@ -1,3 +1,7 @@
+import { PROVENANCE_SOURCES } from '../../services/provenance';
+import { POI_CATEGORIES } from '../../services/poi';
+import { formatRank } from '../../services/benchmarks';
+
 function ScoreRing({ score, grade }) {
   const radius = 36;
   const circumference = 2 * Math.PI * radius;
@@ -30,20 +34,105 @@ function ScoreRing({ score, grade }) {
   );
 }
 
-function ScoreBar({ item }) {
-  const pct = Math.round((item.weighted / item.maxWeight) * 100);
+function ScoreBar({ item, benchmark, boroughLabel }) {
+  const pct = item.maxWeight ? Math.round((item.weighted / item.maxWeight) * 100) : 0;
+  const ranks = benchmark
+    ? [formatRank(benchmark.nyc, '全市'), boroughLabel && formatRank(benchmark.borough, boroughLabel)].filter(Boolean)
+    : [];
   return (
-    <div className="score-bar-row">
-      <span className="score-bar-label">{item.label}</span>
-      <div className="score-bar-track">
-        <div className="score-bar-fill" style={{ width: `${pct}%` }} />
+    <div>
+      <div className="score-bar-row">
+        <span className="score-bar-label">{item.label}</span>
+        <div className="score-bar-track">
+          <div className="score-bar-fill" style={{ width: `${pct}%` }} />
+        </div>
+        <span className="score-bar-pts">{item.weighted}/{item.maxWeight}</span>
       </div>
-      <span className="score-bar-pts">{item.weighted}/{item.maxWeight}</span>
+      {benchmark && (
+        <div
+          className="score-bar-benchmark"
+          title={benchmark.nyc ? `原始分 ${item.raw}，全市样本 ${benchmark.nyc.sampleSize} 个` : undefined}
+        >
+          原始分 {item.raw}
+          {ranks.length > 0
+            ? ` · ${ranks.join(' · ')}`
+            : benchmark.localOnly ? ' · 本地 POI 覆盖不足，暂无排名' : ' · 样本不足，暂无排名'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Per-item detail for any dimension that declares contributions (stations, competitors…)
+function DimensionContributions({ contributions }) {
+  if (!contributions || contributions.rows.length === 0) return null;
+  return (
+    <div className="contributions">
+      <div className="contributions-title">{contributions.title}</div>
+      {contributions.rows.map(row => (
+        <div key={row.id} className="contribution-row">
+          <span className="contribution-name">{row.name}</span>
+          <span className="contribution-meta">{row.meta}</span>
+          <span className={`contribution-pts ${row.negative ? 'contribution-negative' : ''}`}>{row.value}</span>
+        </div>
+      ))}
     </div>
   );
 }
 
-function LocationScore({ scoreResult, storeName, isLoading }) {
+function DaypartStrip({ dayparts }) {
+  if (!dayparts || dayparts.length === 0) return null;
+  const best = dayparts.reduce((a, b) => (b.score > a.score ? b : a));
+  return (
+    <div className="daypart-strip">
+      {dayparts.map(d => (
+        <div
+          key={d.key}
+          className={`daypart-cell ${d.key === best.key ? 'best' : ''}`}
+          style={{ borderTopColor: d.color }}
+          title={[
+            `客流 ${d.ridership} · 业态 ${d.poiMix} · 竞品 ${d.competition}`,
+            `营业中竞品 ${d.openCompetitors} 家`,
+            d.topCategory ? `主力客群：${POI_CATEGORIES[d.topCategory]?.name ?? d.topCategory}` : null
+          ].filter(Boolean).join('\n')}
+        >
+          <div className="daypart-label">{d.icon} {d.label}</div>
+          <div className="daypart-score" style={{ color: d.color }}>{d.score}</div>
+          <div className="daypart-hours">{d.start}–{d.end} 点</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function sourceSummary(summary) {
+  if (summary.total === 0) return '无数据';
+  return Object.entries(summary.bySource)
+    .map(([source, n]) => `${PROVENANCE_SOURCES[source]?.label ?? source} ${n}`)
+    .join(' · ');
+}
+
+function ConfidenceNotice({ confidence }) {
+  if (!confidence) return null;
+  return (
+    <div className={`confidence-box confidence-${confidence.level}`}>
+      <div className="confidence-title">
+        <span className="confidence-badge" style={{ backgroundColor: confidence.color }}>
+          可信度 {confidence.label}
+        </span>
+        {confidence.level === 'low' && <span>评分依赖兜底示例数据，请勿用于汇报</span>}
+      </div>
+      {confidence.issues.map((issue, i) => (
+        <div key={i} className="confidence-issue">• {issue}</div>
+      ))}
+      <div className="confidence-sources">
+        POI：{sourceSummary(confidence.sources.pois)}｜竞品：{sourceSummary(confidence.sources.competitors)}
+      </div>
+    </div>
+  );
+}
+
+function LocationScore({ scoreResult, storeName, isLoading, benchmarks, benchmarksBuilding }) {
   if (isLoading) {
     return (
       <div className="card">
@@ -57,22 +146,41 @@ function LocationScore({ scoreResult, storeName, isLoading }) {
   }
   if (!scoreResult) return null;
 
-  const { overall, grade, scoreBreakdown, reasons, recommendation } = scoreResult;
+  const { overall, grade, scoreBreakdown, dayparts, reasons, recommendation, profile, modelVersion, confidence } = scoreResult;
 
   return (
     <div className="card score-card">
       <div className="card-header">⭐ 选址综合评分 — {storeName}</div>
+      {profile && (
+        <div className="score-profile-tag">评分方案：{profile.name} · 模型 v{modelVersion}</div>
+      )}
+
+      <ConfidenceNotice confidence={confidence} />
 
       {/* Score ring + breakdown */}
       <div className="score-top">
         <ScoreRing score={overall} grade={grade} />
         <div className="score-breakdown">
           {Object.entries(scoreBreakdown).map(([key, item]) => (
-            <ScoreBar key={key} item={item} />
+            <ScoreBar
+              key={key}
+              item={item}
+              benchmark={benchmarks?.dimensions[key]}
+              boroughLabel={benchmarks?.boroughLabel}
+            />
           ))}
+          {benchmarksBuilding && !benchmarks && (
+            <div className="score-bar-benchmark">全市基准计算中…</div>
+          )}
         </div>
       </div>
 
+      <DaypartStrip dayparts={dayparts} />
+
+      {Object.entries(scoreBreakdown).map(([key, item]) => (
+        <DimensionContributions key={key} contributions={item.contributions} />
+      ))}
+
       {/* Recommendation */}
       <div className="recommendation-box" style={{ borderColor: recommendation.color }}>
         <div className="recommendation-text">{recommendation.text}</div>
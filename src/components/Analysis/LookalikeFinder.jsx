@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import { GRID_CELL_OPTIONS, DEFAULT_CELL_MILES } from '../../services/whiteSpace';
+
+function LookalikeFinder({
+  ourStores,
+  matches,
+  progress,
+  isRunning,
+  summary,
+  error,
+  onRun,
+  onSelectStore,
+  onPromote,
+  onClear
+}) {
+  const [heroIds, setHeroIds] = useState([]);
+  const [includeGrid, setIncludeGrid] = useState(false);
+  const [cellMiles, setCellMiles] = useState(DEFAULT_CELL_MILES);
+
+  const toggleHero = (id) => {
+    setHeroIds(prev => (prev.includes(id) ? prev.filter(h => h !== id) : [...prev, id]));
+  };
+
+  if (ourStores.length === 0) {
+    return (
+      <div className="card">
+        <div className="card-header">👯 相似门店搜索</div>
+        <div className="leaderboard-footnote" style={{ marginTop: 0 }}>
+          请先在「已开业门店」中添加门店，再选择标杆门店进行匹配
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">👯 相似门店搜索</div>
+
+      <div className="compare-section-title" style={{ marginTop: 0 }}>标杆门店</div>
+      <div className="lookalike-heroes">
+        {ourStores.map(store => (
+          <label key={store.id} className="lookalike-hero">
+            <input
+              type="checkbox"
+              checked={heroIds.includes(store.id)}
+              onChange={() => toggleHero(store.id)}
+              disabled={isRunning}
+            />
+            <span>{store.name || store.displayAddress || store.address}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="profile-grid">
+        <label className="profile-field">
+          <span className="profile-field-label">匹配范围</span>
+          <select
+            className="form-input profile-field-input"
+            value={includeGrid ? 'grid' : 'candidates'}
+            onChange={e => setIncludeGrid(e.target.value === 'grid')}
+            disabled={isRunning}
+          >
+            <option value="candidates">候选店铺</option>
+            <option value="grid">候选店铺 + 全市网格</option>
+          </select>
+        </label>
+        <label className="profile-field">
+          <span className="profile-field-label">格子尺寸</span>
+          <select
+            className="form-input profile-field-input"
+            value={cellMiles}
+            onChange={e => setCellMiles(Number(e.target.value))}
+            disabled={isRunning || !includeGrid}
+          >
+            {GRID_CELL_OPTIONS.map(v => (
+              <option key={v} value={v}>{v} 英里</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <button
+        className="btn btn-primary btn-sm btn-block"
+        onClick={() => onRun({ heroIds, includeGrid, cellMiles })}
+        disabled={isRunning || heroIds.length === 0}
+      >
+        {isRunning ? `匹配中 ${Math.round(progress * 100)}%` : '开始匹配'}
+      </button>
+
+      {error && (
+        <div className="alert alert-error mt-1" style={{ fontSize: '12px' }}>{error}</div>
+      )}
+
+      {summary && (
+        <div className="leaderboard-footnote">
+          标杆 {summary.heroCount} 家 · 候选 {summary.candidateCount} 家
+          {summary.cellCount > 0 && ` · 网格 ${summary.cellCount} 格（仅已缓存 POI 区域）`}
+        </div>
+      )}
+
+      {summary?.lowConfidenceHeroes.length > 0 && (
+        <div className="alert alert-warning mt-1" style={{ fontSize: '12px', display: 'block' }}>
+          ⚠️ {summary.lowConfidenceHeroes.join('、')} 的周边数据获取失败（示例数据），匹配结果仅供参考
+        </div>
+      )}
+
+      {matches.length > 0 && (
+        <div className="lookalike-list">
+          {matches.map(m => (
+            <div key={m.target.id} className="lookalike-row">
+              <div className="lookalike-head">
+                <span className="lookalike-similarity">{m.similarity}%</span>
+                <div className="whitespace-info">
+                  <div className="whitespace-title">
+                    {m.target.kind === 'cell' ? '🔲 ' : '📍 '}{m.target.name}
+                  </div>
+                  <div className="whitespace-meta">最像：{m.hero.name}</div>
+                </div>
+                {m.target.kind === 'cell' ? (
+                  <button className="btn btn-secondary btn-sm" onClick={() => onPromote(m)}>
+                    ➕ 设为店铺
+                  </button>
+                ) : (
+                  <button className="btn btn-secondary btn-sm" onClick={() => onSelectStore(m.target.id)}>
+                    查看
+                  </button>
+                )}
+              </div>
+
+              {m.matches.length > 0 && (
+                <div className="reason-positive lookalike-features">
+                  ✓ 相同：{m.matches.slice(0, 4).map(f => `${f.label} ${f.target}`).join('、')}
+                </div>
+              )}
+              {m.differences.length > 0 && (
+                <div className="reason-negative lookalike-features">
+                  ✗ 差异：{m.differences.slice(0, 3).map(f => `${f.label} ${f.target}（标杆 ${f.hero}）`).join('、')}
+                </div>
+              )}
+            </div>
+          ))}
+          <button className="btn btn-secondary btn-sm btn-block mt-1" onClick={onClear}>
+            清除结果
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LookalikeFinder;
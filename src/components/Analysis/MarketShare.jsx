@@ -0,0 +1,104 @@
+import { getBrandInfo } from '../../services/competitors';
+import { MAP_CONFIG } from '../../utils/constants';
+
+const DEMAND_TYPE_LABELS = {
+  STATION:       '🚇 地铁站',
+  OFFICE:        '🏢 办公',
+  TRANSPORT:     '🚌 交通',
+  SHOPPING:      '🛍️ 购物',
+  EDUCATION:     '🎓 教育',
+  FOOD:          '🍽️ 餐饮',
+  ENTERTAINMENT: '🎭 娱乐',
+  PARK:          '🌳 公园',
+  RESIDENTIAL:   '🏠 住宅'
+};
+
+function MarketShare({ huff, storeName, hasCompetitorData }) {
+  if (!huff) return null;
+
+  const { share, visitors, weekendVisitors, totalDemand, demandPoints, competitors, ownStores = [] } = huff;
+
+  return (
+    <div className="card">
+      <div className="card-header">🎯 商圈份额（Huff 模型）— {storeName}</div>
+
+      {!hasCompetitorData && (
+        <div className="alert alert-warning" style={{ fontSize: '12px' }}>
+          未加载竞品数据，份额按无竞争计算 — 请开启「竞品」图层
+        </div>
+      )}
+
+      <div className="chart-stats">
+        <div className="chart-stat">
+          <div className="chart-stat-value" style={{ color: '#2563EB' }}>{(share * 100).toFixed(1)}%</div>
+          <div className="chart-stat-label">预计份额</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value" style={{ color: '#10B981' }}>{visitors}</div>
+          <div className="chart-stat-label">工作日到店</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value" style={{ color: '#F59E0B' }}>{weekendVisitors}</div>
+          <div className="chart-stat-label">周末到店</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value">{totalDemand}</div>
+          <div className="chart-stat-label">商圈日需求</div>
+        </div>
+      </div>
+
+      {(competitors.length > 0 || ownStores.length > 0) && (
+        <>
+          <div className="compare-section-title">需求分流</div>
+          <table className="finance-table">
+            <thead>
+              <tr>
+                <th>门店</th>
+                <th>份额</th>
+                <th>日均</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="finance-base-row">
+                <td>Cotti（本店）</td>
+                <td>{(share * 100).toFixed(1)}%</td>
+                <td>{visitors}</td>
+              </tr>
+              {ownStores.map(s => (
+                <tr key={s.id}>
+                  <td style={{ color: MAP_CONFIG.OUR_STORE_COLOR }}>Cotti · {s.name}</td>
+                  <td>{(s.share * 100).toFixed(1)}%</td>
+                  <td>{s.visitors}</td>
+                </tr>
+              ))}
+              {competitors.slice(0, 6).map(c => (
+                <tr key={c.id}>
+                  <td style={{ color: getBrandInfo(c.brand).color }}>{c.name}</td>
+                  <td>{(c.share * 100).toFixed(1)}%</td>
+                  <td>{c.visitors}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {demandPoints.length > 0 && (
+        <div className="contributions mt-1">
+          <div className="contributions-title">主要需求来源</div>
+          {demandPoints.slice(0, 5).map(p => (
+            <div key={p.id} className="contribution-row">
+              <span className="contribution-name">{p.name}</span>
+              <span className="contribution-meta">
+                {DEMAND_TYPE_LABELS[p.type] ?? p.type} · 需求 {p.demand} · 份额 {Math.round(p.share * 100)}%
+              </span>
+              <span className="contribution-pts">{p.visitors}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MarketShare;
@@ -0,0 +1,119 @@
+import { useState, useMemo } from 'react';
+import { calculateLocationScore } from '../../services/scoring';
+import {
+  SCORING_MODELS,
+  CURRENT_MODEL_ID,
+  getScoringModel,
+  getChangelogBetween
+} from '../../services/scoringModels';
+
+/**
+ * Re-score one saved store under two model versions with the same inputs
+ * (POIs, competitors, profile) and show the results side by side. With a
+ * baseline snapshot, both sides use the weights that run was scored with.
+ */
+function ModelComparison({ entry, profile, baseline, defaultFromId }) {
+  const [fromId, setFromId] = useState(
+    defaultFromId && defaultFromId !== CURRENT_MODEL_ID ? defaultFromId : SCORING_MODELS[0].id
+  );
+  const [toId, setToId] = useState(CURRENT_MODEL_ID);
+
+  const recordedWeights = baseline?.profile?.weights ?? null;
+
+  const results = useMemo(() => {
+    const { store, pois, competitors } = entry;
+    const scoringProfile = recordedWeights ? { ...profile, weights: recordedWeights } : profile;
+    return [fromId, toId].map(id => calculateLocationScore({
+      pois,
+      competitors,
+      storeLat: store.coordinates.lat,
+      storeLng: store.coordinates.lng,
+      profile: scoringProfile,
+      model: getScoringModel(id)
+    }));
+  }, [entry, profile, recordedWeights, fromId, toId]);
+
+  const changelog = useMemo(() => getChangelogBetween(fromId, toId), [fromId, toId]);
+
+  const [fromResult, toResult] = results;
+  const delta = toResult.overall - fromResult.overall;
+
+  return (
+    <div className="card">
+      <div className="card-header">🧬 模型版本对比 — {entry.store.name}</div>
+
+      <div className="history-pickers">
+        {[[fromId, setFromId], [toId, setToId]].map(([value, setValue], i) => (
+          <select
+            key={i}
+            className="form-input"
+            value={value}
+            onChange={e => setValue(e.target.value)}
+          >
+            {SCORING_MODELS.map(m => (
+              <option key={m.id} value={m.id}>
+                v{m.id} · {m.name}{m.id === CURRENT_MODEL_ID ? '（当前）' : ''}
+              </option>
+            ))}
+          </select>
+        ))}
+      </div>
+
+      <table className="finance-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>v{fromId}</th>
+            <th>v{toId}</th>
+            <th>变化</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="finance-base-row">
+            <td>综合评分</td>
+            <td>{fromResult.grade.letter} {fromResult.overall}</td>
+            <td>{toResult.grade.letter} {toResult.overall}</td>
+            <td className={delta < 0 ? 'contribution-negative' : ''}>
+              {delta > 0 ? '+' : ''}{delta}
+            </td>
+          </tr>
+          {Object.entries(toResult.scoreBreakdown).map(([key, dim]) => {
+            const before = fromResult.scoreBreakdown[key]?.weighted ?? 0;
+            const d = Math.round((dim.weighted - before) * 10) / 10;
+            return (
+              <tr key={key}>
+                <td>{dim.label}</td>
+                <td>{before}</td>
+                <td>{dim.weighted}</td>
+                <td className={d < 0 ? 'contribution-negative' : ''}>
+                  {d > 0 ? '+' : ''}{d}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {changelog.length > 0 && (
+        <>
+          <div className="compare-section-title">版本变更</div>
+          {changelog.map(({ id, changelog: items }) => (
+            <div key={id} className="model-changelog">
+              <div className="model-changelog-version">v{id}</div>
+              {items.map((text, i) => (
+                <div key={i} className="reason-neutral">{text}</div>
+              ))}
+            </div>
+          ))}
+        </>
+      )}
+
+      <div className="leaderboard-footnote">
+        两侧使用相同的 POI、竞品与评分方案，仅评分模型不同
+        {recordedWeights && `；权重取自 ${new Date(baseline.timestamp).toLocaleDateString('zh-CN')} 的评分记录（${baseline.profile.name}）`}
+      </div>
+    </div>
+  );
+}
+
+export default ModelComparison;
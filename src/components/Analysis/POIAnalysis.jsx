@@ -1,6 +1,6 @@
 import { POI_CATEGORIES } from '../../services/poi';
 
-function POIAnalysis({ analysis, insights, footTrafficScore, isLoading }) {
+function POIAnalysis({ analysis, insights, footTrafficScore, customerForecast, isLoading }) {
   if (isLoading) {
     return (
       <div className="card">
@@ -47,6 +47,14 @@ function POIAnalysis({ analysis, insights, footTrafficScore, isLoading }) {
               }}
             ></div>
           </div>
+          {customerForecast && (
+            <div className="customer-forecast">
+              预估日均到店 <strong>{customerForecast.p50}</strong> 人
+              <span className="customer-forecast-range">
+                （P10 {customerForecast.p10} – P90 {customerForecast.p90}）
+              </span>
+            </div>
+          )}
         </div>
       )}
 
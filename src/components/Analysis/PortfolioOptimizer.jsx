@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { optimizePortfolio } from '../../services/portfolio';
+
+function formatMoney(value) {
+  if (Math.abs(value) >= 1000000) return `$${(value / 1000000).toFixed(2)}M`;
+  if (Math.abs(value) >= 1000) return `$${(value / 1000).toFixed(1)}k`;
+  return `$${Math.round(value)}`;
+}
+
+function PortfolioOptimizer({ entries, ourStores, competitors, pois, profile, onSelectStore }) {
+  const [k, setK] = useState(Math.min(5, entries.length));
+  const [plan, setPlan] = useState(null);
+
+  const handleRun = () => {
+    const scoreById = {};
+    entries.forEach(({ store, result }) => { scoreById[store.id] = result.overall; });
+    setPlan(optimizePortfolio({
+      candidates: entries.map(e => e.store),
+      k,
+      ourStores,
+      competitors,
+      pois,
+      profile,
+      scoreById
+    }));
+  };
+
+  const gainVsTop = plan?.topScoreBaseline
+    ? plan.totalVisitors - plan.topScoreBaseline.visitors
+    : 0;
+
+  return (
+    <div className="card">
+      <div className="card-header">📦 开店组合优化</div>
+
+      <div className="whitespace-area">
+        <span>从 {entries.length} 个候选中选择</span>
+        <input
+          type="number"
+          className="form-input portfolio-k-input"
+          min="1"
+          max={entries.length}
+          value={k}
+          onChange={e => setK(Math.max(1, Math.min(entries.length, Number(e.target.value) || 1)))}
+        />
+        <span style={{ flex: 'none' }}>家</span>
+        <button className="btn btn-primary btn-sm" onClick={handleRun}>计算</button>
+      </div>
+
+      {plan && (
+        <>
+          <div className="chart-stats">
+            <div className="chart-stat">
+              <div className="chart-stat-value" style={{ color: '#2563EB' }}>{plan.totalVisitors}</div>
+              <div className="chart-stat-label">净新增日均客流</div>
+            </div>
+            <div className="chart-stat">
+              <div className="chart-stat-value" style={{ color: '#10B981' }}>{formatMoney(plan.monthlyRevenue)}</div>
+              <div className="chart-stat-label">净新增月营收</div>
+            </div>
+            {plan.topScoreBaseline && (
+              <div className="chart-stat">
+                <div className="chart-stat-value" style={{ color: gainVsTop > 0 ? '#10B981' : '#6B7280' }}>
+                  {gainVsTop > 0 ? '+' : ''}{gainVsTop}
+                </div>
+                <div className="chart-stat-label">优于评分前 {k} 名</div>
+              </div>
+            )}
+          </div>
+
+          <table className="finance-table">
+            <thead>
+              <tr>
+                <th>店铺</th>
+                <th>边际客流</th>
+                <th>单独开店</th>
+                <th>重叠损失</th>
+                <th>边际月营收</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.selected.map(s => (
+                <tr key={s.store.id} className="leaderboard-row" onClick={() => onSelectStore(s.store.id)}>
+                  <td>{s.store.name}</td>
+                  <td>{s.marginalVisitors}</td>
+                  <td>{s.standaloneVisitors}</td>
+                  <td>{Math.round(s.overlapLoss * 100)}%</td>
+                  <td>{formatMoney(s.marginalRevenue)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="leaderboard-footnote">
+            贪心选址 {plan.greedyVisitors} → 局部搜索 {plan.swaps} 次交换后 {plan.totalVisitors} ·
+            已计入候选间重叠与对已开业门店的分流
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PortfolioOptimizer;
@@ -0,0 +1,196 @@
+import { useState } from 'react';
+import { COMPETITORS } from '../../utils/constants';
+import { POI_CATEGORIES } from '../../services/poi';
+import { formatRidership } from '../../services/mtaRidership';
+
+const signed = (v, digits = 0) => {
+  const rounded = digits ? v.toFixed(digits) : Math.round(v);
+  return v > 0 ? `+${rounded}` : `${rounded}`;
+};
+
+function DeltaCell({ value, digits = 0, suffix = '', format }) {
+  if (!value) return <td className="scenario-delta-zero">—</td>;
+  return (
+    <td className={value > 0 ? 'scenario-delta-up' : 'scenario-delta-down'}>
+      {format ? `${value > 0 ? '+' : '−'}${format(Math.abs(value))}` : `${signed(value, digits)}${suffix}`}
+    </td>
+  );
+}
+
+function ScenarioEditor({
+  storeName,
+  scenario,
+  analysis,
+  tool,
+  onSetTool,
+  onUndoEdit,
+  onReset
+}) {
+  const [brand, setBrand] = useState('LUCKIN');
+  const [category, setCategory] = useState('OFFICE');
+
+  const toggleTool = (kind, type) => {
+    onSetTool(tool?.kind === kind ? null : { kind, type });
+  };
+
+  const { baseline, scenario: what, delta } = analysis;
+
+  return (
+    <div className="card">
+      <div className="card-header">🧪 情景模拟 — {storeName}</div>
+
+      <div className="scenario-tools">
+        <select
+          className="form-input"
+          value={brand}
+          onChange={e => {
+            setBrand(e.target.value);
+            if (tool?.kind === 'competitor') onSetTool({ kind: 'competitor', type: e.target.value });
+          }}
+        >
+          {Object.entries(COMPETITORS).map(([key, b]) => (
+            <option key={key} value={key}>{b.name}</option>
+          ))}
+        </select>
+        <button
+          className={`btn btn-sm ${tool?.kind === 'competitor' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => toggleTool('competitor', brand)}
+        >
+          ➕ 竞品
+        </button>
+        <select
+          className="form-input"
+          value={category}
+          onChange={e => {
+            setCategory(e.target.value);
+            if (tool?.kind === 'poi') onSetTool({ kind: 'poi', type: e.target.value });
+          }}
+        >
+          {Object.entries(POI_CATEGORIES).map(([key, c]) => (
+            <option key={key} value={key}>{c.icon} {c.name}</option>
+          ))}
+        </select>
+        <button
+          className={`btn btn-sm ${tool?.kind === 'poi' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => toggleTool('poi', category)}
+        >
+          ➕ 设施
+        </button>
+      </div>
+      <div className="leaderboard-footnote">
+        {tool ? '点击地图放置假设点位；' : ''}拖动标记可移动，点击标记可移除竞品 / 设施或关闭地铁站
+      </div>
+
+      {scenario.edits.length > 0 && (
+        <div className="scenario-edits">
+          {scenario.edits.map(edit => (
+            <div key={edit.id} className="scenario-edit">
+              <span>{edit.label}</span>
+              <button className="btn btn-secondary btn-sm" onClick={() => onUndoEdit(edit.id)}>撤销</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="chart-stats mt-1">
+        <div className="chart-stat">
+          <div className="chart-stat-value" style={{ color: baseline.result.grade.color }}>
+            {baseline.result.overall}
+          </div>
+          <div className="chart-stat-label">基准评分</div>
+        </div>
+        <div className="chart-stat">
+          <div className="chart-stat-value" style={{ color: what.result.grade.color }}>
+            {what.result.overall}
+          </div>
+          <div className="chart-stat-label">情景评分（{what.result.grade.letter}）</div>
+        </div>
+        <div className="chart-stat">
+          <div className={`chart-stat-value ${delta.overall > 0 ? 'scenario-delta-up' : delta.overall < 0 ? 'scenario-delta-down' : ''}`}>
+            {delta.overall ? signed(delta.overall) : '0'}
+          </div>
+          <div className="chart-stat-label">{delta.gradeChanged ? '变化 · 评级变动' : '变化'}</div>
+        </div>
+      </div>
+
+      <div className="compare-section-title">各维度得分</div>
+      <table className="finance-table">
+        <thead>
+          <tr>
+            <th>维度</th>
+            <th>基准</th>
+            <th>情景</th>
+            <th>变化</th>
+          </tr>
+        </thead>
+        <tbody>
+          {delta.dimensions.map(d => (
+            <tr key={d.key}>
+              <td>{d.label}</td>
+              <td>{d.baseline}</td>
+              <td>{d.scenario}</td>
+              <DeltaCell value={d.delta} digits={1} />
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="compare-section-title">客流与份额</div>
+      <table className="finance-table">
+        <thead>
+          <tr>
+            <th>指标</th>
+            <th>基准</th>
+            <th>情景</th>
+            <th>变化</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>工作日到店</td>
+            <td>{baseline.marketShare.visitors}</td>
+            <td>{what.marketShare.visitors}</td>
+            <DeltaCell value={delta.visitors} />
+          </tr>
+          <tr>
+            <td>周末到店</td>
+            <td>{baseline.marketShare.weekendVisitors}</td>
+            <td>{what.marketShare.weekendVisitors}</td>
+            <DeltaCell value={delta.weekendVisitors} />
+          </tr>
+          <tr>
+            <td>高峰小时</td>
+            <td>{baseline.peakVisitors}</td>
+            <td>{what.peakVisitors}</td>
+            <DeltaCell value={delta.peakVisitors} />
+          </tr>
+          <tr>
+            <td>市场份额</td>
+            <td>{Math.round(baseline.marketShare.share * 100)}%</td>
+            <td>{Math.round(what.marketShare.share * 100)}%</td>
+            <DeltaCell value={delta.share * 100} digits={1} suffix="pt" />
+          </tr>
+          <tr>
+            <td>商圈客流</td>
+            <td>{baseline.ridership ? formatRidership(baseline.ridership) : '无'}</td>
+            <td>{what.ridership ? formatRidership(what.ridership) : '无'}</td>
+            <DeltaCell value={delta.ridership} format={formatRidership} />
+          </tr>
+        </tbody>
+      </table>
+
+      <button
+        className="btn btn-secondary btn-sm btn-block mt-1"
+        onClick={onReset}
+        disabled={scenario.edits.length === 0 && !tool}
+      >
+        重置情景
+      </button>
+      <div className="leaderboard-footnote">
+        假设点位仅在本次会话中生效，不写入缓存；基准与情景均按店铺 500m 内设施重新计算
+      </div>
+    </div>
+  );
+}
+
+export default ScenarioEditor;
@@ -0,0 +1,148 @@
+import { useState, useMemo } from 'react';
+import { diffSnapshots, summarizeDiff } from '../../services/scoreHistory';
+import { getBrandInfo } from '../../services/competitors';
+import { formatRidership } from '../../services/mtaRidership';
+
+function formatTime(iso) {
+  const d = new Date(iso);
+  return `${d.getMonth() + 1}/${d.getDate()} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+function DiffDetail({ diff }) {
+  const items = [];
+
+  diff.competitors.added.forEach(c => items.push({
+    type: 'negative',
+    text: `新增竞品 ${getBrandInfo(c.brand).name} · ${c.name}${c.distance !== null ? `（${c.distance} 米）` : ''}`
+  }));
+  diff.competitors.removed.forEach(c => items.push({
+    type: 'positive',
+    text: `竞品消失 ${getBrandInfo(c.brand).name} · ${c.name}`
+  }));
+  diff.pois.added.forEach(p => items.push({ type: 'positive', text: `新增 POI ${p.name}（${p.category}）` }));
+  diff.pois.removed.forEach(p => items.push({ type: 'negative', text: `POI 消失 ${p.name}（${p.category}）` }));
+  diff.stations.added.forEach(s => items.push({ type: 'positive', text: `步行范围新增站点 ${s.name}` }));
+  diff.stations.removed.forEach(s => items.push({ type: 'negative', text: `步行范围失去站点 ${s.name}` }));
+  if (diff.ridership) {
+    items.push({
+      type: diff.ridership.to >= diff.ridership.from ? 'positive' : 'negative',
+      text: `加权客流 ${formatRidership(diff.ridership.from)} → ${formatRidership(diff.ridership.to)}`
+    });
+  }
+  if (diff.modelChanged) {
+    items.push({ type: 'neutral', text: `评分模型 ${diff.modelChanged.from} → ${diff.modelChanged.to}` });
+  }
+  if (diff.profileChanged) {
+    items.push({ type: 'neutral', text: `评分方案 ${diff.profileChanged.from} → ${diff.profileChanged.to}` });
+  }
+  diff.weights.forEach(w => items.push({ type: 'neutral', text: `${w.label}权重 ${w.from} → ${w.to}` }));
+
+  return (
+    <div className="history-diff">
+      {diff.dimensions.map(d => (
+        <div key={d.key} className="contribution-row">
+          <span className="contribution-name">{d.label}</span>
+          <span className="contribution-meta">{d.from} → {d.to}</span>
+          <span className={`contribution-pts ${d.delta < 0 ? 'contribution-negative' : ''}`}>
+            {d.delta > 0 ? '+' : ''}{d.delta}
+          </span>
+        </div>
+      ))}
+      {items.length === 0 && diff.dimensions.length === 0 && (
+        <div className="compare-reason-empty">两次评分完全一致</div>
+      )}
+      {items.map((item, i) => (
+        <div key={i} className={`reason-${item.type}`}>{item.text}</div>
+      ))}
+    </div>
+  );
+}
+
+function ScoreHistory({ snapshots, storeName, onClear }) {
+  // Two snapshot ids to compare; defaults to the latest change
+  const [pair, setPair] = useState(null);
+
+  const timeline = useMemo(() => {
+    return snapshots
+      .map((snap, i) => ({
+        snap,
+        diff: i > 0 ? diffSnapshots(snapshots[i - 1], snap) : null
+      }))
+      .reverse();
+  }, [snapshots]);
+
+  const comparison = useMemo(() => {
+    if (snapshots.length < 2) return null;
+    const fromSnap = snapshots.find(s => s.id === pair?.from) || snapshots[snapshots.length - 2];
+    const toSnap = snapshots.find(s => s.id === pair?.to) || snapshots[snapshots.length - 1];
+    return { fromSnap, toSnap, diff: diffSnapshots(fromSnap, toSnap) };
+  }, [snapshots, pair]);
+
+  const pick = (field, id) => {
+    setPair(prev => ({
+      from: comparison?.fromSnap.id,
+      to: comparison?.toSnap.id,
+      ...prev,
+      [field]: id
+    }));
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span>🕒 评分历史 — {storeName}</span>
+        {snapshots.length > 0 && (
+          <button className="btn btn-secondary btn-sm" onClick={onClear}>清空</button>
+        )}
+      </div>
+
+      {snapshots.length === 0 ? (
+        <div className="alert alert-info" style={{ fontSize: '12px' }}>暂无评分快照</div>
+      ) : (
+        <>
+          <div className="history-timeline">
+            {timeline.map(({ snap, diff }) => (
+              <div key={snap.id} className="history-item">
+                <span className="history-time">{formatTime(snap.timestamp)}</span>
+                <span className="history-score">{snap.grade} {snap.overall}</span>
+                {diff && diff.scoreDelta !== 0 && (
+                  <span className={diff.scoreDelta > 0 ? 'reason-positive' : 'reason-negative'}>
+                    {diff.scoreDelta > 0 ? '+' : ''}{diff.scoreDelta}
+                  </span>
+                )}
+                <span className="history-summary">
+                  {diff ? summarizeDiff(diff) : '首次评分'} · v{snap.modelVersion}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {comparison && (
+            <>
+              <div className="compare-section-title">快照对比</div>
+              <div className="history-pickers">
+                {['from', 'to'].map(field => (
+                  <select
+                    key={field}
+                    className="form-input"
+                    value={comparison[field === 'from' ? 'fromSnap' : 'toSnap'].id}
+                    onChange={e => pick(field, e.target.value)}
+                  >
+                    {snapshots.map(s => (
+                      <option key={s.id} value={s.id}>
+                        {formatTime(s.timestamp)} · {s.overall} 分
+                      </option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+              <DiffDetail diff={comparison.diff} />
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ScoreHistory;
@@ -0,0 +1,125 @@
+import { useState, useMemo } from 'react';
+
+function SortHeader({ label, sortKey, sort, onSort }) {
+  const isActive = sort.key === sortKey;
+  return (
+    <th
+      className={`leaderboard-th ${isActive ? 'active' : ''}`}
+      onClick={() => onSort(sortKey)}
+      title="点击排序"
+    >
+      {label}{isActive ? (sort.desc ? ' ▼' : ' ▲') : ''}
+    </th>
+  );
+}
+
+function getSortValue(entry, key) {
+  if (key === 'name') return entry.store.name || '';
+  if (key === 'overall') return entry.result.overall;
+  return entry.result.scoreBreakdown[key]?.weighted ?? 0;
+}
+
+function ScoreLeaderboard({ entries, selectedStoreId, onSelectStore }) {
+  const [sort, setSort] = useState({ key: 'overall', desc: true });
+  const [topN, setTopN] = useState(3);
+
+  const sorted = useMemo(() => {
+    const list = [...entries];
+    list.sort((a, b) => {
+      const va = getSortValue(a, sort.key);
+      const vb = getSortValue(b, sort.key);
+      const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+      return sort.desc ? -cmp : cmp;
+    });
+    return list;
+  }, [entries, sort]);
+
+  if (!entries || entries.length === 0) return null;
+
+  // Every registered dimension gets a column
+  const labels = entries[0].result.scoreBreakdown;
+  const dimensionKeys = Object.keys(labels);
+
+  const handleSort = (key) => {
+    setSort(s => ({ key, desc: s.key === key ? !s.desc : key !== 'name' }));
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span>🏆 候选店铺排行（{entries.length}）</span>
+        <label className="leaderboard-topn">
+          前
+          <input
+            type="number"
+            className="form-input"
+            min="1"
+            max={entries.length}
+            value={topN}
+            onChange={e => setTopN(Math.max(1, Number(e.target.value) || 1))}
+          />
+          名
+        </label>
+      </div>
+
+      <div className="leaderboard-scroll">
+        <table className="leaderboard-table">
+          <thead>
+            <tr>
+              <th className="leaderboard-th">#</th>
+              <SortHeader label="店铺" sortKey="name" sort={sort} onSort={handleSort} />
+              <SortHeader label="总分" sortKey="overall" sort={sort} onSort={handleSort} />
+              {dimensionKeys.map(key => (
+                <SortHeader
+                  key={key}
+                  label={labels[key]?.label ?? key}
+                  sortKey={key}
+                  sort={sort}
+                  onSort={handleSort}
+                />
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(entry => {
+              const { store, rank, result } = entry;
+              const isTop = rank <= topN;
+              return (
+                <tr
+                  key={store.id}
+                  className={`leaderboard-row ${isTop ? 'top-pick' : ''} ${store.id === selectedStoreId ? 'selected' : ''}`}
+                  onClick={() => onSelectStore(store.id)}
+                >
+                  <td>{isTop ? '⭐' : ''}{rank}</td>
+                  <td className="leaderboard-name" title={store.displayAddress || store.address}>
+                    {store.name}
+                  </td>
+                  <td>
+                    <span className="leaderboard-grade" style={{ backgroundColor: result.grade.color }}>
+                      {result.grade.letter}
+                    </span>
+                    {result.overall}
+                    {result.confidence?.level === 'low' && (
+                      <span className="confidence-flag" title={result.confidence.issues.join('\n')}>⚠️</span>
+                    )}
+                  </td>
+                  {dimensionKeys.map(key => (
+                    <td key={key} className="leaderboard-pts">
+                      {result.scoreBreakdown[key]?.weighted ?? '—'}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="leaderboard-footnote">
+        维度列为加权得分（方案：{entries[0].result.profile?.name}）· ⚠️ 表示依赖示例数据 · 点击行查看详情
+      </div>
+    </div>
+  );
+}
+
+export default ScoreLeaderboard;
@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import { getWeightLabels, validateProfile } from '../../services/scoringProfiles';
+import { POI_CATEGORIES } from '../../services/poi';
+import { COMPETITORS } from '../../utils/constants';
+
+function NumberField({ label, value, step, onChange }) {
+  return (
+    <label className="profile-field">
+      <span className="profile-field-label">{label}</span>
+      <input
+        type="number"
+        className="form-input profile-field-input"
+        value={value}
+        step={step}
+        min="0"
+        onChange={e => onChange(e.target.value === '' ? NaN : Number(e.target.value))}
+      />
+    </label>
+  );
+}
+
+function ScoringProfileEditor({ profiles, activeProfile, onSelect, onSave, onSaveAs, onDelete }) {
+  const [draft, setDraft] = useState(activeProfile);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  // Reset the draft whenever another profile is selected or saved
+  useEffect(() => {
+    setDraft(activeProfile);
+  }, [activeProfile]);
+
+  if (!draft) return null;
+
+  const validation = validateProfile(draft);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(activeProfile);
+
+  const updateTable = (table, key, value) => {
+    setDraft(d => ({ ...d, [table]: { ...d[table], [key]: value } }));
+  };
+
+  const handleSaveAs = async () => {
+    if (!newName.trim()) return;
+    const result = await onSaveAs(draft, newName.trim());
+    if (result.success) setNewName('');
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">⚖️ 评分方案</div>
+
+      <select
+        className="form-input"
+        style={{ fontSize: '12px', padding: '6px 8px' }}
+        value={activeProfile.id}
+        onChange={e => onSelect(e.target.value)}
+      >
+        {profiles.map(p => (
+          <option key={p.id} value={p.id}>
+            {p.name}{p.modified ? '（已修改）' : ''}
+          </option>
+        ))}
+      </select>
+      {draft.description && (
+        <div className="profile-description">{draft.description}</div>
+      )}
+
+      {/* Dimension weights */}
+      <div className="profile-grid">
+        {Object.entries(getWeightLabels()).map(([key, label]) => (
+          <NumberField
+            key={key}
+            label={label}
+            value={Number.isNaN(draft.weights[key]) ? '' : (draft.weights[key] ?? '')}
+            step="1"
+            onChange={v => updateTable('weights', key, v)}
+          />
+        ))}
+      </div>
+      <div
+        className="profile-total"
+        style={{ color: validation.total === 100 ? '#10B981' : validation.valid ? '#F59E0B' : '#EF4444' }}
+      >
+        权重合计：{validation.total} / 100
+        {validation.valid && validation.total !== 100 && '（含新维度默认权重，评分时按比例折算）'}
+      </div>
+
+      <button
+        className="btn btn-secondary btn-sm btn-block mt-1"
+        onClick={() => setShowAdvanced(!showAdvanced)}
+      >
+        {showAdvanced ? '▲ 收起业态 / 品牌系数' : '▼ 业态 / 品牌系数'}
+      </button>
+
+      {showAdvanced && (
+        <>
+          <div className="profile-section-title">业态价值系数</div>
+          <div className="profile-grid">
+            {Object.keys(draft.categoryValue).map(cat => (
+              <NumberField
+                key={cat}
+                label={`${POI_CATEGORIES[cat]?.icon ?? ''} ${POI_CATEGORIES[cat]?.name ?? cat}`}
+                value={Number.isNaN(draft.categoryValue[cat]) ? '' : draft.categoryValue[cat]}
+                step="0.1"
+                onChange={v => updateTable('categoryValue', cat, v)}
+              />
+            ))}
+          </div>
+          <div className="profile-section-title">竞品品牌系数</div>
+          <div className="profile-grid">
+            {Object.keys(draft.brandWeight).map(brand => (
+              <NumberField
+                key={brand}
+                label={COMPETITORS[brand]?.name ?? brand}
+                value={Number.isNaN(draft.brandWeight[brand]) ? '' : draft.brandWeight[brand]}
+                step="0.1"
+                onChange={v => updateTable('brandWeight', brand, v)}
+              />
+            ))}
+          </div>
+        </>
+      )}
+
+      {!validation.valid && isDirty && (
+        <div className="alert alert-error mt-1" style={{ fontSize: '12px', padding: '8px' }}>
+          {validation.errors.join('；')}
+        </div>
+      )}
+
+      <div className="profile-actions">
+        <button
+          className="btn btn-primary btn-sm"
+          onClick={() => onSave(draft)}
+          disabled={!isDirty || !validation.valid}
+        >
+          保存
+        </button>
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={() => setDraft(activeProfile)}
+          disabled={!isDirty}
+        >
+          撤销
+        </button>
+        {(!activeProfile.builtin || activeProfile.modified) && (
+          <button
+            className="btn btn-danger btn-sm"
+            onClick={() => onDelete(activeProfile.id)}
+          >
+            {activeProfile.builtin ? '恢复默认' : '删除'}
+          </button>
+        )}
+      </div>
+
+      <div className="profile-save-as">
+        <input
+          type="text"
+          className="form-input"
+          style={{ fontSize: '12px', padding: '6px 8px' }}
+          placeholder="新方案名称"
+          value={newName}
+          onChange={e => setNewName(e.target.value)}
+        />
+        <button
+          className="btn btn-success btn-sm"
+          onClick={handleSaveAs}
+          disabled={!newName.trim() || !validation.valid}
+        >
+          另存为
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ScoringProfileEditor;
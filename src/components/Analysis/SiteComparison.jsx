@@ -0,0 +1,189 @@
+import { useState, useMemo } from 'react';
+import {
+  MAX_COMPARE_SITES,
+  COMPARE_COLORS,
+  buildRadarSeries,
+  diffReasons
+} from '../../services/comparison';
+import { generateDailyTrafficData } from '../../services/scoring';
+
+const RADAR_SIZE = 220;
+const RADAR_RADIUS = 80;
+
+function polarPoint(index, count, value) {
+  const angle = (Math.PI * 2 * index) / count - Math.PI / 2;
+  const r = (value / 100) * RADAR_RADIUS;
+  return [RADAR_SIZE / 2 + r * Math.cos(angle), RADAR_SIZE / 2 + r * Math.sin(angle)];
+}
+
+function RadarChart({ axes, series }) {
+  const rings = [25, 50, 75, 100];
+  return (
+    <svg width="100%" viewBox={`0 0 ${RADAR_SIZE} ${RADAR_SIZE}`} className="radar-chart">
+      {/* Grid rings */}
+      {rings.map(v => (
+        <polygon
+          key={v}
+          points={axes.map((_, i) => polarPoint(i, axes.length, v).join(',')).join(' ')}
+          fill="none"
+          stroke="#E5E7EB"
+          strokeWidth="1"
+        />
+      ))}
+      {/* Axes + labels */}
+      {axes.map((axis, i) => {
+        const [x, y] = polarPoint(i, axes.length, 100);
+        const [lx, ly] = polarPoint(i, axes.length, 122);
+        return (
+          <g key={axis.key}>
+            <line x1={RADAR_SIZE / 2} y1={RADAR_SIZE / 2} x2={x} y2={y} stroke="#E5E7EB" />
+            <text x={lx} y={ly} textAnchor="middle" dominantBaseline="middle" fontSize="10" fill="#6B7280">
+              {axis.label}
+            </text>
+          </g>
+        );
+      })}
+      {/* One polygon per site */}
+      {series.map((values, s) => (
+        <polygon
+          key={s}
+          points={values.map((v, i) => polarPoint(i, axes.length, v).join(',')).join(' ')}
+          fill={COMPARE_COLORS[s]}
+          fillOpacity="0.12"
+          stroke={COMPARE_COLORS[s]}
+          strokeWidth="2"
+        />
+      ))}
+    </svg>
+  );
+}
+
+function TrafficOverlay({ curves }) {
+  const width = 240;
+  const height = 90;
+  const max = Math.max(1, ...curves.flatMap(c => c.map(p => p.visitors)));
+  const toPoints = curve => curve
+    .map((p, i) => `${(i / 23) * width},${height - (p.visitors / max) * height}`)
+    .join(' ');
+
+  return (
+    <svg width="100%" viewBox={`0 -4 ${width} ${height + 18}`} className="traffic-overlay">
+      {[0, 6, 12, 18, 23].map(h => (
+        <text key={h} x={(h / 23) * width} y={height + 12} fontSize="9" fill="#9CA3AF" textAnchor="middle">
+          {h}
+        </text>
+      ))}
+      <line x1="0" y1={height} x2={width} y2={height} stroke="#E5E7EB" />
+      {curves.map((curve, s) => (
+        <polyline
+          key={s}
+          points={toPoints(curve)}
+          fill="none"
+          stroke={COMPARE_COLORS[s]}
+          strokeWidth="2"
+        />
+      ))}
+    </svg>
+  );
+}
+
+function SiteComparison({ entries }) {
+  const [compareIds, setCompareIds] = useState(() =>
+    entries.slice(0, 2).map(e => e.store.id)
+  );
+
+  const selected = useMemo(() => {
+    return compareIds
+      .map(id => entries.find(e => e.store.id === id))
+      .filter(Boolean);
+  }, [entries, compareIds]);
+
+  const radar = useMemo(() => buildRadarSeries(selected), [selected]);
+  const reasonRows = useMemo(() => diffReasons(selected), [selected]);
+  const curves = useMemo(() => selected.map(e =>
+    generateDailyTrafficData(e.pois, false, e.result.mtaInfo)
+  ), [selected]);
+
+  const toggleStore = (storeId) => {
+    setCompareIds(ids => {
+      if (ids.includes(storeId)) return ids.filter(id => id !== storeId);
+      if (ids.length >= MAX_COMPARE_SITES) return ids;
+      return [...ids, storeId];
+    });
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">🆚 多店对比（最多 {MAX_COMPARE_SITES} 家）</div>
+
+      {/* Site picker */}
+      <div className="compare-picker">
+        {entries.map(({ store, result }) => {
+          const idx = compareIds.indexOf(store.id);
+          const isOn = idx >= 0;
+          return (
+            <button
+              key={store.id}
+              className={`compare-chip ${isOn ? 'active' : ''}`}
+              style={isOn ? { borderColor: COMPARE_COLORS[idx], color: COMPARE_COLORS[idx] } : undefined}
+              onClick={() => toggleStore(store.id)}
+              disabled={!isOn && compareIds.length >= MAX_COMPARE_SITES}
+            >
+              {store.name} · {result.overall}
+            </button>
+          );
+        })}
+      </div>
+
+      {selected.length < 2 ? (
+        <div className="alert alert-info" style={{ fontSize: '12px' }}>请至少选择 2 家店铺进行对比</div>
+      ) : (
+        <>
+          {/* Legend */}
+          <div className="compare-legend">
+            {selected.map(({ store, result }, i) => (
+              <span key={store.id}>
+                <span className="legend-dot" style={{ background: COMPARE_COLORS[i] }} />
+                {store.name}（{result.grade.letter} {result.overall}）
+                {result.confidence?.level === 'low' && (
+                  <span className="confidence-flag" title={result.confidence.issues.join('\n')}>⚠️</span>
+                )}
+              </span>
+            ))}
+          </div>
+
+          <div className="compare-section-title">维度雷达（得分率 %）</div>
+          <RadarChart axes={radar.axes} series={radar.series} />
+
+          <div className="compare-section-title">工作日逐小时到店人次</div>
+          <TrafficOverlay curves={curves} />
+
+          <div className="compare-section-title">评分理由差异</div>
+          <div className="compare-reasons">
+            {reasonRows.map(row => (
+              <div key={row.key} className={`compare-reason-row compare-${row.status}`}>
+                <div className="compare-reason-topic">
+                  {row.topic}
+                  <span className="compare-reason-status">
+                    {row.status === 'shared' ? '相同' : row.status === 'differs' ? '有差异' : '部分店铺'}
+                  </span>
+                </div>
+                {row.cells.map((cell, i) => (
+                  <div key={i} className="compare-reason-cell" style={{ borderLeftColor: COMPARE_COLORS[i] }}>
+                    {cell.length > 0
+                      ? cell.map((r, j) => (
+                          <div key={j} className={`reason-${r.type}`}>{r.icon} {r.text}</div>
+                        ))
+                      : <span className="compare-reason-empty">—</span>}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SiteComparison;
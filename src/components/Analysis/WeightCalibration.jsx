@@ -0,0 +1,172 @@
+import { useState } from 'react';
+
+const formatUSD = (v) => `$${Math.round(v).toLocaleString()}`;
+const formatPct = (v) => `${Math.round(v * 100)}%`;
+
+function WeightCalibration({
+  activeProfile,
+  rows,
+  parseErrors,
+  progress,
+  isRunning,
+  result,
+  skipped,
+  error,
+  onImport,
+  onRun,
+  onApply,
+  onReset
+}) {
+  const [profileName, setProfileName] = useState('营收校准方案');
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => onImport(String(reader.result));
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">📐 权重校准（基于现有门店营收）</div>
+
+      <div className="leaderboard-footnote" style={{ marginTop: 0 }}>
+        CSV 列：name, address, lat, lng, monthly_revenue（lat/lng 可留空，按地址解析）
+      </div>
+      <input type="file" accept=".csv,text/csv" className="form-input" onChange={handleFile} disabled={isRunning} />
+
+      {parseErrors.length > 0 && (
+        <div className="alert alert-warning mt-1" style={{ fontSize: '12px', display: 'block' }}>
+          {parseErrors.slice(0, 5).map((e, i) => <div key={i}>{e}</div>)}
+          {parseErrors.length > 5 && <div>… 共 {parseErrors.length} 处问题</div>}
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <div className="leaderboard-footnote">
+            已导入 {rows.length} 家门店 · 将以「{activeProfile.name}」的评分模型计算各维度原始分
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '8px' }}>
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={() => onRun(activeProfile)}
+              disabled={isRunning}
+            >
+              {isRunning ? `获取数据并评分 ${Math.round(progress * 100)}%` : '开始校准'}
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={onReset} disabled={isRunning}>
+              清空
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <div className="alert alert-error mt-1" style={{ fontSize: '12px' }}>{error}</div>
+      )}
+
+      {skipped.length > 0 && (
+        <div className="leaderboard-footnote">
+          已排除 {skipped.length} 家：{skipped.map(s => `${s.name}（${s.reason}）`).join('、')}
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div className="chart-stats mt-1">
+            <div className="chart-stat">
+              <div className="chart-stat-value">{result.quality.r2.toFixed(2)}</div>
+              <div className="chart-stat-label">R²（校准后）</div>
+            </div>
+            <div className="chart-stat">
+              <div className="chart-stat-value">{result.baseline.r2.toFixed(2)}</div>
+              <div className="chart-stat-label">R²（当前权重）</div>
+            </div>
+            <div className="chart-stat">
+              <div className="chart-stat-value">{formatPct(result.quality.mape)}</div>
+              <div className="chart-stat-label">平均误差</div>
+            </div>
+            <div className="chart-stat">
+              <div className="chart-stat-value">{result.quality.spearman.toFixed(2)}</div>
+              <div className="chart-stat-label">排序相关</div>
+            </div>
+          </div>
+
+          <div className="compare-section-title">校准权重</div>
+          <table className="finance-table">
+            <thead>
+              <tr>
+                <th>维度</th>
+                <th>当前</th>
+                <th>校准</th>
+                <th>每分营收</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.dimensions.map(d => (
+                <tr key={d.key}>
+                  <td>{d.label}</td>
+                  <td>{activeProfile.weights[d.weightKey] ?? '—'}</td>
+                  <td>{d.weight}</td>
+                  <td>{formatUSD(d.coefficient)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="compare-section-title">各门店拟合（月营收）</div>
+          <table className="finance-table">
+            <thead>
+              <tr>
+                <th>门店</th>
+                <th>实际</th>
+                <th>拟合</th>
+                <th>当前评分</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.stores.map(s => (
+                <tr key={s.id}>
+                  <td>{s.name}</td>
+                  <td>{formatUSD(s.revenue)}</td>
+                  <td className={Math.abs(s.predicted - s.revenue) / s.revenue > 0.25 ? 'contribution-negative' : ''}>
+                    {formatUSD(s.predicted)}
+                  </td>
+                  <td>{s.overall}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {result.warnings.map((w, i) => (
+            <div key={i} className="reason-neutral" style={{ fontSize: '12px' }}>⚠️ {w}</div>
+          ))}
+
+          <div className="profile-save-as mt-1">
+            <input
+              className="form-input"
+              value={profileName}
+              onChange={e => setProfileName(e.target.value)}
+              placeholder="新方案名称"
+            />
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={() => onApply(result.weights, profileName.trim())}
+              disabled={!profileName.trim()}
+            >
+              保存为新方案
+            </button>
+          </div>
+          <div className="leaderboard-footnote">
+            业态 / 品牌系数沿用「{activeProfile.name}」，保存后自动切换到新方案
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WeightCalibration;
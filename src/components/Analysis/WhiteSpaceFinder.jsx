@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { GRID_CELL_OPTIONS, DEFAULT_CELL_MILES } from '../../services/whiteSpace';
+
+function WhiteSpaceFinder({
+  suggestions,
+  area,
+  progress,
+  isRunning,
+  summary,
+  error,
+  isDrawingArea,
+  onToggleDrawing,
+  onClearArea,
+  onRun,
+  onPromote,
+  onClear
+}) {
+  const [cellMiles, setCellMiles] = useState(DEFAULT_CELL_MILES);
+  const [limit, setLimit] = useState(10);
+
+  return (
+    <div className="card">
+      <div className="card-header">🧭 空白点搜索</div>
+
+      <div className="profile-grid">
+        <label className="profile-field">
+          <span className="profile-field-label">格子尺寸</span>
+          <select
+            className="form-input profile-field-input"
+            value={cellMiles}
+            onChange={e => setCellMiles(Number(e.target.value))}
+            disabled={isRunning}
+          >
+            {GRID_CELL_OPTIONS.map(v => (
+              <option key={v} value={v}>{v} 英里</option>
+            ))}
+          </select>
+        </label>
+        <label className="profile-field">
+          <span className="profile-field-label">建议数量</span>
+          <input
+            type="number"
+            className="form-input profile-field-input"
+            min="1"
+            max="30"
+            value={limit}
+            onChange={e => setLimit(Math.max(1, Number(e.target.value) || 1))}
+            disabled={isRunning}
+          />
+        </label>
+      </div>
+
+      <div className="whitespace-area">
+        <span>范围：{area ? '已框选区域' : '纽约全市'}</span>
+        <button
+          className={`btn btn-sm ${isDrawingArea ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={onToggleDrawing}
+          disabled={isRunning}
+        >
+          {isDrawingArea ? '点击地图两角…' : '✏️ 框选区域'}
+        </button>
+        {area && (
+          <button className="btn btn-secondary btn-sm" onClick={onClearArea} disabled={isRunning}>
+            全市
+          </button>
+        )}
+      </div>
+
+      <button
+        className="btn btn-primary btn-sm btn-block"
+        onClick={() => onRun({ cellMiles, limit })}
+        disabled={isRunning}
+      >
+        {isRunning ? `评分中 ${Math.round(progress * 100)}%` : '开始网格评分'}
+      </button>
+
+      {error && (
+        <div className="alert alert-error mt-1" style={{ fontSize: '12px' }}>{error}</div>
+      )}
+
+      {summary && (
+        <div className="leaderboard-footnote">
+          已评分 {summary.cellCount} 格（{summary.cellMiles} 英里）· 本地数据：缓存 POI {summary.poiCount}、
+          竞品 {summary.competitorCount}、MTA 站点客流 · POI 仅覆盖已缓存区域
+        </div>
+      )}
+
+      {suggestions.length > 0 && (
+        <div className="whitespace-list">
+          {suggestions.map(s => (
+            <div key={s.id} className="whitespace-row">
+              <span className="leaderboard-grade" style={{ backgroundColor: s.result.grade.color }}>
+                {s.result.grade.letter}
+              </span>
+              <div className="whitespace-info">
+                <div className="whitespace-title">#{s.rank} · {s.result.overall} 分</div>
+                <div className="whitespace-meta">
+                  {s.result.mtaInfo ? s.result.mtaInfo.station.name : '无步行可达地铁站'}
+                  {' · '}竞品 {s.competitorCount}
+                </div>
+              </div>
+              <button className="btn btn-secondary btn-sm" onClick={() => onPromote(s)}>
+                ➕ 设为店铺
+              </button>
+            </div>
+          ))}
+          <button className="btn btn-secondary btn-sm btn-block mt-1" onClick={onClear}>
+            清除建议
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WhiteSpaceFinder;
@@ -1,4 +1,62 @@
-function StoreList({ stores, onRemoveStore, showOrder = false }) {
+import { useState } from 'react';
+import { OPTIMIZATION } from '../../utils/constants';
+import { formatClock } from '../../services/schedule';
+
+// Showing window + dwell time for one store
+function VisitWindowEditor({ store, onSave, onClose }) {
+  const [start, setStart] = useState(store.visitWindow?.start ?? '');
+  const [end, setEnd] = useState(store.visitWindow?.end ?? '');
+  const [dwell, setDwell] = useState(store.dwellMinutes ?? OPTIMIZATION.DEFAULT_DWELL_MINUTES);
+
+  const invalid = start && end && end < start;
+
+  const handleSave = () => {
+    onSave(store.id, {
+      visitWindow:  start || end ? { start: start || null, end: end || null } : null,
+      dwellMinutes: dwell === '' ? OPTIMIZATION.DEFAULT_DWELL_MINUTES : Math.max(0, Number(dwell))
+    });
+    onClose();
+  };
+
+  return (
+    <div className="visit-window-editor" onClick={e => e.stopPropagation()}>
+      <div className="visit-window-fields">
+        <input type="time" className="form-input" value={start} onChange={e => setStart(e.target.value)} />
+        <span>–</span>
+        <input type="time" className="form-input" value={end} onChange={e => setEnd(e.target.value)} />
+        <input
+          type="number"
+          className="form-input visit-window-dwell"
+          min="0"
+          step="5"
+          value={dwell}
+          onChange={e => setDwell(e.target.value)}
+        />
+        <span>分钟</span>
+      </div>
+      {invalid && <div className="visit-window-late">结束时间早于开始时间</div>}
+      <div className="visit-window-actions">
+        <button className="btn btn-primary btn-sm" onClick={handleSave} disabled={invalid}>保存</button>
+        {store.visitWindow && (
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => {
+              setStart('');
+              setEnd('');
+            }}
+          >
+            清除时间窗
+          </button>
+        )}
+        <button className="btn btn-secondary btn-sm" onClick={onClose}>取消</button>
+      </div>
+    </div>
+  );
+}
+
+function StoreList({ stores, onRemoveStore, onUpdateStore, schedule = null, showOrder = false }) {
+  const [editingId, setEditingId] = useState(null);
+
   if (!stores || stores.length === 0) {
     return (
       <div className="alert alert-info">
@@ -7,35 +65,70 @@ function StoreList({ stores, onRemoveStore, showOrder = false }) {
     );
   }
 
+  const stopsById = new Map((schedule?.stops ?? []).map(stop => [stop.store.id, stop]));
+
   return (
     <ul className="store-list">
-      {stores.map((store, index) => (
-        <li key={store.id} className="store-item">
-          <div style={{ display: 'flex', alignItems: 'flex-start', flex: 1 }}>
-            {showOrder && (
-              <span className="store-item-number">{index + 1}</span>
-            )}
-            <div className="store-item-info">
-              <div className="store-item-name">{store.name}</div>
-              <div className="store-item-address">
-                {store.displayAddress || store.address}
-              </div>
-              <div style={{ fontSize: '0.7rem', color: '#9CA3AF', marginTop: '4px' }}>
-                坐标: {store.coordinates.lat.toFixed(4)}, {store.coordinates.lng.toFixed(4)}
+      {stores.map((store, index) => {
+        const stop = stopsById.get(store.id);
+        return (
+          <li key={store.id} className="store-item">
+            <div style={{ display: 'flex', alignItems: 'flex-start', flex: 1 }}>
+              {showOrder && (
+                <span className="store-item-number">{index + 1}</span>
+              )}
+              <div className="store-item-info">
+                <div className="store-item-name">{store.name}</div>
+                <div className="store-item-address">
+                  {store.displayAddress || store.address}
+                </div>
+                <div style={{ fontSize: '0.7rem', color: '#9CA3AF', marginTop: '4px' }}>
+                  坐标: {store.coordinates.lat.toFixed(4)}, {store.coordinates.lng.toFixed(4)}
+                </div>
+                {store.visitWindow && (
+                  <div className="visit-window-tag">
+                    ⏰ 看铺 {store.visitWindow.start || '…'}–{store.visitWindow.end || '…'}
+                    {' · '}停留 {store.dwellMinutes ?? OPTIMIZATION.DEFAULT_DWELL_MINUTES} 分钟
+                  </div>
+                )}
+                {stop && (
+                  <div className={`visit-window-time ${stop.late ? 'visit-window-late' : ''}`}>
+                    🕒 {formatClock(stop.arrival)} 到达
+                    {stop.wait >= 1 ? ` · 等待 ${Math.round(stop.wait)} 分钟` : ''}
+                    {' → '}{formatClock(stop.departure)} 离开
+                    {stop.late && ` · ⚠️ 时间窗已过（晚 ${Math.round(stop.lateBy)} 分钟）`}
+                  </div>
+                )}
+                {editingId === store.id && (
+                  <VisitWindowEditor
+                    store={store}
+                    onSave={onUpdateStore}
+                    onClose={() => setEditingId(null)}
+                  />
+                )}
               </div>
             </div>
-          </div>
-          <div className="store-item-actions">
-            <button
-              className="btn btn-danger btn-sm"
-              onClick={() => onRemoveStore(store.id)}
-              title="删除店铺"
-            >
-              ×
-            </button>
-          </div>
-        </li>
-      ))}
+            <div className="store-item-actions">
+              {onUpdateStore && (
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => setEditingId(editingId === store.id ? null : store.id)}
+                  title="设置看铺时间窗"
+                >
+                  ⏰
+                </button>
+              )}
+              <button
+                className="btn btn-danger btn-sm"
+                onClick={() => onRemoveStore(store.id)}
+                title="删除店铺"
+              >
+                ×
+              </button>
+            </div>
+          </li>
+        );
+      })}
     </ul>
   );
 }
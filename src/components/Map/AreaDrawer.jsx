@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { Rectangle, useMapEvents } from 'react-leaflet';
+
+/**
+ * Two-click rectangle drawing: first click sets one corner, second click
+ * the opposite corner. Reports { north, south, east, west } when done.
+ */
+function AreaDrawer({ onAreaDrawn }) {
+  const [corner, setCorner] = useState(null);
+  const [hover, setHover] = useState(null);
+
+  useMapEvents({
+    click(e) {
+      if (!corner) {
+        setCorner(e.latlng);
+        return;
+      }
+      onAreaDrawn({
+        north: Math.max(corner.lat, e.latlng.lat),
+        south: Math.min(corner.lat, e.latlng.lat),
+        east:  Math.max(corner.lng, e.latlng.lng),
+        west:  Math.min(corner.lng, e.latlng.lng)
+      });
+      setCorner(null);
+      setHover(null);
+    },
+    mousemove(e) {
+      if (corner) setHover(e.latlng);
+    }
+  });
+
+  if (!corner || !hover) return null;
+
+  return (
+    <Rectangle
+      bounds={[[corner.lat, corner.lng], [hover.lat, hover.lng]]}
+      pathOptions={{ color: '#8B5CF6', weight: 2, fillOpacity: 0.08, dashArray: '6, 6' }}
+    />
+  );
+}
+
+export default AreaDrawer;
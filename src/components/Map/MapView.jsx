@@ -1,11 +1,14 @@
 import { useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, Circle } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, Circle, Rectangle } from 'react-leaflet';
 import L from 'leaflet';
 import { MAP_CONFIG, NYC_BOUNDS } from '../../utils/constants';
 import { calculateCenter } from '../../utils/distance';
 import CompetitorMarker from './CompetitorMarker';
 import SubwayStationMarker from './SubwayStationMarker';
 import POIZone from './POIZone';
+import SuggestionMarker from './SuggestionMarker';
+import AreaDrawer from './AreaDrawer';
+import ScenarioLayer from './ScenarioLayer';
 
 // Fix for default marker icons in React-Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -16,12 +19,12 @@ L.Icon.Default.mergeOptions({
 });
 
 // Custom marker icons
-const createNumberedIcon = (number) => {
+const createNumberedIcon = (number, color = MAP_CONFIG.STORE_COLOR) => {
   return L.divIcon({
     className: 'custom-numbered-icon',
     html: `
       <div style="
-        background-color: ${MAP_CONFIG.STORE_COLOR};
+        background-color: ${color};
         color: white;
         width: 32px;
         height: 32px;
@@ -72,6 +75,30 @@ const currentLocationIcon = L.divIcon({
   iconAnchor: [20, 20],
 });
 
+const ourStoreIcon = L.divIcon({
+  className: 'custom-our-store-icon',
+  html: `
+    <div style="
+      background-color: ${MAP_CONFIG.OUR_STORE_COLOR};
+      color: white;
+      width: 30px;
+      height: 30px;
+      border-radius: 6px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-weight: bold;
+      font-size: 14px;
+      border: 3px solid white;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+    ">
+      C
+    </div>
+  `,
+  iconSize: [30, 30],
+  iconAnchor: [15, 15],
+});
+
 // Map controller to auto-fit bounds
 function MapController({ currentLocation, stores }) {
   const map = useMap();
@@ -106,6 +133,8 @@ function MapView({
   currentLocation,
   stores,
   optimizedRoute,
+  routeGroups = [],
+  returnToStart = false,
   showCompetitors,
   competitors = [],
   showSubway = false,
@@ -113,16 +142,49 @@ function MapView({
   showPOIZones = false,
   poiAnalysisByStore = {},
   showHeatmap = false,
-  heatmapData = []
+  heatmapData = [],
+  storeGrades = null,
+  showOurStores = false,
+  ourStores = [],
+  suggestions = [],
+  onPromoteSuggestion,
+  searchArea = null,
+  isDrawingArea = false,
+  onAreaDrawn,
+  scenarioSite = null,
+  scenario = null,
+  scenarioPOIs = [],
+  scenarioTool = null,
+  onScenarioPlace,
+  onScenarioMove,
+  onScenarioRemove,
+  onScenarioRestore,
+  onScenarioToggleStation
 }) {
-  // Calculate route path
-  const routePath = [];
-  if (currentLocation && optimizedRoute.length > 0) {
-    routePath.push([currentLocation.coordinates.lat, currentLocation.coordinates.lng]);
-    optimizedRoute.forEach(store => {
-      routePath.push([store.coordinates.lat, store.coordinates.lng]);
+  // Calculate route paths: one per group (day / scout), each from its own start
+  const buildPath = (route, start = currentLocation.coordinates) => {
+    const path = [[start.lat, start.lng]];
+    route.forEach(store => {
+      path.push([store.coordinates.lat, store.coordinates.lng]);
     });
-  }
+    if (returnToStart) {
+      path.push([start.lat, start.lng]);
+    }
+    return path;
+  };
+  const routePaths = !currentLocation ? [] : routeGroups.length > 0
+    ? routeGroups
+      .filter(group => group.route.length > 0)
+      .map(group => ({ key: group.key, color: group.color, positions: buildPath(group.route, group.start ?? undefined) }))
+    : optimizedRoute.length > 0
+      ? [{ key: 'route', color: MAP_CONFIG.ROUTE_COLOR, positions: buildPath(optimizedRoute) }]
+      : [];
+
+  // Store id → { group, index } for numbering within a group
+  const groupStops = new Map();
+  routeGroups.forEach(group => {
+    group.route.forEach((store, index) => groupStops.set(store.id, { group, index }));
+  });
 
   return (
     <MapContainer
@@ -154,18 +216,37 @@ function MapView({
         </Marker>
       )}
 
+      {/* Teammates' start locations */}
+      {routeGroups.filter(group => group.start && group.key !== 'scout-self').map(group => (
+        <Marker
+          key={`start-${group.key}`}
+          position={[group.start.lat, group.start.lng]}
+          icon={createNumberedIcon('👤', group.color)}
+        >
+          <Popup>
+            <div>
+              <strong>{group.label}</strong>
+              <br />
+              <small>出发位置 · {group.route.length} 家店铺</small>
+            </div>
+          </Popup>
+        </Marker>
+      ))}
+
       {/* Store Markers */}
       {stores.map((store, index) => {
         // Find store's position in optimized route
-        const routeIndex = optimizedRoute.findIndex(s => s.id === store.id);
+        const groupStop = groupStops.get(store.id);
+        const routeIndex = groupStop ? groupStop.index : optimizedRoute.findIndex(s => s.id === store.id);
         const displayNumber = routeIndex >= 0 ? routeIndex + 1 : index + 1;
         const isInRoute = routeIndex >= 0;
+        const grade = storeGrades?.[store.id];
 
         return (
           <Marker
             key={store.id}
             position={[store.coordinates.lat, store.coordinates.lng]}
-            icon={createNumberedIcon(displayNumber)}
+            icon={createNumberedIcon(displayNumber, groupStop?.group.color ?? grade?.color)}
             opacity={isInRoute || optimizedRoute.length === 0 ? 1 : 0.5}
           >
             <Popup>
@@ -173,11 +254,19 @@ function MapView({
                 <strong>{store.name}</strong>
                 <br />
                 <small>{store.displayAddress || store.address}</small>
+                {grade && (
+                  <>
+                    <br />
+                    <span style={{ color: grade.color, fontWeight: 'bold' }}>
+                      评级: {grade.letter} {grade.label}
+                    </span>
+                  </>
+                )}
                 {isInRoute && (
                   <>
                     <br />
-                    <span style={{ color: MAP_CONFIG.STORE_COLOR, fontWeight: 'bold' }}>
-                      访问顺序: #{displayNumber}
+                    <span style={{ color: groupStop?.group.color ?? MAP_CONFIG.STORE_COLOR, fontWeight: 'bold' }}>
+                      {groupStop ? `${groupStop.group.label} · ` : ''}访问顺序: #{displayNumber}
                     </span>
                   </>
                 )}
@@ -187,19 +276,39 @@ function MapView({
         );
       })}
 
-      {/* Route Line */}
-      {routePath.length > 1 && (
+      {/* Opened Cotti stores */}
+      {showOurStores && ourStores.map(store => (
+        <Marker
+          key={`our-${store.id}`}
+          position={[store.coordinates.lat, store.coordinates.lng]}
+          icon={ourStoreIcon}
+        >
+          <Popup>
+            <div>
+              <strong>{store.name}</strong>
+              <br />
+              <small>{store.displayAddress || store.address}</small>
+              <br />
+              <span style={{ color: MAP_CONFIG.OUR_STORE_COLOR, fontWeight: 'bold' }}>已开业门店</span>
+            </div>
+          </Popup>
+        </Marker>
+      ))}
+
+      {/* Route Lines */}
+      {routePaths.map(path => (
         <Polyline
-          positions={routePath}
-          color={MAP_CONFIG.ROUTE_COLOR}
+          key={path.key}
+          positions={path.positions}
+          color={path.color}
           weight={4}
           opacity={0.7}
           dashArray="10, 10"
         />
-      )}
+      ))}
 
-      {/* Competitor Markers */}
-      {showCompetitors && competitors.map(competitor => (
+      {/* Competitor Markers (the scenario layer draws its own, editable ones) */}
+      {showCompetitors && !scenarioSite && competitors.map(competitor => (
         <CompetitorMarker
           key={competitor.id}
           competitor={competitor}
@@ -248,6 +357,40 @@ function MapView({
           />
         );
       })}
+
+      {/* White-space search area */}
+      {searchArea && (
+        <Rectangle
+          bounds={[[searchArea.south, searchArea.west], [searchArea.north, searchArea.east]]}
+          pathOptions={{ color: '#8B5CF6', weight: 2, fill: false, dashArray: '6, 6' }}
+        />
+      )}
+      {isDrawingArea && <AreaDrawer onAreaDrawn={onAreaDrawn} />}
+
+      {/* What-if scenario edits around the selected store */}
+      {scenarioSite && scenario && (
+        <ScenarioLayer
+          site={scenarioSite}
+          pois={scenarioPOIs}
+          competitors={competitors}
+          scenario={scenario}
+          tool={scenarioTool}
+          onPlace={onScenarioPlace}
+          onMove={onScenarioMove}
+          onRemove={onScenarioRemove}
+          onRestore={onScenarioRestore}
+          onToggleStation={onScenarioToggleStation}
+        />
+      )}
+
+      {/* White-space suggestions */}
+      {suggestions.map(suggestion => (
+        <SuggestionMarker
+          key={`suggestion-${suggestion.id}`}
+          suggestion={suggestion}
+          onPromote={onPromoteSuggestion}
+        />
+      ))}
     </MapContainer>
   );
 }
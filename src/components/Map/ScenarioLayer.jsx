@@ -0,0 +1,208 @@
+import { Marker, Popup, Circle, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { getBrandInfo } from '../../services/competitors';
+import { POI_CATEGORIES } from '../../services/poi';
+import { getNearestStations } from '../../services/mtaRidership';
+import { applyEdits, getRemovedIds, getClosedStationIds } from '../../services/scenario';
+import { calculateDistance } from '../../utils/distance';
+
+// Records this close to the site are editable on the map
+const EDIT_RADIUS_MILES = 0.5;
+
+const createScenarioIcon = (content, color, { hypothetical = false, faded = false, size = 24 } = {}) => {
+  return L.divIcon({
+    className: 'custom-scenario-icon',
+    html: `
+      <div style="
+        background-color: ${color};
+        color: white;
+        width: ${size}px;
+        height: ${size}px;
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: ${Math.round(size / 2)}px;
+        font-weight: bold;
+        border: 2px ${hypothetical ? 'dashed #111827' : 'solid white'};
+        box-shadow: 0 2px 6px rgba(0,0,0,0.3);
+        opacity: ${faded ? 0.35 : 0.95};
+      ">
+        ${content}
+      </div>
+    `,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
+
+// Map clicks place the active tool's hypothetical record
+function ScenarioPlacer({ onPlace }) {
+  useMapEvents({
+    click(e) {
+      onPlace({ lat: e.latlng.lat, lng: e.latlng.lng });
+    }
+  });
+  return null;
+}
+
+function EditableMarker({ record, kind, icon, subtitle, onMove, onRemove }) {
+  return (
+    <Marker
+      position={[record.coordinates.lat, record.coordinates.lng]}
+      icon={icon}
+      draggable={true}
+      eventHandlers={{
+        dragend: e => {
+          const { lat, lng } = e.target.getLatLng();
+          onMove(kind, record, { lat, lng });
+        }
+      }}
+    >
+      <Popup>
+        <div style={{ fontSize: '12px' }}>
+          <strong>{record.name}</strong>
+          <div style={{ color: '#6B7280', margin: '2px 0 6px' }}>
+            {subtitle}{record.hypothetical ? ' · 假设' : ''}
+          </div>
+          <button className="btn btn-secondary btn-sm" onClick={() => onRemove(kind, record)}>
+            {record.hypothetical ? '删除' : '移除（情景）'}
+          </button>
+        </div>
+      </Popup>
+    </Marker>
+  );
+}
+
+function RemovedMarker({ record, kind, icon, onRestore }) {
+  return (
+    <Marker position={[record.coordinates.lat, record.coordinates.lng]} icon={icon}>
+      <Popup>
+        <div style={{ fontSize: '12px' }}>
+          <strong>{record.name}</strong>
+          <div style={{ color: '#6B7280', margin: '2px 0 6px' }}>情景中已移除</div>
+          <button className="btn btn-secondary btn-sm" onClick={() => onRestore(kind, record.id)}>
+            恢复
+          </button>
+        </div>
+      </Popup>
+    </Marker>
+  );
+}
+
+function ScenarioLayer({
+  site,
+  pois = [],
+  competitors = [],
+  scenario,
+  tool,
+  onPlace,
+  onMove,
+  onRemove,
+  onRestore,
+  onToggleStation
+}) {
+  const { lat, lng } = site.coordinates;
+  const inRange = r => r.coordinates &&
+    calculateDistance(lat, lng, r.coordinates.lat, r.coordinates.lng) <= EDIT_RADIUS_MILES;
+
+  const editedCompetitors = applyEdits(competitors, scenario, 'competitor').filter(inRange);
+  const editedPOIs = applyEdits(pois, scenario, 'poi').filter(inRange);
+
+  const removedCompetitorIds = getRemovedIds(scenario, 'competitor');
+  const removedPOIIds = getRemovedIds(scenario, 'poi');
+  const removedCompetitors = competitors.filter(c => removedCompetitorIds.includes(c.id) && inRange(c));
+  const removedPOIs = pois.filter(p => removedPOIIds.includes(p.id) && inRange(p));
+
+  const closedIds = getClosedStationIds(scenario);
+  const stations = getNearestStations(lat, lng, 10, EDIT_RADIUS_MILES);
+
+  return (
+    <>
+      {/* Scoring radius around the site */}
+      <Circle
+        center={[lat, lng]}
+        radius={500}
+        pathOptions={{ color: '#8B5CF6', weight: 2, fill: false, dashArray: '4, 8' }}
+      />
+
+      {tool && <ScenarioPlacer onPlace={onPlace} />}
+
+      {editedCompetitors.map(c => {
+        const brand = getBrandInfo(c.brand);
+        return (
+          <EditableMarker
+            key={`scenario-comp-${c.id}`}
+            record={c}
+            kind="competitor"
+            icon={createScenarioIcon(brand.icon, brand.color, { hypothetical: c.hypothetical, size: 28 })}
+            subtitle={brand.name}
+            onMove={onMove}
+            onRemove={onRemove}
+          />
+        );
+      })}
+      {removedCompetitors.map(c => {
+        const brand = getBrandInfo(c.brand);
+        return (
+          <RemovedMarker
+            key={`scenario-comp-removed-${c.id}`}
+            record={c}
+            kind="competitor"
+            icon={createScenarioIcon('✕', brand.color, { faded: true, size: 28 })}
+            onRestore={onRestore}
+          />
+        );
+      })}
+
+      {editedPOIs.map(p => {
+        const category = POI_CATEGORIES[p.category];
+        return (
+          <EditableMarker
+            key={`scenario-poi-${p.id}`}
+            record={p}
+            kind="poi"
+            icon={createScenarioIcon(category?.icon ?? '📍', category?.color ?? '#6B7280', { hypothetical: p.hypothetical, size: 20 })}
+            subtitle={category?.name ?? p.category}
+            onMove={onMove}
+            onRemove={onRemove}
+          />
+        );
+      })}
+      {removedPOIs.map(p => (
+        <RemovedMarker
+          key={`scenario-poi-removed-${p.id}`}
+          record={p}
+          kind="poi"
+          icon={createScenarioIcon('✕', POI_CATEGORIES[p.category]?.color ?? '#6B7280', { faded: true, size: 20 })}
+          onRestore={onRestore}
+        />
+      ))}
+
+      {stations.map(station => {
+        const closed = closedIds.includes(station.id);
+        return (
+          <Marker
+            key={`scenario-station-${station.id}`}
+            position={[station.lat, station.lng]}
+            icon={createScenarioIcon(closed ? '✕' : 'M', closed ? '#9CA3AF' : '#1F2937', { size: 26 })}
+          >
+            <Popup>
+              <div style={{ fontSize: '12px' }}>
+                <strong>🚇 {station.name}</strong>
+                <div style={{ color: '#6B7280', margin: '2px 0 6px' }}>
+                  {closed ? '情景中已关闭' : `距店铺 ${station.distance.toFixed(2)} 英里`}
+                </div>
+                <button className="btn btn-secondary btn-sm" onClick={() => onToggleStation(station)}>
+                  {closed ? '重新开放' : '关闭站点（情景）'}
+                </button>
+              </div>
+            </Popup>
+          </Marker>
+        );
+      })}
+    </>
+  );
+}
+
+export default ScenarioLayer;
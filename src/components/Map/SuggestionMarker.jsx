@@ -0,0 +1,68 @@
+import { Rectangle, Marker, Popup } from 'react-leaflet';
+import L from 'leaflet';
+
+function SuggestionMarker({ suggestion, onPromote }) {
+  const { result } = suggestion;
+  const color = result.grade.color;
+
+  const suggestionIcon = L.divIcon({
+    className: 'custom-suggestion-icon',
+    html: `
+      <div style="
+        background-color: white;
+        color: ${color};
+        width: 28px;
+        height: 28px;
+        border-radius: 6px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-weight: bold;
+        font-size: 12px;
+        border: 2px dashed ${color};
+        box-shadow: 0 2px 6px rgba(0,0,0,0.25);
+      ">
+        ${suggestion.rank}
+      </div>
+    `,
+    iconSize: [28, 28],
+    iconAnchor: [14, 14],
+  });
+
+  const { south, west, north, east } = suggestion.bounds;
+
+  return (
+    <>
+      <Rectangle
+        bounds={[[south, west], [north, east]]}
+        pathOptions={{ color, fillColor: color, fillOpacity: 0.12, weight: 1, dashArray: '4, 6' }}
+      />
+      <Marker position={[suggestion.lat, suggestion.lng]} icon={suggestionIcon}>
+        <Popup>
+          <div>
+            <strong>空白点建议 #{suggestion.rank}</strong>
+            <div style={{ color, fontWeight: 'bold', marginTop: '4px' }}>
+              {result.grade.letter} {result.overall} 分 · {result.grade.label}
+            </div>
+            {result.mtaInfo && (
+              <div style={{ fontSize: '12px', color: '#6B7280', marginTop: '4px' }}>
+                最近站点：{result.mtaInfo.station.name}
+              </div>
+            )}
+            <div style={{ fontSize: '11px', color: '#9CA3AF', marginTop: '2px' }}>
+              竞品 {suggestion.competitorCount} · POI {suggestion.poiCount}
+            </div>
+            <button
+              className="btn btn-primary btn-sm btn-block mt-1"
+              onClick={() => onPromote(suggestion)}
+            >
+              ➕ 设为候选店铺
+            </button>
+          </div>
+        </Popup>
+      </Marker>
+    </>
+  );
+}
+
+export default SuggestionMarker;
@@ -1,9 +1,41 @@
-function RouteSummary({ routeStats, isOptimizing, onRecalculate }) {
+import { TOUR_TYPES } from '../../services/optimization';
+import { formatClock } from '../../services/schedule';
+
+const METHOD_LABELS = {
+  exact:     'Held-Karp 精确求解',
+  heuristic: '2-opt / Or-opt 优化',
+  greedy:    '贪心算法'
+};
+
+// With visit windows the solver minimises finish time, not distance
+const WINDOWED_METHOD_LABELS = {
+  exact:     '时间窗精确排程',
+  heuristic: '时间窗局部搜索'
+};
+
+function RouteSummary({
+  routeStats,
+  isOptimizing,
+  tourType,
+  onTourTypeChange,
+  departAt,
+  onDepartAtChange,
+  multiDay,
+  onMultiDayChange,
+  dayEnd,
+  onDayEndChange,
+  onRecalculate
+}) {
   if (!routeStats) {
     return null;
   }
 
-  const { totalDistance, totalTime, totalCost, stops } = routeStats;
+  const {
+    totalDistance, totalTime, totalCost, stops,
+    method, optimal, greedy, savedDistance, savedTime, savedPercent,
+    windowed, schedule, days, overBudgetDays, teams, makespan
+  } = routeStats;
+  const methodLabel = (windowed ? WINDOWED_METHOD_LABELS[method] : METHOD_LABELS[method]) ?? METHOD_LABELS.greedy;
 
   return (
     <div className="route-summary">
@@ -26,6 +58,63 @@ function RouteSummary({ routeStats, isOptimizing, onRecalculate }) {
         </button>
       </div>
 
+      <div className={`route-method ${optimal ? 'optimal' : ''}`}>
+        {teams
+          ? `👥 ${teams.length} 人分工 · 最长 ${Math.round(makespan)} 分钟`
+          : days
+          ? `📅 ${days.length} 天行程 · 每天 ${departAt}–${dayEnd}`
+          : `${optimal ? '✅ 已证明最优' : '≈ 启发式结果'} · ${methodLabel}`}
+      </div>
+
+      <div className="route-tour-row">
+        <div className="route-tour-toggle">
+          {Object.values(TOUR_TYPES).map(t => (
+            <button
+              key={t.key}
+              className={`route-tour-option ${tourType === t.key ? 'active' : ''}`}
+              onClick={() => onTourTypeChange(t.key)}
+              disabled={isOptimizing}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+        <label className="route-depart">
+          出发
+          <input
+            type="time"
+            value={departAt}
+            onChange={e => e.target.value && onDepartAtChange(e.target.value)}
+            disabled={isOptimizing}
+          />
+        </label>
+      </div>
+
+      {!teams && (
+        <div className="route-tour-row">
+          <label className="route-depart">
+            <input
+              type="checkbox"
+              checked={multiDay}
+              onChange={e => onMultiDayChange(e.target.checked)}
+              disabled={isOptimizing}
+            />
+            分天规划
+          </label>
+          {multiDay && (
+            <label className="route-depart">
+              每天结束
+              <input
+                type="time"
+                value={dayEnd}
+                onChange={e => e.target.value && onDayEndChange(e.target.value)}
+                disabled={isOptimizing}
+              />
+            </label>
+          )}
+        </div>
+      )}
+
       <div className="route-stats">
         <div className="route-stat">
           <span className="route-stat-value">{stops}</span>
@@ -45,11 +134,72 @@ function RouteSummary({ routeStats, isOptimizing, onRecalculate }) {
         </div>
       </div>
 
-      <div style={{ marginTop: '1rem', fontSize: '0.875rem', opacity: 0.9 }}>
-        <p style={{ margin: 0 }}>
-          ✨ 已为您优化访问顺序，按照最短路径规划
-        </p>
-      </div>
+      {schedule && schedule.stops.length > 0 && (
+        <div className={`route-schedule ${schedule.feasible ? '' : 'late'}`}>
+          🕒 {formatClock(schedule.departAt)} 出发 · 预计 {formatClock(schedule.finishAt)}
+          {tourType === 'loop' ? ' 回到起点' : ' 结束'}
+          {schedule.totalWait >= 1 ? `（含等待 ${Math.round(schedule.totalWait)} 分钟）` : ''}
+          {!schedule.feasible && (
+            <div>⚠️ {schedule.lateCount} 家店铺无法在约定时间窗内到达，已尽量减少迟到</div>
+          )}
+        </div>
+      )}
+
+      {teams && (
+        <div className="route-days">
+          {teams.map(team => (
+            <div key={team.scout.id} className={`route-day ${team.schedule.lateCount > 0 ? 'late' : ''}`}>
+              <span className="route-day-dot" style={{ backgroundColor: team.color }} />
+              <span>{team.scout.name}</span>
+              <span>{team.stats.stops} 家 · {team.stats.totalDistance.toFixed(1)} 英里</span>
+              <span>
+                {Math.round(team.duration)} 分钟 · {formatClock(team.schedule.finishAt)} 结束
+                {team.schedule.lateCount > 0 ? ` ⚠️ ${team.schedule.lateCount} 家错过时间窗` : ''}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {days && (
+        <div className="route-days">
+          {days.map(day => (
+            <div key={day.index} className={`route-day ${day.overBudget ? 'late' : ''}`}>
+              <span className="route-day-dot" style={{ backgroundColor: day.color }} />
+              <span>第 {day.index + 1} 天</span>
+              <span>{day.stats.stops} 家 · {day.stats.totalDistance.toFixed(1)} 英里</span>
+              <span>
+                {formatClock(day.schedule.departAt)}–{formatClock(day.schedule.finishAt)}
+                {day.overBudget ? ' ⚠️ 超时' : ''}
+                {day.schedule.lateCount > 0 ? ` ⚠️ ${day.schedule.lateCount} 家错过时间窗` : ''}
+              </span>
+            </div>
+          ))}
+          {overBudgetDays > 0 && (
+            <div className="route-day-note">单店行程已超出每日时间，请放宽结束时间或缩短停留</div>
+          )}
+        </div>
+      )}
+
+      {!days && !teams && (
+        <div style={{ marginTop: '1rem', fontSize: '0.875rem', opacity: 0.9 }}>
+          <p style={{ margin: 0 }}>
+            {windowed
+              ? '✨ 已按看铺时间窗排程，路线以最早完成为目标'
+              : savedDistance > 0
+              ? `✨ ${METHOD_LABELS[method]}比贪心路线少走 ${savedDistance.toFixed(2)} 英里（${savedPercent}%）${savedTime > 0 ? `，省 ${savedTime} 分钟` : ''}`
+              : optimal
+                ? '✨ 贪心路线恰好已是最短路径'
+                : '✨ 贪心路线已无法再缩短，按最短路径规划'}
+          </p>
+          {greedy && savedDistance > 0 && (
+            <p style={{ margin: '4px 0 0', fontSize: '0.75rem', opacity: 0.8 }}>
+              贪心路线：{greedy.totalDistance.toFixed(1)} 英里 · {greedy.totalTime} 分钟
+              {tourType === 'loop' ? ' · 均含返回起点' : ''}
+            </p>
+          )}
+        </div>
+      )}
     </div>
   );
 }
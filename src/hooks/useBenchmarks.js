@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef } from 'react';
+import { buildReferencePoints, scoreReferencePoint, summarizeReference } from '../services/benchmarks';
+import { poiStorage, competitorStorage } from '../utils/storage';
+import { CHUNK_SIZE, mergeById } from '../utils/collections';
+
+/**
+ * Percentile reference distributions for the active profile, rebuilt in the
+ * background whenever the profile or the loaded POIs / competitors change.
+ */
+export function useBenchmarks({ pois = [], competitors = [], profile, enabled = false }) {
+  const [reference, setReference] = useState(null);
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Only the latest build may publish its result
+  const buildId = useRef(0);
+
+  useEffect(() => {
+    if (!enabled || !profile) return;
+
+    const id = ++buildId.current;
+    const isStale = () => id !== buildId.current;
+
+    const build = async () => {
+      setIsBuilding(true);
+      setError(null);
+
+      try {
+        const cachedPOIs = await poiStorage.get();
+        const cachedCompetitors = await competitorStorage.get();
+        const allPOIs = mergeById(pois, cachedPOIs?.pois || []);
+        const allCompetitors = mergeById(competitors, cachedCompetitors?.competitors || []);
+
+        const points = buildReferencePoints();
+        const samples = [];
+        for (let i = 0; i < points.length; i += CHUNK_SIZE) {
+          if (isStale()) return;
+          points.slice(i, i + CHUNK_SIZE).forEach(point => {
+            samples.push(scoreReferencePoint(point, { pois: allPOIs, competitors: allCompetitors, profile }));
+          });
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        if (isStale()) return;
+        setReference(summarizeReference(samples));
+        setIsBuilding(false);
+      } catch (err) {
+        console.error('Error building benchmark reference:', err);
+        if (isStale()) return;
+        setError(err.message);
+        setIsBuilding(false);
+      }
+    };
+
+    build();
+  }, [enabled, profile, pois, competitors]);
+
+  return {
+    reference,
+    isBuilding,
+    error
+  };
+}
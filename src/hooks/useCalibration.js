@@ -0,0 +1,118 @@
+import { useState, useCallback } from 'react';
+import { parseStoresCsv, calibrateWeights } from '../services/calibration';
+import { calculateLocationScore } from '../services/scoring';
+import { fetchPOIsNearLocation } from '../services/poi';
+import { fetchCompetitorsNearLocation } from '../services/competitors';
+import { fetchCompetitorsFoursquare } from '../services/foursquare';
+import { geocodeAddress } from '../services/geocoding';
+import { OUTER_RING_METERS } from '../utils/constants';
+
+export function useCalibration() {
+  const [rows, setRows] = useState([]);
+  const [parseErrors, setParseErrors] = useState([]);
+  const [progress, setProgress] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [skipped, setSkipped] = useState([]);
+  const [error, setError] = useState(null);
+
+  const importCsv = useCallback((text) => {
+    const parsed = parseStoresCsv(text);
+    setRows(parsed.rows);
+    setParseErrors(parsed.errors);
+    setResult(null);
+    setSkipped([]);
+    setError(null);
+    return { success: parsed.rows.length > 0, count: parsed.rows.length };
+  }, []);
+
+  // Fetch each store's surroundings, score it, then fit weights to revenue
+  const runCalibration = useCallback(async (profile) => {
+    setIsRunning(true);
+    setProgress(0);
+    setError(null);
+
+    try {
+      const samples = [];
+      const skippedRows = [];
+
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+
+        // Respect API rate limits
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        let coordinates = row.coordinates;
+        if (!coordinates) {
+          const geo = await geocodeAddress(row.address);
+          if (!geo.success) {
+            skippedRows.push({ name: row.name, reason: '地址无法解析' });
+            setProgress((i + 1) / rows.length);
+            continue;
+          }
+          coordinates = { lat: geo.lat, lng: geo.lng };
+        }
+
+        const pois = await fetchPOIsNearLocation(coordinates.lat, coordinates.lng, 500);
+        const competitors = await fetchCompetitorsFoursquare(coordinates.lat, coordinates.lng, OUTER_RING_METERS)
+          ?? await fetchCompetitorsNearLocation(coordinates.lat, coordinates.lng, OUTER_RING_METERS);
+
+        const scored = calculateLocationScore({
+          pois,
+          competitors,
+          storeLat: coordinates.lat,
+          storeLng: coordinates.lng,
+          profile
+        });
+
+        // Fitting weights to mock fallback data would be worse than no calibration
+        if (scored.confidence.level === 'low') {
+          skippedRows.push({ name: row.name, reason: '数据获取失败（示例数据）' });
+        } else {
+          samples.push({ row: { ...row, coordinates }, result: scored });
+        }
+        setProgress((i + 1) / rows.length);
+      }
+
+      setSkipped(skippedRows);
+      const calibration = calibrateWeights(samples);
+      if (calibration.error) {
+        setError(calibration.error);
+        setResult(null);
+        setIsRunning(false);
+        return { success: false, error: calibration.error };
+      }
+
+      setResult(calibration);
+      setIsRunning(false);
+      return { success: true, result: calibration };
+    } catch (err) {
+      console.error('Error calibrating weights:', err);
+      setError(err.message);
+      setIsRunning(false);
+      return { success: false, error: err.message };
+    }
+  }, [rows]);
+
+  const reset = useCallback(() => {
+    setRows([]);
+    setParseErrors([]);
+    setResult(null);
+    setSkipped([]);
+    setError(null);
+    setProgress(0);
+  }, []);
+
+  return {
+    rows,
+    parseErrors,
+    progress,
+    isRunning,
+    result,
+    skipped,
+    error,
+    importCsv,
+    runCalibration,
+    reset
+  };
+}
@@ -2,13 +2,16 @@ import { useState, useEffect, useCallback } from 'react';
 import { fetchCompetitorsForStores } from '../services/competitors';
 import { fetchCompetitorsForStoresFoursquare, hasFoursquareKey } from '../services/foursquare';
 import { competitorStorage } from '../utils/storage';
-import { CACHE_TTL } from '../utils/constants';
+import { CACHE_TTL, OUTER_RING_METERS } from '../utils/constants';
+import { markCached } from '../services/provenance';
 
 export function useCompetitors(stores, enabled = false) {
   const [competitors, setCompetitors] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [dataSource, setDataSource] = useState('osm'); // 'foursquare' | 'osm'
+  // Store list the current competitors were loaded for
+  const [loadedFor, setLoadedFor] = useState(null);
 
   // Load competitors when enabled
   useEffect(() => {
@@ -16,6 +19,7 @@ export function useCompetitors(stores, enabled = false) {
       loadCompetitors();
     } else {
       setCompetitors([]);
+      setLoadedFor(null);
     }
   }, [enabled, stores]);
 
@@ -35,9 +39,13 @@ export function useCompetitors(stores, enabled = false) {
         const allCurrentCovered = stores.every(s => cachedStoreIds.has(s.id));
         const noRemovedStores   = Array.from(cachedStoreIds).every(id => currentStoreIds.has(id));
 
-        if (allCurrentCovered && noRemovedStores) {
-          setCompetitors(cached.competitors);
+        // Caches fetched at a smaller radius would leave the outer rings empty
+        const sameRadius = cached.radiusMeters === OUTER_RING_METERS;
+
+        if (allCurrentCovered && noRemovedStores && sameRadius) {
+          setCompetitors(markCached(cached.competitors, cached.cachedAt));
           setDataSource(cached.source || 'osm');
+          setLoadedFor(stores);
           setIsLoading(false);
           return;
         }
@@ -47,9 +55,9 @@ export function useCompetitors(stores, enabled = false) {
 
       let freshCompetitors = null;
 
-      // Attempt Foursquare (0.2 miles = 322 meters)
+      // Attempt Foursquare, out to the outer walking ring
       if (hasFoursquareKey()) {
-        freshCompetitors = await fetchCompetitorsForStoresFoursquare(stores, 322);
+        freshCompetitors = await fetchCompetitorsForStoresFoursquare(stores, OUTER_RING_METERS);
         if (freshCompetitors !== null) {
           setDataSource('foursquare');
         }
@@ -57,14 +65,15 @@ export function useCompetitors(stores, enabled = false) {
 
       // Fall back to Overpass / OSM
       if (freshCompetitors === null) {
-        freshCompetitors = await fetchCompetitorsForStores(stores, 322);
+        freshCompetitors = await fetchCompetitorsForStores(stores, OUTER_RING_METERS);
         setDataSource('osm');
       }
 
       setCompetitors(freshCompetitors);
+      setLoadedFor(stores);
 
       // Cache with source tag
-      await competitorStorage.set(freshCompetitors, CACHE_TTL.COMPETITORS);
+      await competitorStorage.set(freshCompetitors, CACHE_TTL.COMPETITORS, { radiusMeters: OUTER_RING_METERS });
     } catch (err) {
       console.error('Error loading competitors:', err);
       setError(err.message);
@@ -87,6 +96,8 @@ export function useCompetitors(stores, enabled = false) {
   return {
     competitors,
     isLoading,
+    // True once competitors for the current stores are in (false while disabled)
+    isLoaded: enabled && loadedFor === stores,
     error,
     dataSource,
     refreshCompetitors,
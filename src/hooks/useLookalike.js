@@ -0,0 +1,180 @@
+import { useState, useCallback, useRef } from 'react';
+import { buildFeatureVector, findLookalikes } from '../services/lookalike';
+import { buildGrid, scoreCell, isCellClaimed, DEFAULT_CELL_MILES } from '../services/whiteSpace';
+import { calculateLocationScore } from '../services/scoring';
+import { fetchPOIsNearLocation } from '../services/poi';
+import { fetchCompetitorsNearLocation } from '../services/competitors';
+import { fetchCompetitorsFoursquare } from '../services/foursquare';
+import { poiStorage, competitorStorage } from '../utils/storage';
+import { NYC_BOUNDS, OUTER_RING_METERS } from '../utils/constants';
+import { calculateDistance } from '../utils/distance';
+import { CHUNK_SIZE, mergeById } from '../utils/collections';
+
+export function useLookalike() {
+  const [matches, setMatches] = useState([]);
+  const [progress, setProgress] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Surroundings fetched once per session: storeId → competitors / POIs
+  const competitorData = useRef(new Map());
+  const heroPOIs = useRef(new Map());
+
+  const loadCompetitors = useCallback(async (store) => {
+    if (competitorData.current.has(store.id)) return competitorData.current.get(store.id);
+
+    // Respect API rate limits
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const { lat, lng } = store.coordinates;
+    const competitors = await fetchCompetitorsFoursquare(lat, lng, OUTER_RING_METERS)
+      ?? await fetchCompetitorsNearLocation(lat, lng, OUTER_RING_METERS);
+
+    competitorData.current.set(store.id, competitors);
+    return competitors;
+  }, []);
+
+  const loadHeroData = useCallback(async (hero) => {
+    if (!heroPOIs.current.has(hero.id)) {
+      const { lat, lng } = hero.coordinates;
+      heroPOIs.current.set(hero.id, await fetchPOIsNearLocation(lat, lng, 500));
+    }
+    return { pois: heroPOIs.current.get(hero.id), competitors: await loadCompetitors(hero) };
+  }, [loadCompetitors]);
+
+  /**
+   * Match candidates (and optionally grid cells) against the hero stores.
+   */
+  const runMatch = useCallback(async ({
+    heroes = [],
+    candidates = [],
+    pois = [],
+    competitors = [],
+    profile,
+    includeGrid = false,
+    cellMiles = DEFAULT_CELL_MILES,
+    limit = 10
+  }) => {
+    if (heroes.length === 0) {
+      setError('请至少选择一家标杆门店');
+      return { success: false, error: '请至少选择一家标杆门店' };
+    }
+
+    setIsRunning(true);
+    setProgress(0);
+    setError(null);
+
+    try {
+      const heroVectors = [];
+      for (let i = 0; i < heroes.length; i++) {
+        const hero = heroes[i];
+        const data = await loadHeroData(hero);
+        const result = calculateLocationScore({
+          pois:        data.pois,
+          competitors: data.competitors,
+          storeLat:    hero.coordinates.lat,
+          storeLng:    hero.coordinates.lng,
+          profile
+        });
+        heroVectors.push({ id: hero.id, name: hero.name, vector: buildFeatureVector(result), confidence: result.confidence });
+        setProgress(((i + 1) / (heroes.length + candidates.length)) * (includeGrid ? 0.3 : 1));
+      }
+
+      // Candidates are re-scored with competitors fetched like the heroes',
+      // not the map layer's (empty while it is off)
+      const targets = [];
+      for (let i = 0; i < candidates.length; i++) {
+        const { store, pois: candidatePOIs } = candidates[i];
+        const result = calculateLocationScore({
+          pois:        candidatePOIs,
+          competitors: await loadCompetitors(store),
+          storeLat:    store.coordinates.lat,
+          storeLng:    store.coordinates.lng,
+          profile
+        });
+        targets.push({
+          id:     store.id,
+          name:   store.name,
+          kind:   'candidate',
+          lat:    store.coordinates.lat,
+          lng:    store.coordinates.lng,
+          vector: buildFeatureVector(result)
+        });
+        setProgress(((heroes.length + i + 1) / (heroes.length + candidates.length)) * (includeGrid ? 0.3 : 1));
+      }
+
+      let cellCount = 0;
+      if (includeGrid) {
+        const cachedPOIs = await poiStorage.get();
+        const cachedCompetitors = await competitorStorage.get();
+        const allPOIs = mergeById(pois, cachedPOIs?.pois || []);
+        const allCompetitors = mergeById(competitors, cachedCompetitors?.competitors || []);
+        const claimed = [...heroes, ...candidates.map(c => c.store)];
+        // Competitors were only fetched around heroes and candidates; elsewhere
+        // an empty cache says nothing about competitor pressure
+        const coveredByFetch = cell => claimed.some(s =>
+          calculateDistance(cell.lat, cell.lng, s.coordinates.lat, s.coordinates.lng) <= OUTER_RING_METERS / 1609.34
+        );
+
+        const cells = buildGrid(NYC_BOUNDS, cellMiles);
+        for (let i = 0; i < cells.length; i += CHUNK_SIZE) {
+          cells.slice(i, i + CHUNK_SIZE).forEach(cell => {
+            if (isCellClaimed(cell, claimed)) return;
+            // Without cached POIs a cell's mix is unknown, not empty
+            const scored = scoreCell(cell, { pois: allPOIs, competitors: allCompetitors, profile });
+            if (scored.poiCount === 0) return;
+            cellCount++;
+            targets.push({
+              id:     `cell-${cell.id}`,
+              name:   scored.result.mtaInfo ? `${scored.result.mtaInfo.station.name} 附近` : `网格 ${cell.id}`,
+              kind:   'cell',
+              lat:    cell.lat,
+              lng:    cell.lng,
+              vector: buildFeatureVector(scored.result, { unknown: coveredByFetch(cell) ? [] : ['pressure'] })
+            });
+          });
+          setProgress(0.3 + 0.7 * Math.min(1, (i + CHUNK_SIZE) / cells.length));
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+
+      const found = findLookalikes(heroVectors, targets, { limit });
+      setMatches(found);
+      setSummary({
+        heroCount:      heroVectors.length,
+        candidateCount: candidates.length,
+        cellCount,
+        // Heroes scored on mock fallback data make every match meaningless
+        lowConfidenceHeroes: heroVectors.filter(h => h.confidence.level === 'low').map(h => h.name)
+      });
+
+      setIsRunning(false);
+      return { success: true, matches: found };
+    } catch (err) {
+      console.error('Error finding lookalike sites:', err);
+      setError(err.message);
+      setIsRunning(false);
+      return { success: false, error: err.message };
+    }
+  }, [loadHeroData, loadCompetitors]);
+
+  const dismissMatch = useCallback((targetId) => {
+    setMatches(prev => prev.filter(m => m.target.id !== targetId));
+  }, []);
+
+  const clearMatches = useCallback(() => {
+    setMatches([]);
+    setSummary(null);
+  }, []);
+
+  return {
+    matches,
+    progress,
+    isRunning,
+    summary,
+    error,
+    runMatch,
+    dismissMatch,
+    clearMatches
+  };
+}
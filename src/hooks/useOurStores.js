@@ -0,0 +1,97 @@
+import { useState, useEffect, useCallback } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { ourStoreStorage } from '../utils/storage';
+import { geocodeAddress } from '../services/geocoding';
+
+// Opened Cotti locations — a separate layer from the candidate stores in useStores
+export function useOurStores() {
+  const [ourStores, setOurStores] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    ourStoreStorage.get().then(setOurStores);
+  }, []);
+
+  const persist = useCallback(async (updated) => {
+    setOurStores(updated);
+    await ourStoreStorage.set(updated);
+  }, []);
+
+  // Add an opened store by address
+  const addOurStore = useCallback(async (address, name = null) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const geocodeResult = await geocodeAddress(address);
+
+      if (!geocodeResult.success) {
+        setError(geocodeResult.error);
+        setIsLoading(false);
+        return { success: false, error: geocodeResult.error };
+      }
+
+      const newStore = {
+        id: uuidv4(),
+        name: name || `Cotti 门店 ${ourStores.length + 1}`,
+        address,
+        displayAddress: geocodeResult.displayName,
+        coordinates: {
+          lat: geocodeResult.lat,
+          lng: geocodeResult.lng
+        },
+        openedAt: new Date().toISOString()
+      };
+
+      await persist([...ourStores, newStore]);
+      setIsLoading(false);
+      return { success: true, store: newStore };
+    } catch (err) {
+      console.error('Error adding our store:', err);
+      setError(err.message);
+      setIsLoading(false);
+      return { success: false, error: err.message };
+    }
+  }, [ourStores, persist]);
+
+  // Move a candidate into the opened layer (keeps its coordinates and name)
+  const markAsOpened = useCallback(async (candidate) => {
+    try {
+      const opened = {
+        id: uuidv4(),
+        name: candidate.name,
+        address: candidate.address,
+        displayAddress: candidate.displayAddress,
+        coordinates: candidate.coordinates,
+        openedAt: new Date().toISOString()
+      };
+      await persist([...ourStores, opened]);
+      return { success: true, store: opened };
+    } catch (err) {
+      console.error('Error marking store as opened:', err);
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [ourStores, persist]);
+
+  const removeOurStore = useCallback(async (storeId) => {
+    try {
+      await persist(ourStores.filter(s => s.id !== storeId));
+      return { success: true };
+    } catch (err) {
+      console.error('Error removing our store:', err);
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [ourStores, persist]);
+
+  return {
+    ourStores,
+    isLoading,
+    error,
+    addOurStore,
+    markAsOpened,
+    removeOurStore
+  };
+}
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { fetchPOIsNearLocation, analyzePOIDistribution, generateBusinessInsights } from '../services/poi';
 import { storageKeys, poiStorage } from '../utils/storage';
 import { CACHE_TTL } from '../utils/constants';
+import { markCached } from '../services/provenance';
 
 export function usePOI(stores, enabled = false) {
   const [pois, setPois] = useState([]);
@@ -38,8 +39,9 @@ export function usePOI(stores, enabled = false) {
         const noRemovedStores   = Array.from(cachedStoreIds).every(id => currentStoreIds.has(id));
 
         if (allCurrentCovered && noRemovedStores) {
-          setPois(cached.pois);
-          const poiAnalysis = analyzePOIDistribution(cached.pois);
+          const cachedPOIs = markCached(cached.pois, cached.cachedAt);
+          setPois(cachedPOIs);
+          const poiAnalysis = analyzePOIDistribution(cachedPOIs);
           setAnalysis(poiAnalysis);
           setInsights(generateBusinessInsights(poiAnalysis));
           setIsLoading(false);
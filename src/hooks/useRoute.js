@@ -1,13 +1,41 @@
 import { useState, useEffect, useCallback } from 'react';
-import { optimizeRouteGreedy, calculateRouteStats } from '../services/optimization';
-import { routeStorage } from '../utils/storage';
+import { optimizeRoute as runOptimizer, optimizeRouteGreedy, calculateRouteStats } from '../services/optimization';
+import { hasTimeWindows, optimizeRouteWithWindows, buildSchedule } from '../services/schedule';
+import { planItinerary } from '../services/itinerary';
+import { planScoutRoutes } from '../services/scouts';
+import { routeStorage, preferencesStorage } from '../utils/storage';
+import { OPTIMIZATION } from '../utils/constants';
 
-export function useRoute(currentLocation, stores) {
+async function savePreference(key, value) {
+  const prefs = await preferencesStorage.get();
+  await preferencesStorage.set({ ...prefs, [key]: value });
+}
+
+// Stable default so the optimize effect doesn't re-run every render
+const NO_TEAMMATES = [];
+
+export function useRoute(currentLocation, stores, teammates = NO_TEAMMATES) {
   const [optimizedRoute, setOptimizedRoute] = useState([]);
   const [routeStats, setRouteStats] = useState(null);
   const [isOptimizing, setIsOptimizing] = useState(false);
+  const [tourType, setTourTypeState] = useState(OPTIMIZATION.TOUR_TYPE);
+  const [departAt, setDepartAtState] = useState(OPTIMIZATION.DEFAULT_DEPART_AT);
+  const [multiDay, setMultiDayState] = useState(false);
+  const [dayEnd, setDayEndState] = useState(OPTIMIZATION.DAY_END);
+  const [teamMode, setTeamModeState] = useState(false);
+
+  // Restore the saved tour type, departure time, daily budget and team mode
+  useEffect(() => {
+    preferencesStorage.get().then(prefs => {
+      if (prefs.tourType) setTourTypeState(prefs.tourType);
+      if (prefs.departAt) setDepartAtState(prefs.departAt);
+      if (prefs.multiDay) setMultiDayState(true);
+      if (prefs.dayEnd) setDayEndState(prefs.dayEnd);
+      if (prefs.teamMode) setTeamModeState(true);
+    });
+  }, []);
 
-  // Optimize route whenever stores or current location changes
+  // Optimize route whenever stores, current location or any route setting changes
   useEffect(() => {
     if (!currentLocation || !stores || stores.length === 0) {
       setOptimizedRoute([]);
@@ -16,7 +44,7 @@ export function useRoute(currentLocation, stores) {
     }
 
     optimizeRoute();
-  }, [currentLocation, stores]);
+  }, [currentLocation, stores, tourType, departAt, multiDay, dayEnd, teamMode, teammates]);
 
   // Optimize the route
   const optimizeRoute = useCallback(async () => {
@@ -27,19 +55,89 @@ export function useRoute(currentLocation, stores) {
     setIsOptimizing(true);
 
     try {
-      // Use greedy algorithm for optimization
-      const route = optimizeRouteGreedy(currentLocation.coordinates, stores);
+      const start = currentLocation.coordinates;
+
+      // Share the stores between the current location and each teammate
+      if (teamMode && teammates.length > 0) {
+        const scouts = [
+          { id: 'self', name: '我', address: currentLocation.address, coordinates: start },
+          ...teammates
+        ];
+        const plan = planScoutRoutes(scouts, stores, { departAt, tourType });
+        const route = plan.assignments.flatMap(a => a.route);
+        const fullStats = {
+          ...plan.totals,
+          tourType,
+          method:   'team',
+          optimal:  false,
+          windowed: hasTimeWindows(stores),
+          teams:    plan.assignments,
+          makespan: plan.makespan
+        };
+
+        setOptimizedRoute(route);
+        setRouteStats(fullStats);
+        await routeStorage.set({ route, stats: fullStats, optimizedAt: new Date().toISOString() });
+        return;
+      }
+
+      // Split into daily routes that each fit departAt–dayEnd
+      if (multiDay) {
+        const itinerary = planItinerary(start, stores, { departAt, dayEnd, tourType });
+        const route = itinerary.days.flatMap(day => day.route);
+        const fullStats = {
+          ...itinerary.totals,
+          tourType,
+          method:         'itinerary',
+          optimal:        false,
+          windowed:       hasTimeWindows(stores),
+          days:           itinerary.days,
+          overBudgetDays: itinerary.overBudgetDays
+        };
 
-      // Calculate route statistics
-      const stats = calculateRouteStats(currentLocation.coordinates, route, 'mixed');
+        setOptimizedRoute(route);
+        setRouteStats(fullStats);
+        await routeStorage.set({ route, stats: fullStats, optimizedAt: new Date().toISOString() });
+        return;
+      }
+
+      // Visit windows turn this into a scheduling problem; otherwise exact
+      // (Held-Karp) for small sets, or greedy refined by 2-opt + Or-opt
+      const windowed = hasTimeWindows(stores);
+      const { route, method, optimal } = windowed
+        ? optimizeRouteWithWindows(start, stores, { tourType, departAt })
+        : runOptimizer(start, stores, { tourType });
+      const greedyRoute = optimizeRouteGreedy(start, stores);
+      const schedule = buildSchedule(start, route, { tourType, departAt });
+
+      // Calculate route statistics, and the greedy route's for comparison
+      const stats = calculateRouteStats(start, route, 'mixed', tourType);
+      const greedyStats = calculateRouteStats(start, greedyRoute, 'mixed', tourType);
+      const savedDistance = Math.max(0, Math.round((greedyStats.totalDistance - stats.totalDistance) * 100) / 100);
+      const fullStats = {
+        ...stats,
+        method,
+        optimal,
+        windowed,
+        schedule,
+        greedy: {
+          totalDistance: greedyStats.totalDistance,
+          totalTime:     greedyStats.totalTime
+        },
+        savedDistance,
+        savedTime:    greedyStats.totalTime - stats.totalTime,
+        savedPercent: greedyStats.totalDistance > 0
+          ? Math.round((savedDistance / greedyStats.totalDistance) * 100)
+          : 0
+      };
 
       setOptimizedRoute(route);
-      setRouteStats(stats);
+      setRouteStats(fullStats);
 
       // Save to storage
       await routeStorage.set({
         route,
-        stats,
+        stats: fullStats,
         optimizedAt: new Date().toISOString()
       });
     } catch (error) {
@@ -47,17 +145,56 @@ export function useRoute(currentLocation, stores) {
     } finally {
       setIsOptimizing(false);
     }
-  }, [currentLocation, stores]);
+  }, [currentLocation, stores, tourType, departAt, multiDay, dayEnd, teamMode, teammates]);
 
   // Manually trigger route optimization
   const recalculateRoute = useCallback(() => {
     optimizeRoute();
   }, [optimizeRoute]);
 
+  // Switch between open path and round trip, remembered across sessions
+  const setTourType = useCallback(async (type) => {
+    setTourTypeState(type);
+    await savePreference('tourType', type);
+  }, []);
+
+  // Day start for the visit schedule ('HH:MM'), remembered across sessions
+  const setDepartAt = useCallback(async (time) => {
+    setDepartAtState(time);
+    await savePreference('departAt', time);
+  }, []);
+
+  // Split the route into days ending by dayEnd
+  const setMultiDay = useCallback(async (enabled) => {
+    setMultiDayState(enabled);
+    await savePreference('multiDay', enabled);
+  }, []);
+
+  const setDayEnd = useCallback(async (time) => {
+    setDayEndState(time);
+    await savePreference('dayEnd', time);
+  }, []);
+
+  // Share the stores among teammates (takes precedence over multi-day)
+  const setTeamMode = useCallback(async (enabled) => {
+    setTeamModeState(enabled);
+    await savePreference('teamMode', enabled);
+  }, []);
+
   return {
     optimizedRoute,
     routeStats,
     isOptimizing,
+    tourType,
+    setTourType,
+    departAt,
+    setDepartAt,
+    multiDay,
+    setMultiDay,
+    dayEnd,
+    setDayEnd,
+    teamMode,
+    setTeamMode,
     recalculateRoute
   };
 }
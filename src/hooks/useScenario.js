@@ -0,0 +1,84 @@
+import { useState, useCallback } from 'react';
+import {
+  createScenario,
+  createHypotheticalRecord,
+  addEdit,
+  removeEdit
+} from '../services/scenario';
+
+// Scenario edits live in memory only — nothing here is written to the cache
+export function useScenario() {
+  const [scenario, setScenario] = useState(createScenario);
+  // Active placement tool: null | { kind: 'competitor', type: brandKey } | { kind: 'poi', type: category }
+  const [tool, setTool] = useState(null);
+
+  // Drop a hypothetical record where the map was clicked
+  const placeAt = useCallback((coordinates) => {
+    if (!tool) return;
+    const record = createHypotheticalRecord(tool.kind, coordinates, tool.type);
+    setScenario(prev => addEdit(prev, {
+      type:  'add',
+      kind:  tool.kind,
+      record,
+      label: `新增 ${record.name.replace(/^假设 /, '')}`
+    }));
+  }, [tool]);
+
+  const moveRecord = useCallback((kind, record, coordinates) => {
+    setScenario(prev => addEdit(prev, {
+      type:     'move',
+      kind,
+      targetId: record.id,
+      coordinates,
+      label:    `移动 ${record.name}`
+    }));
+  }, []);
+
+  const removeRecord = useCallback((kind, record) => {
+    setScenario(prev => addEdit(prev, {
+      type:     'remove',
+      kind,
+      targetId: record.id,
+      label:    `移除 ${record.name}`
+    }));
+  }, []);
+
+  // Undo the removal of a real record
+  const restoreRecord = useCallback((kind, recordId) => {
+    setScenario(prev => ({
+      edits: prev.edits.filter(e => !(e.type === 'remove' && e.kind === kind && e.targetId === recordId))
+    }));
+  }, []);
+
+  // Close an open station, or reopen a closed one
+  const toggleStation = useCallback((station) => {
+    setScenario(prev => addEdit(prev, {
+      type:     'close',
+      kind:     'station',
+      targetId: station.id,
+      label:    `关闭 ${station.name} 站`
+    }));
+  }, []);
+
+  const undoEdit = useCallback((editId) => {
+    setScenario(prev => removeEdit(prev, editId));
+  }, []);
+
+  const resetScenario = useCallback(() => {
+    setScenario(createScenario());
+    setTool(null);
+  }, []);
+
+  return {
+    scenario,
+    tool,
+    setTool,
+    placeAt,
+    moveRecord,
+    removeRecord,
+    restoreRecord,
+    toggleStation,
+    undoEdit,
+    resetScenario
+  };
+}
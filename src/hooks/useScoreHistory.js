@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react';
+import { scoreHistoryStorage } from '../utils/storage';
+import {
+  createSnapshot,
+  snapshotFingerprint,
+  MAX_SNAPSHOTS_PER_STORE
+} from '../services/scoreHistory';
+
+export function useScoreHistory() {
+  const [history, setHistory] = useState({});
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    scoreHistoryStorage.get().then(data => {
+      setHistory(data);
+      setIsLoaded(true);
+    });
+  }, []);
+
+  // Save a snapshot for every scored store whose result or inputs changed
+  const recordRuns = useCallback(async (entries) => {
+    if (!isLoaded || entries.length === 0) return { success: true, saved: 0 };
+
+    try {
+      let saved = 0;
+      const next = { ...history };
+
+      entries.forEach(({ store, pois, competitors, result }) => {
+        const snapshot = createSnapshot(store, pois, competitors, result);
+        const list = next[store.id] || [];
+        const last = list[list.length - 1];
+        if (last && snapshotFingerprint(last) === snapshotFingerprint(snapshot)) return;
+
+        next[store.id] = [...list, snapshot].slice(-MAX_SNAPSHOTS_PER_STORE);
+        saved++;
+      });
+
+      if (saved > 0) {
+        setHistory(next);
+        await scoreHistoryStorage.set(next);
+      }
+      return { success: true, saved };
+    } catch (err) {
+      console.error('Error recording score history:', err);
+      return { success: false, error: err.message };
+    }
+  }, [history, isLoaded]);
+
+  const clearStoreHistory = useCallback(async (storeId) => {
+    const { [storeId]: _removed, ...rest } = history;
+    setHistory(rest);
+    await scoreHistoryStorage.set(rest);
+    return { success: true };
+  }, [history]);
+
+  const getStoreHistory = useCallback((storeId) => history[storeId] || [], [history]);
+
+  return {
+    history,
+    recordRuns,
+    getStoreHistory,
+    clearStoreHistory
+  };
+}
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { profileStorage } from '../utils/storage';
+import {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE_ID,
+  mergeProfiles,
+  validateProfile,
+  createProfile
+} from '../services/scoringProfiles';
+
+export function useScoringProfiles() {
+  const [savedProfiles, setSavedProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(DEFAULT_PROFILE_ID);
+  const [error, setError] = useState(null);
+
+  // Load saved profiles on mount
+  useEffect(() => {
+    async function loadProfiles() {
+      const data = await profileStorage.get();
+      setSavedProfiles(data.profiles || []);
+      if (data.activeProfileId) setActiveProfileId(data.activeProfileId);
+    }
+
+    loadProfiles();
+  }, []);
+
+  const profiles = useMemo(() => mergeProfiles(savedProfiles), [savedProfiles]);
+
+  const activeProfile = useMemo(() => {
+    return profiles.find(p => p.id === activeProfileId)
+      || profiles.find(p => p.id === DEFAULT_PROFILE_ID);
+  }, [profiles, activeProfileId]);
+
+  const persist = useCallback(async (nextProfiles, nextActiveId) => {
+    setSavedProfiles(nextProfiles);
+    setActiveProfileId(nextActiveId);
+    await profileStorage.set({ profiles: nextProfiles, activeProfileId: nextActiveId });
+  }, []);
+
+  // Select the profile used for scoring
+  const selectProfile = useCallback(async (profileId) => {
+    await persist(savedProfiles, profileId);
+  }, [savedProfiles, persist]);
+
+  // Save edits to an existing profile (built-ins are stored as overrides)
+  const saveProfile = useCallback(async (profile) => {
+    const validation = validateProfile(profile);
+    if (!validation.valid) {
+      setError(validation.errors.join('；'));
+      return { success: false, error: validation.errors.join('；') };
+    }
+
+    setError(null);
+    const { builtin, modified, ...stored } = profile;
+    const exists = savedProfiles.some(p => p.id === profile.id);
+    const nextProfiles = exists
+      ? savedProfiles.map(p => (p.id === profile.id ? stored : p))
+      : [...savedProfiles, stored];
+
+    await persist(nextProfiles, profile.id);
+    return { success: true, profile };
+  }, [savedProfiles, persist]);
+
+  // Save a copy of a profile under a new name
+  const saveProfileAs = useCallback(async (base, name) => {
+    const profile = createProfile(base, name);
+    return saveProfile(profile);
+  }, [saveProfile]);
+
+  // Delete a custom profile, or reset a built-in to its defaults
+  const deleteProfile = useCallback(async (profileId) => {
+    const nextProfiles = savedProfiles.filter(p => p.id !== profileId);
+    const isBuiltin = BUILTIN_PROFILES.some(p => p.id === profileId);
+    const nextActiveId = (activeProfileId === profileId && !isBuiltin)
+      ? DEFAULT_PROFILE_ID
+      : activeProfileId;
+
+    await persist(nextProfiles, nextActiveId);
+    return { success: true };
+  }, [savedProfiles, activeProfileId, persist]);
+
+  return {
+    profiles,
+    activeProfile,
+    error,
+    selectProfile,
+    saveProfile,
+    saveProfileAs,
+    deleteProfile
+  };
+}
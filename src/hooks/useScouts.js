@@ -0,0 +1,76 @@
+import { useState, useEffect, useCallback } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { scoutStorage } from '../utils/storage';
+import { geocodeAddress } from '../services/geocoding';
+
+// Teammates scouting the same day — each starts from their own address.
+// The current location is always the first scout, so only teammates are kept here.
+export function useScouts() {
+  const [scouts, setScouts] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    scoutStorage.get().then(setScouts);
+  }, []);
+
+  const persist = useCallback(async (updated) => {
+    setScouts(updated);
+    await scoutStorage.set(updated);
+  }, []);
+
+  // Add a teammate by their start address
+  const addScout = useCallback(async (address, name = null) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const geocodeResult = await geocodeAddress(address);
+
+      if (!geocodeResult.success) {
+        setError(geocodeResult.error);
+        setIsLoading(false);
+        return { success: false, error: geocodeResult.error };
+      }
+
+      const newScout = {
+        id: uuidv4(),
+        name: name || `队员 ${scouts.length + 2}`,
+        address,
+        displayAddress: geocodeResult.displayName,
+        coordinates: {
+          lat: geocodeResult.lat,
+          lng: geocodeResult.lng
+        }
+      };
+
+      await persist([...scouts, newScout]);
+      setIsLoading(false);
+      return { success: true, scout: newScout };
+    } catch (err) {
+      console.error('Error adding scout:', err);
+      setError(err.message);
+      setIsLoading(false);
+      return { success: false, error: err.message };
+    }
+  }, [scouts, persist]);
+
+  const removeScout = useCallback(async (scoutId) => {
+    try {
+      await persist(scouts.filter(s => s.id !== scoutId));
+      return { success: true };
+    } catch (err) {
+      console.error('Error removing scout:', err);
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [scouts, persist]);
+
+  return {
+    scouts,
+    isLoading,
+    error,
+    addScout,
+    removeScout
+  };
+}
@@ -1,7 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import { storeStorage, locationStorage } from '../utils/storage';
-import { geocodeAddress } from '../services/geocoding';
+import { geocodeAddress, reverseGeocode } from '../services/geocoding';
 
 export function useStores() {
   const [stores, setStores] = useState([]);
@@ -74,6 +74,39 @@ export function useStores() {
     }
   }, [stores]);
 
+  // Add a store at known coordinates (e.g. a promoted grid suggestion).
+  // Reverse geocoding is best-effort; offline the coordinates become the address.
+  const addStoreAtCoordinates = useCallback(async (coordinates, name = null) => {
+    setError(null);
+
+    try {
+      const fallbackAddress = `${coordinates.lat.toFixed(5)}, ${coordinates.lng.toFixed(5)}`;
+      const reverseResult = await reverseGeocode(coordinates.lat, coordinates.lng);
+
+      const newStore = {
+        id: uuidv4(),
+        name: name || `店铺 ${stores.length + 1}`,
+        address: fallbackAddress,
+        displayAddress: reverseResult.success ? reverseResult.address : fallbackAddress,
+        coordinates: {
+          lat: coordinates.lat,
+          lng: coordinates.lng
+        },
+        addedAt: new Date().toISOString()
+      };
+
+      const updatedStores = [...stores, newStore];
+      setStores(updatedStores);
+      await storeStorage.set(updatedStores);
+
+      return { success: true, store: newStore };
+    } catch (err) {
+      console.error('Error adding store at coordinates:', err);
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [stores]);
+
   // Remove a store
   const removeStore = useCallback(async (storeId) => {
     try {
@@ -199,6 +232,7 @@ export function useStores() {
     isLoading,
     error,
     addStore,
+    addStoreAtCoordinates,
     removeStore,
     updateStore,
     clearStores,
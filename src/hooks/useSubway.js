@@ -6,7 +6,7 @@ import {
   getAllSubwayStations
 } from '../services/subway';
 
-export function useSubway(currentLocation, stores, optimizedRoute) {
+export function useSubway(currentLocation, stores, optimizedRoute, returnToStart = false) {
   const [subwayRoutes, setSubwayRoutes] = useState([]);
   const [nearbyStations, setNearbyStations] = useState([]);
   const [isCalculating, setIsCalculating] = useState(false);
@@ -18,7 +18,7 @@ export function useSubway(currentLocation, stores, optimizedRoute) {
     } else {
       setSubwayRoutes([]);
     }
-  }, [currentLocation, optimizedRoute]);
+  }, [currentLocation, optimizedRoute, returnToStart]);
 
   // Find nearby stations when current location changes
   useEffect(() => {
@@ -79,13 +79,31 @@ export function useSubway(currentLocation, stores, optimizedRoute) {
         prevLng = store.coordinates.lng;
       }
 
+      // Round trip: last store back to the start
+      if (returnToStart) {
+        const route = calculateSubwayRoute(
+          prevLat,
+          prevLng,
+          currentLocation.coordinates.lat,
+          currentLocation.coordinates.lng
+        );
+        if (route) {
+          routes.push({
+            from: 'Previous Store',
+            to: 'Current Location',
+            route,
+            instructions: formatSubwayInstructions(route)
+          });
+        }
+      }
+
       setSubwayRoutes(routes);
     } catch (error) {
       console.error('Error calculating subway routes:', error);
     } finally {
       setIsCalculating(false);
     }
-  }, [currentLocation, optimizedRoute]);
+  }, [currentLocation, optimizedRoute, returnToStart]);
 
   // Get nearest station to a location
   const getNearestStation = useCallback((lat, lng) => {
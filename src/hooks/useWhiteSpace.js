@@ -0,0 +1,86 @@
+import { useState, useCallback } from 'react';
+import { buildGrid, scoreCell, pickSuggestions, DEFAULT_CELL_MILES } from '../services/whiteSpace';
+import { poiStorage, competitorStorage } from '../utils/storage';
+import { NYC_BOUNDS } from '../utils/constants';
+import { CHUNK_SIZE, mergeById } from '../utils/collections';
+
+export function useWhiteSpace() {
+  const [suggestions, setSuggestions] = useState([]);
+  const [area, setArea] = useState(null); // null = all of NYC_BOUNDS
+  const [progress, setProgress] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Score every grid cell from local data only (MTA JSON + cached POIs / competitors)
+  const runSearch = useCallback(async ({
+    stores = [],
+    pois = [],
+    competitors = [],
+    profile,
+    cellMiles = DEFAULT_CELL_MILES,
+    limit = 10
+  }) => {
+    setIsRunning(true);
+    setProgress(0);
+    setError(null);
+
+    try {
+      const cachedPOIs = await poiStorage.get();
+      const cachedCompetitors = await competitorStorage.get();
+      const allPOIs = mergeById(pois, cachedPOIs?.pois || []);
+      const allCompetitors = mergeById(competitors, cachedCompetitors?.competitors || []);
+
+      const cells = buildGrid(area || NYC_BOUNDS, cellMiles);
+      const scored = [];
+
+      for (let i = 0; i < cells.length; i += CHUNK_SIZE) {
+        cells.slice(i, i + CHUNK_SIZE).forEach(cell => {
+          scored.push(scoreCell(cell, { pois: allPOIs, competitors: allCompetitors, profile }));
+        });
+        setProgress(Math.min(1, (i + CHUNK_SIZE) / cells.length));
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      const picked = pickSuggestions(scored, stores, { limit });
+      setSuggestions(picked);
+      setSummary({
+        cellCount:       cells.length,
+        cellMiles,
+        poiCount:        allPOIs.length,
+        competitorCount: allCompetitors.length
+      });
+
+      setIsRunning(false);
+      return { success: true, suggestions: picked };
+    } catch (err) {
+      console.error('Error running white-space search:', err);
+      setError(err.message);
+      setIsRunning(false);
+      return { success: false, error: err.message };
+    }
+  }, [area]);
+
+  // Drop a suggestion once it has been promoted to a store
+  const dismissSuggestion = useCallback((cellId) => {
+    setSuggestions(prev => prev.filter(s => s.id !== cellId));
+  }, []);
+
+  const clearSuggestions = useCallback(() => {
+    setSuggestions([]);
+    setSummary(null);
+  }, []);
+
+  return {
+    suggestions,
+    area,
+    progress,
+    isRunning,
+    summary,
+    error,
+    setArea,
+    runSearch,
+    dismissSuggestion,
+    clearSuggestions
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Percentile Benchmarks
+ *
+ * Puts raw dimension scores in context — "top 8% of Manhattan for subway
+ * traffic" — by ranking them against a reference set: every station in
+ * mta-ridership.json plus a grid over NYC, scored with the same profile and
+ * model as the site.
+ *
+ * POIs and competitors only exist where they have been cached, so dimensions
+ * driven by them are benchmarked against covered reference points only —
+ * elsewhere those inputs are missing rather than empty. Dimensions anchored on
+ * MTA data use every point; their POI bonuses are absent at uncovered points,
+ * which makes those ranks slightly generous.
+ */
+
+import mtaData from '../data/mta-ridership.json';
+import { buildGrid, scoreCell } from './whiteSpace';
+import { getDimensions } from './dimensions';
+import { getBorough } from './mtaRidership';
+import { NYC_BOUNDS } from '../utils/constants';
+
+export const REFERENCE_CELL_MILES = 0.5;
+
+// Below this many reference points a percentile is noise
+export const MIN_SAMPLE = 15;
+
+const LOCAL_DATA_INPUTS = ['pois', 'competitors'];
+const CITYWIDE_INPUTS = ['mtaInfo'];
+
+export const BOROUGH_LABELS = {
+  'Manhattan':     '曼哈顿',
+  'Brooklyn':      '布鲁克林',
+  'Queens':        '皇后区',
+  'Bronx':         '布朗克斯',
+  'Staten Island': '史坦顿岛'
+};
+
+// ─── Reference set ───────────────────────────────────────────────────────────
+
+/**
+ * Reference locations: all stations plus grid cells that fall inside a borough.
+ * @returns {Array<{ id, lat, lng, borough, kind }>}
+ */
+export function buildReferencePoints(cellMiles = REFERENCE_CELL_MILES) {
+  const stations = mtaData.stations.map(s => ({
+    id:      `station-${s.id}`,
+    lat:     s.lat,
+    lng:     s.lng,
+    borough: s.borough,
+    kind:    'station'
+  }));
+
+  const cells = buildGrid(NYC_BOUNDS, cellMiles)
+    .map(cell => ({
+      id:      `cell-${cell.id}`,
+      lat:     cell.lat,
+      lng:     cell.lng,
+      borough: getBorough(cell.lat, cell.lng),
+      kind:    'cell'
+    }))
+    .filter(cell => cell.borough);
+
+  return [...stations, ...cells];
+}
+
+/**
+ * Raw dimension scores of one reference point.
+ * @returns {{ id, borough, hasLocalData, raw: { [dimensionKey]: number } }}
+ */
+export function scoreReferencePoint(point, { pois = [], competitors = [], profile }) {
+  const scored = scoreCell(point, { pois, competitors, profile });
+  return {
+    id:           point.id,
+    borough:      point.borough,
+    hasLocalData: scored.poiCount > 0,
+    raw:          Object.fromEntries(
+      Object.entries(scored.result.scoreBreakdown).map(([key, item]) => [key, item.raw])
+    )
+  };
+}
+
+/**
+ * Sorted raw-score distributions per dimension, citywide and per borough.
+ * @param {Array} samples  output of scoreReferencePoint
+ * @returns {{ sampleCount, dimensions: { [key]: { localOnly, nyc: number[], boroughs: { [borough]: number[] } } } }}
+ */
+export function summarizeReference(samples) {
+  const dimensions = {};
+
+  getDimensions().forEach(dim => {
+    const localOnly = !dim.inputs.some(input => CITYWIDE_INPUTS.includes(input))
+      && dim.inputs.some(input => LOCAL_DATA_INPUTS.includes(input));
+    const eligible = samples.filter(s => (!localOnly || s.hasLocalData) && s.raw[dim.key] !== undefined);
+
+    const boroughs = {};
+    eligible.forEach(s => {
+      if (!boroughs[s.borough]) boroughs[s.borough] = [];
+      boroughs[s.borough].push(s.raw[dim.key]);
+    });
+    Object.values(boroughs).forEach(values => values.sort((a, b) => a - b));
+
+    dimensions[dim.key] = {
+      localOnly,
+      nyc: eligible.map(s => s.raw[dim.key]).sort((a, b) => a - b),
+      boroughs
+    };
+  });
+
+  return { sampleCount: samples.length, dimensions };
+}
+
+// ─── Ranking ─────────────────────────────────────────────────────────────────
+
+/**
+ * Mid-rank percentile of a value in a sorted distribution (ties count half).
+ * @returns {{ percentile, top, sampleSize } | null}  null when the sample is too small
+ */
+export function rankInDistribution(sorted, value) {
+  if (!sorted || sorted.length < MIN_SAMPLE) return null;
+  let below = 0;
+  let equal = 0;
+  for (const v of sorted) {
+    if (v < value) below++;
+    else if (v === value) equal++;
+    else break;
+  }
+  const percentile = ((below + equal / 2) / sorted.length) * 100;
+  return {
+    percentile: Math.round(percentile),
+    top:        Math.max(1, Math.round(100 - percentile)),
+    sampleSize: sorted.length
+  };
+}
+
+/**
+ * Percentile of every dimension in a score result, citywide and in the site's borough.
+ * @param {object} result   calculateLocationScore output
+ * @param {object} reference summarizeReference output
+ * @param {{ lat, lng }} coordinates  site location (for the borough)
+ * @returns {{ borough, boroughLabel, dimensions: { [key]: { nyc, borough } } }}
+ */
+export function benchmarkScore(result, reference, { lat, lng }) {
+  const borough = getBorough(lat, lng);
+  const dimensions = {};
+
+  Object.entries(result.scoreBreakdown).forEach(([key, item]) => {
+    const dist = reference.dimensions[key];
+    dimensions[key] = {
+      nyc:       dist ? rankInDistribution(dist.nyc, item.raw) : null,
+      borough:   dist && borough ? rankInDistribution(dist.boroughs[borough], item.raw) : null,
+      localOnly: dist?.localOnly ?? false
+    };
+  });
+
+  return {
+    borough,
+    boroughLabel: borough ? (BOROUGH_LABELS[borough] ?? borough) : null,
+    dimensions
+  };
+}
+
+/**
+ * Executive one-liner, e.g. "曼哈顿前 8%".
+ */
+export function formatRank(rank, areaLabel) {
+  if (!rank) return null;
+  return `${areaLabel}前 ${rank.top}%`;
+}
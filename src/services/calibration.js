@@ -0,0 +1,268 @@
+/**
+ * Weight Calibration
+ *
+ * Fits dimension weights to the monthly revenue of our operating stores
+ * instead of hand-tuned guesses:
+ *
+ *   revenue ≈ b0 + Σ βk · rawk      βk ≥ 0      (non-negative least squares)
+ *   weightk = 100 · βk / Σ β                    (weights sum to 100)
+ *
+ * Raw dimension scores (0-100) come from calculateLocationScore on each
+ * store's POIs and competitors, so the fitted weights drop straight into a
+ * scoring profile.
+ */
+
+import { getDimensions } from './dimensions';
+
+const MAX_ITERATIONS = 1000;
+const TOLERANCE = 1e-9;
+
+// Accepted CSV header spellings → field
+const HEADER_ALIASES = {
+  name:    ['name', 'store', 'store_name', '门店', '名称'],
+  address: ['address', 'addr', '地址'],
+  lat:     ['lat', 'latitude', '纬度'],
+  lng:     ['lng', 'lon', 'long', 'longitude', '经度'],
+  revenue: ['monthly_revenue', 'revenue', 'monthly revenue', 'sales', '月营收', '营收']
+};
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === '') return null;
+  const n = Number(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parse a CSV of existing stores.
+ * Required: address, monthly revenue; lat/lng optional (geocoded from the address when missing).
+ * @returns {{ rows: Array<{ id, name, address, coordinates, revenue }>, errors: string[] }}
+ */
+export function parseStoresCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) {
+    return { rows: [], errors: ['CSV 至少需要表头和一行数据'] };
+  }
+
+  const headers = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const column = {};
+  Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+    const idx = headers.findIndex(h => aliases.includes(h));
+    if (idx >= 0) column[field] = idx;
+  });
+
+  const errors = [];
+  if (column.address === undefined) errors.push('缺少地址列（address）');
+  if (column.revenue === undefined) errors.push('缺少月营收列（monthly_revenue）');
+  if (errors.length > 0) return { rows: [], errors };
+
+  const rows = [];
+  lines.slice(1).forEach((line, i) => {
+    const cells = splitCsvLine(line);
+    const lineNo = i + 2;
+    const address = cells[column.address];
+    const revenue = parseNumber(cells[column.revenue]);
+    const lat = column.lat !== undefined ? parseNumber(cells[column.lat]) : null;
+    const lng = column.lng !== undefined ? parseNumber(cells[column.lng]) : null;
+
+    if (!address) {
+      errors.push(`第 ${lineNo} 行：地址为空`);
+      return;
+    }
+    if (revenue === null || revenue <= 0) {
+      errors.push(`第 ${lineNo} 行：月营收无效`);
+      return;
+    }
+
+    rows.push({
+      id:          `calib-${lineNo}`,
+      name:        (column.name !== undefined && cells[column.name]) || address,
+      address,
+      coordinates: lat !== null && lng !== null ? { lat, lng } : null,
+      revenue
+    });
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Non-negative least squares with a free intercept, by cyclic coordinate descent
+ * on centred data.
+ * @param {number[][]} X  n × k feature matrix
+ * @param {number[]}   y  n targets
+ * @returns {{ intercept: number, coefficients: number[] }}
+ */
+export function fitNonNegative(X, y) {
+  const n = y.length;
+  const k = X[0]?.length ?? 0;
+  const mean = arr => arr.reduce((s, v) => s + v, 0) / arr.length;
+
+  const xMean = Array.from({ length: k }, (_, j) => mean(X.map(row => row[j])));
+  const yMean = mean(y);
+  const Xc = X.map(row => row.map((v, j) => v - xMean[j]));
+  const yc = y.map(v => v - yMean);
+
+  const colNorm = Array.from({ length: k }, (_, j) => Xc.reduce((s, row) => s + row[j] * row[j], 0));
+  const beta = new Array(k).fill(0);
+  const residual = [...yc];
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    let maxChange = 0;
+    for (let j = 0; j < k; j++) {
+      if (colNorm[j] === 0) continue;
+      // Correlation of column j with the residual, with j's own contribution added back
+      let rho = 0;
+      for (let i = 0; i < n; i++) rho += Xc[i][j] * (residual[i] + Xc[i][j] * beta[j]);
+      const next = Math.max(0, rho / colNorm[j]);
+      const delta = next - beta[j];
+      if (delta !== 0) {
+        for (let i = 0; i < n; i++) residual[i] -= Xc[i][j] * delta;
+        beta[j] = next;
+        maxChange = Math.max(maxChange, Math.abs(delta) * Math.sqrt(colNorm[j]));
+      }
+    }
+    if (maxChange < TOLERANCE * (1 + Math.sqrt(yc.reduce((s, v) => s + v * v, 0)))) break;
+  }
+
+  const intercept = yMean - beta.reduce((s, b, j) => s + b * xMean[j], 0);
+  return { intercept, coefficients: beta };
+}
+
+// Integer weights summing exactly to 100 (largest remainder)
+function toPercentWeights(values) {
+  const total = values.reduce((s, v) => s + v, 0);
+  const exact = values.map(v => (v / total) * 100);
+  const floored = exact.map(Math.floor);
+  let remaining = 100 - floored.reduce((s, v) => s + v, 0);
+  exact
+    .map((v, i) => ({ i, frac: v - floored[i] }))
+    .sort((a, b) => b.frac - a.frac)
+    .forEach(({ i }) => {
+      if (remaining > 0) { floored[i]++; remaining--; }
+    });
+  return floored;
+}
+
+function rankOf(values) {
+  const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+  const ranks = new Array(values.length);
+  order.forEach(({ i }, r) => { ranks[i] = r; });
+  return ranks;
+}
+
+function pearson(a, b) {
+  const n = a.length;
+  const ma = a.reduce((s, v) => s + v, 0) / n;
+  const mb = b.reduce((s, v) => s + v, 0) / n;
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - ma) * (b[i] - mb);
+    va  += (a[i] - ma) ** 2;
+    vb  += (b[i] - mb) ** 2;
+  }
+  return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : 0;
+}
+
+/**
+ * Fit quality of predictions against actual revenue.
+ */
+export function fitQuality(actual, predicted) {
+  const n = actual.length;
+  const mean = actual.reduce((s, v) => s + v, 0) / n;
+  const ssTot = actual.reduce((s, v) => s + (v - mean) ** 2, 0);
+  const ssRes = actual.reduce((s, v, i) => s + (v - predicted[i]) ** 2, 0);
+  return {
+    r2:       ssTot > 0 ? 1 - ssRes / ssTot : 0,
+    rmse:     Math.sqrt(ssRes / n),
+    mape:     actual.reduce((s, v, i) => s + Math.abs(v - predicted[i]) / v, 0) / n,
+    // Does the model at least rank stores the right way round?
+    spearman: pearson(rankOf(actual), rankOf(predicted))
+  };
+}
+
+// Single-feature least squares: revenue ≈ a + b · overall
+function fitOverall(overall, revenue) {
+  const { intercept, coefficients } = fitNonNegative(overall.map(v => [v]), revenue);
+  return overall.map(v => intercept + coefficients[0] * v);
+}
+
+/**
+ * Calibrate dimension weights against revenue.
+ * @param {Array<{ row, result }>} samples  CSV row + its calculateLocationScore result
+ * @returns {{ weights, dimensions, intercept, quality, baseline, stores, warnings } | { error }}
+ */
+export function calibrateWeights(samples) {
+  const dimensions = getDimensions();
+  const warnings = [];
+
+  if (samples.length < 3) {
+    return { error: `有效门店仅 ${samples.length} 家，至少需要 3 家才能校准` };
+  }
+  if (samples.length < dimensions.length * 2) {
+    warnings.push(`样本量（${samples.length}）少于维度数的 2 倍，权重可能不稳定`);
+  }
+
+  const X = samples.map(({ result }) => dimensions.map(d => result.scoreBreakdown[d.key]?.raw ?? 0));
+  const y = samples.map(({ row }) => row.revenue);
+
+  const { intercept, coefficients } = fitNonNegative(X, y);
+  if (coefficients.every(b => b === 0)) {
+    return { error: '各维度与营收均无正相关，无法校准权重' };
+  }
+
+  const percent = toPercentWeights(coefficients);
+  const weights = Object.fromEntries(dimensions.map((d, j) => [d.weightKey, percent[j]]));
+  const predicted = X.map(row => intercept + row.reduce((s, v, j) => s + v * coefficients[j], 0));
+
+  dimensions.forEach((d, j) => {
+    if (percent[j] === 0) warnings.push(`「${d.label}」与营收无正向关系，权重为 0`);
+  });
+
+  return {
+    weights,
+    dimensions: dimensions.map((d, j) => ({
+      key:         d.key,
+      label:       d.label,
+      weightKey:   d.weightKey,
+      weight:      percent[j],
+      // Monthly revenue per raw-score point
+      coefficient: Math.round(coefficients[j])
+    })),
+    intercept: Math.round(intercept),
+    quality:   fitQuality(y, predicted),
+    // Same stores, current profile's overall score as the only predictor
+    baseline:  fitQuality(y, fitOverall(samples.map(s => s.result.overall), y)),
+    stores:    samples.map(({ row, result }, i) => ({
+      id:        row.id,
+      name:      row.name,
+      revenue:   row.revenue,
+      predicted: Math.round(predicted[i]),
+      overall:   result.overall
+    })),
+    warnings
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Cannibalization Analysis
+ *
+ * Estimates how much a candidate would take from our own opened Cotti stores.
+ * For every opened store within the Huff competitor radius of the candidate
+ * (farther stores never see it as a rival), the Huff model is run at that
+ * store twice — without and with the candidate as an extra Cotti location —
+ * and the drop in visitors is the volume moved.
+ */
+
+import { calculateHuffMarketShare, HUFF_DEFAULTS } from './huff';
+import { DEFAULT_FINANCIAL_INPUTS } from './financials';
+import { calculateDistance } from '../utils/distance';
+
+const DAYS_PER_MONTH = 30.4;
+
+/**
+ * Share of a catchment circle covered by another circle of the same radius
+ * whose centre is distanceMiles away (lens area / circle area).
+ */
+export function catchmentOverlap(distanceMiles, radiusMiles = HUFF_DEFAULTS.demandRadius) {
+  if (distanceMiles >= radiusMiles * 2) return 0;
+  const d = distanceMiles;
+  const r = radiusMiles;
+  const lens = 2 * r * r * Math.acos(d / (2 * r)) - (d / 2) * Math.sqrt(4 * r * r - d * d);
+  return lens / (Math.PI * r * r);
+}
+
+/**
+ * Cannibalization estimate for one candidate.
+ * @param {object} params
+ * @param {object} params.candidate   candidate store ({ id, coordinates })
+ * @param {Array}  params.ourStores   opened Cotti stores
+ * @param {Array}  params.competitors competitors from useCompetitors
+ * @param {Array}  params.pois        all known POIs (each Huff run picks its own radius)
+ * @param {object} params.profile     scoring profile
+ * @param {number} params.avgTicket   USD per transaction, for revenue moved
+ * @returns {{ affected, lostVisitors, monthlyRevenueMoved, candidateVisitors, netNewVisitors, cannibalizationRate }}
+ *   affected lists each opened store in Huff reach, most impacted first.
+ */
+export function analyzeCannibalization({
+  candidate,
+  ourStores = [],
+  competitors = [],
+  pois = [],
+  profile,
+  avgTicket = DEFAULT_FINANCIAL_INPUTS.avgTicket
+}) {
+  const { lat, lng } = candidate.coordinates;
+  const candidateAsOwn = { id: candidate.id, name: candidate.name, coordinates: candidate.coordinates };
+
+  const affected = ourStores
+    .map(store => {
+      const distance = calculateDistance(lat, lng, store.coordinates.lat, store.coordinates.lng);
+      // Same reach the Huff run uses for rival stores
+      if (distance > HUFF_DEFAULTS.competitorRadius) return null;
+      const overlap = catchmentOverlap(distance);
+
+      const others = ourStores.filter(s => s.id !== store.id);
+      const run = ownStores => calculateHuffMarketShare({
+        site: store.coordinates, competitors, pois, ownStores, profile
+      });
+      const before = run(others).visitors;
+      const after  = run([...others, candidateAsOwn]).visitors;
+      const lostVisitors = Math.max(0, before - after);
+
+      return {
+        store,
+        distance,
+        overlap:             Math.round(overlap * 100) / 100,
+        baselineVisitors:    before,
+        lostVisitors,
+        shareMoved:          before > 0 ? Math.round((lostVisitors / before) * 1000) / 1000 : 0,
+        monthlyRevenueMoved: Math.round(lostVisitors * avgTicket * DAYS_PER_MONTH)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.lostVisitors - a.lostVisitors);
+
+  // The candidate's own Huff volume already accounts for our opened stores nearby
+  const candidateVisitors = calculateHuffMarketShare({
+    site: candidate.coordinates, competitors, pois, ownStores: ourStores, profile
+  }).visitors;
+  const lostVisitors = affected.reduce((s, a) => s + a.lostVisitors, 0);
+
+  return {
+    affected,
+    lostVisitors,
+    monthlyRevenueMoved: affected.reduce((s, a) => s + a.monthlyRevenueMoved, 0),
+    candidateVisitors,
+    netNewVisitors:      candidateVisitors - lostVisitors,
+    cannibalizationRate: candidateVisitors > 0
+      ? Math.round((lostVisitors / candidateVisitors) * 1000) / 1000
+      : 0
+  };
+}
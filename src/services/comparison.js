@@ -0,0 +1,82 @@
+/**
+ * Site Comparison Service
+ * Lines up 2–4 scored sites so the committee can see "why this one over that one".
+ */
+
+import { getDimension } from './dimensions';
+
+export const MAX_COMPARE_SITES = 4;
+
+// One colour per compared site (radar polygons, traffic curves, legend)
+export const COMPARE_COLORS = ['#2563EB', '#EF4444', '#10B981', '#F59E0B'];
+
+// Topic labels for reason keys produced by generateReasons
+const REASON_TOPICS = {
+  subway:       '地铁站点',
+  catchment:    '多站辐射',
+  footTraffic:  '周边人流',
+  competition:  '竞品格局',
+  office:       '办公客群',
+  transport:    '交通设施',
+  shopping:     '商业设施',
+  education:    '教育机构',
+  tier:         '区位等级',
+  timeCoverage: '时段结构'
+};
+
+/**
+ * Radar axes: each breakdown dimension as % of its max weight (0–100).
+ * @param {Array<{ result }>} entries
+ * @returns {{ axes: Array<{ key, label }>, series: Array<number[]> }}
+ */
+export function buildRadarSeries(entries) {
+  if (!entries.length) return { axes: [], series: [] };
+
+  const axes = Object.entries(entries[0].result.scoreBreakdown)
+    .map(([key, dim]) => ({ key, label: dim.label }));
+
+  const series = entries.map(({ result }) =>
+    axes.map(({ key }) => {
+      const dim = result.scoreBreakdown[key];
+      return dim && dim.maxWeight ? Math.round((dim.weighted / dim.maxWeight) * 100) : 0;
+    })
+  );
+
+  return { axes, series };
+}
+
+/**
+ * Diff reason lists across sites by topic.
+ * status: 'shared'   – every site has the topic with the same tone
+ *         'differs'  – every site has the topic but tones differ
+ *         'partial'  – only some sites have the topic
+ * @param {Array<{ store, result }>} entries
+ * @returns {Array<{ key, topic, status, cells: Array<Array<reason>> }>}
+ *   cells[i] holds site i's reasons for the topic (may be empty)
+ */
+export function diffReasons(entries) {
+  const keys = [];
+  entries.forEach(({ result }) => {
+    result.reasons.forEach(r => {
+      if (!keys.includes(r.key)) keys.push(r.key);
+    });
+  });
+
+  const rows = keys.map(key => {
+    const cells = entries.map(({ result }) => result.reasons.filter(r => r.key === key));
+    const present = cells.filter(c => c.length > 0);
+    const tones = new Set(present.map(c => c[0].type));
+
+    let status;
+    if (present.length < entries.length) status = 'partial';
+    else if (tones.size > 1)             status = 'differs';
+    else                                 status = 'shared';
+
+    // Custom dimensions key their reasons by dimension key
+    return { key, topic: REASON_TOPICS[key] ?? getDimension(key)?.label ?? key, status, cells };
+  });
+
+  // Differences first — that's what the committee asks about
+  const order = { differs: 0, partial: 1, shared: 2 };
+  return rows.sort((a, b) => order[a.status] - order[b.status]);
+}
@@ -1,5 +1,6 @@
 import axios from 'axios';
-import { API_CONFIG, COMPETITORS } from '../utils/constants';
+import { API_CONFIG, COMPETITORS, OUTER_RING_METERS } from '../utils/constants';
+import { withProvenance } from './provenance';
 
 /**
  * Fetch competitor coffee shops near a location using Overpass API
@@ -36,7 +37,7 @@ export async function fetchCompetitorsNearLocation(lat, lng, radiusMeters = 500)
     if (response.data && response.data.elements) {
       const allowedBrands = ['STARBUCKS', 'LUCKIN', 'BLANK_STREET', 'DUNKIN'];
 
-      return response.data.elements
+      const competitors = response.data.elements
         .filter(element => element.type === 'node' && element.lat && element.lon)
         .map(element => ({
           id: element.id,
@@ -50,13 +51,15 @@ export async function fetchCompetitorsNearLocation(lat, lng, radiusMeters = 500)
           tags: element.tags
         }))
         .filter(competitor => allowedBrands.includes(competitor.brand)); // Only keep specified brands
+
+      return withProvenance(competitors, 'osm');
     }
 
     return [];
   } catch (error) {
     console.error('Error fetching competitors from Overpass:', error);
-    // Return mock data as fallback
-    return getMockCompetitors(lat, lng, radiusMeters);
+    // Return mock data as fallback, tagged so scores built on it are flagged
+    return withProvenance(getMockCompetitors(lat, lng, radiusMeters), 'mock');
   }
 }
 
@@ -181,6 +184,39 @@ function getMockCompetitors(centerLat, centerLng, radiusMeters) {
   });
 }
 
+// Typical NYC opening hours per brand, used when OSM has no opening_hours tag
+const BRAND_HOURS = {
+  STARBUCKS:    { open: 6, close: 21 },
+  DUNKIN:       { open: 5, close: 22 },
+  LUCKIN:       { open: 7, close: 20 },
+  BLANK_STREET: { open: 7, close: 19 },
+  OTHER:        { open: 7, close: 19 }
+};
+
+/**
+ * Daily opening hours for a competitor (24h clock, close may be 24).
+ * Reads the first time span of an OSM opening_hours tag (e.g.
+ * "Mo-Fr 06:00-21:00; Sa 07:00-20:00"), falling back to brand defaults.
+ * @returns {{ open: number, close: number, source: 'osm' | 'brand' }}
+ */
+export function getCompetitorHours(competitor) {
+  const tag = competitor.tags?.opening_hours;
+  if (tag) {
+    if (tag.trim() === '24/7') return { open: 0, close: 24, source: 'osm' };
+
+    const match = tag.match(/(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/);
+    if (match) {
+      const open  = Number(match[1]) + Number(match[2]) / 60;
+      let close   = Number(match[3]) + Number(match[4]) / 60;
+      if (close <= open) close = 24; // past midnight
+      return { open, close, source: 'osm' };
+    }
+  }
+
+  const brandHours = BRAND_HOURS[competitor.brand] || BRAND_HOURS.OTHER;
+  return { ...brandHours, source: 'brand' };
+}
+
 /**
  * Get brand info (color, icon, etc.)
  */
@@ -192,6 +228,21 @@ export function getBrandInfo(brandKey) {
   };
 }
 
+/**
+ * Competitors within a radius of a location (default OUTER_RING_METERS,
+ * the radius competitors are fetched and scored at).
+ * Uses a flat-earth approximation, accurate enough at NYC scale.
+ */
+export function filterCompetitorsNearLocation(competitors, coordinates, radiusMeters = OUTER_RING_METERS) {
+  if (!coordinates || !competitors || competitors.length === 0) return [];
+  return competitors.filter(c => {
+    if (!c.coordinates) return false;
+    const dlat = (c.coordinates.lat - coordinates.lat) * 111000;
+    const dlng = (c.coordinates.lng - coordinates.lng) * 85000;
+    return Math.sqrt(dlat * dlat + dlng * dlng) <= radiusMeters;
+  });
+}
+
 /**
  * Calculate competitor density around stores
  */
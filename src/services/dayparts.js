@@ -0,0 +1,161 @@
+/**
+ * Daypart Scores
+ *
+ * The all-day score hides when a site actually sells coffee. Each daypart
+ * (morning commute, midday, afternoon, evening, weekend) is scored 0-100 from
+ * three hour-specific signals, blended with the profile's weights:
+ *   ridership    catchment ridership × subway hourly curve   (SUBWAY_TRAFFIC)
+ *   POI mix      category value × category activity by hour  (ECOSYSTEM)
+ *   competition  competitor pressure × share of hours open   (COMPETITION)
+ */
+
+import { getCompetitorHours } from './competitors';
+
+export const DAYPARTS = [
+  { key: 'morning',   label: '早通勤', icon: '🌅', start: 7,  end: 10, weekend: false },
+  { key: 'midday',    label: '午间',   icon: '🥪', start: 11, end: 14, weekend: false },
+  { key: 'afternoon', label: '下午茶', icon: '☕', start: 14, end: 17, weekend: false },
+  { key: 'evening',   label: '傍晚',   icon: '🌆', start: 17, end: 20, weekend: false },
+  { key: 'weekend',   label: '周末',   icon: '🛍️', start: 9,  end: 17, weekend: true }
+];
+
+// NYC subway entries per hour, relative to the weekday 8am peak
+const RIDERSHIP_HOURLY = {
+  WEEKDAY: [0.03, 0.02, 0.01, 0.01, 0.03, 0.12, 0.38, 0.82, 1.0, 0.72, 0.42, 0.40,
+            0.45, 0.46, 0.50, 0.62, 0.80, 0.95, 0.70, 0.45, 0.33, 0.25, 0.16, 0.08],
+  WEEKEND: [0.08, 0.06, 0.04, 0.02, 0.02, 0.04, 0.08, 0.14, 0.22, 0.30, 0.38, 0.44,
+            0.48, 0.50, 0.50, 0.50, 0.48, 0.46, 0.42, 0.36, 0.30, 0.26, 0.20, 0.14]
+};
+
+// Coffee demand a POI category generates by hour range (unlisted hours: 0.05)
+const CATEGORY_ACTIVITY = {
+  OFFICE:        { '07-10': 1.0, '10-12': 0.5, '12-14': 0.8, '14-17': 0.55, '17-19': 0.2 },
+  TRANSPORT:     { '06-10': 1.0, '10-16': 0.5, '16-20': 0.9, '20-23': 0.3 },
+  SHOPPING:      { '10-12': 0.5, '12-17': 0.9, '17-21': 0.7 },
+  EDUCATION:     { '07-09': 0.9, '09-15': 0.5, '15-18': 0.7 },
+  FOOD:          { '08-11': 0.3, '11-14': 1.0, '14-17': 0.4, '17-21': 0.8 },
+  ENTERTAINMENT: { '12-17': 0.4, '17-23': 0.9 },
+  PARK:          { '07-10': 0.4, '10-18': 0.7 },
+  RESIDENTIAL:   { '06-09': 0.8, '09-17': 0.2, '17-21': 0.5 }
+};
+
+// Weekend activity relative to weekday, by category
+const CATEGORY_WEEKEND_FACTOR = {
+  OFFICE:        0.15,
+  TRANSPORT:     0.6,
+  SHOPPING:      1.4,
+  EDUCATION:     0.2,
+  FOOD:          1.2,
+  ENTERTAINMENT: 1.4,
+  PARK:          1.6,
+  RESIDENTIAL:   1.3
+};
+
+// POI points per unit of value × activity; ~12 strong POIs saturate the signal
+const POI_POINTS_PER_UNIT = 4;
+
+function hoursOf(daypart) {
+  const hours = [];
+  for (let h = daypart.start; h < daypart.end; h++) hours.push(h);
+  return hours;
+}
+
+function categoryActivity(category, hour) {
+  const ranges = CATEGORY_ACTIVITY[category];
+  if (!ranges) return 0.05;
+  const range = Object.keys(ranges).find(r => {
+    const [start, end] = r.split('-').map(Number);
+    return hour >= start && hour < end;
+  });
+  return range ? ranges[range] : 0.05;
+}
+
+function average(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+/**
+ * Share of a daypart's hours a competitor is open.
+ */
+function openShare(competitor, hours) {
+  const { open, close } = getCompetitorHours(competitor);
+  return hours.filter(h => h >= open && h < close).length / hours.length;
+}
+
+/**
+ * Score every daypart for one location.
+ * @param {object} params
+ * @param {Array}  params.pois
+ * @param {Array}  params.competitors
+ * @param {object} params.mtaInfo      catchment ridership or null
+ * @param {Array}  params.drivers      competition drivers from calcCompetitionScore
+ * @param {object} params.profile      scoring profile (weights, categoryValue)
+ * @param {object} params.thresholds   scoring model thresholds (ridership max, competition bands, grades)
+ * @returns {Array<{ key, label, icon, start, end, weekend, score, color, ridership, poiMix, competition, openCompetitors, topCategory }>}
+ */
+export function calculateDaypartScores({ pois, competitors, mtaInfo, drivers, profile, thresholds }) {
+  const { weights, categoryValue } = profile;
+  // A profile that zeroes all three dimensions still gets a daypart score — blend them equally
+  const blendWeights = [weights.SUBWAY_TRAFFIC, weights.ECOSYSTEM, weights.COMPETITION];
+  const equalBlend = blendWeights.reduce((s, w) => s + w, 0) === 0;
+  const blend = {
+    ridership:   equalBlend ? 1 : weights.SUBWAY_TRAFFIC,
+    poiMix:      equalBlend ? 1 : weights.ECOSYSTEM,
+    competition: equalBlend ? 1 : weights.COMPETITION
+  };
+  const blendTotal = blend.ridership + blend.poiMix + blend.competition;
+
+  const competitorsById = new Map(competitors.map(c => [c.id, c]));
+  const { bands, floorRaw } = thresholds.competition;
+
+  // Peak-hour ridership index; without MTA data fall back to POI density
+  const ridershipBase = mtaInfo
+    ? Math.min(100, (mtaInfo.blendedRidership / thresholds.maxWeeklyRidership) * 100)
+    : Math.min(60, pois.length * 4);
+
+  return DAYPARTS.map(daypart => {
+    const hours = hoursOf(daypart);
+    const curve = daypart.weekend ? RIDERSHIP_HOURLY.WEEKEND : RIDERSHIP_HOURLY.WEEKDAY;
+    const ridership = ridershipBase * average(hours.map(h => curve[h]));
+
+    // POI mix: value of each category weighted by how active it is in these hours
+    const byCategory = {};
+    pois.forEach(p => {
+      const activity = average(hours.map(h => categoryActivity(p.category, h)))
+        * (daypart.weekend ? (CATEGORY_WEEKEND_FACTOR[p.category] ?? 1) : 1);
+      byCategory[p.category] = (byCategory[p.category] || 0) + (categoryValue[p.category] || 1.0) * activity;
+    });
+    const poiUnits = Object.values(byCategory).reduce((s, v) => s + v, 0);
+    const poiMix = Math.min(100, poiUnits * POI_POINTS_PER_UNIT);
+    const topCategory = Object.entries(byCategory).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+
+    // Competition: only the hours a rival is actually open count against us
+    let openCompetitors = 0;
+    const pressure = drivers.reduce((sum, d) => {
+      const competitor = competitorsById.get(d.id);
+      const share = competitor ? openShare(competitor, hours) : 1;
+      if (share > 0) openCompetitors++;
+      // The all-day hours factor is replaced by the daypart's open share
+      return sum + (d.pressure / (d.hoursFactor || 1)) * share;
+    }, 0);
+    const competition = pressure === 0
+      ? 100
+      : (bands.find(b => pressure < b.max)?.raw ?? floorRaw);
+
+    const score = Math.round(
+      (ridership * blend.ridership + poiMix * blend.poiMix + competition * blend.competition) / blendTotal
+    );
+    const grade = thresholds.grades.find(g => score >= g.min) ?? thresholds.grades[thresholds.grades.length - 1];
+
+    return {
+      ...daypart,
+      score,
+      color:       grade.color,
+      ridership:   Math.round(ridership),
+      poiMix:      Math.round(poiMix),
+      competition,
+      openCompetitors,
+      topCategory
+    };
+  });
+}
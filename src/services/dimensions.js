@@ -0,0 +1,529 @@
+/**
+ * Scoring Dimension Registry
+ *
+ * calculateLocationScore scores every registered dimension; the breakdown,
+ * generateReasons and the LocationScore card pick new ones up automatically.
+ * A dimension declares:
+ *
+ *   key            breakdown key, e.g. 'footTraffic'
+ *   label          display name
+ *   weightKey      key in profile.weights, e.g. 'SUBWAY_TRAFFIC'
+ *   maxWeight      default weight when a profile has none for weightKey
+ *   inputs         scoring context fields it reads (see DIMENSION_INPUTS)
+ *   score(inputs, { profile, thresholds, weight })  → { raw: 0-100, ...details }
+ *   reasons(result, inputs)                          → [{ key, type, icon, text }]
+ *   contributions  optional { title, build(result) → [{ id, name, meta, value, negative }] }
+ *
+ * The five built-in dimensions are registered below in breakdown order.
+ */
+
+import { getRidershipLabel, formatRidership } from './mtaRidership';
+import { getCompetitorHours, getBrandInfo } from './competitors';
+import { calculateDistance, estimateWalkingTime } from '../utils/distance';
+
+// Fields of the scoring context a dimension may ask for
+export const DIMENSION_INPUTS = [
+  'pois',
+  'competitors',
+  'competitorRadius',
+  'mtaInfo',
+  'subwayDist',
+  'storeLat',
+  'storeLng',
+  'isWeekend'
+];
+
+const registry = new Map();
+
+/**
+ * Add a dimension, or replace the one registered under the same key.
+ * Built-in dimensions cannot be replaced.
+ */
+export function registerDimension(definition) {
+  const { key, label, weightKey, maxWeight, inputs = [], score } = definition || {};
+  if (!key || !label || !weightKey) {
+    throw new Error('评分维度必须提供 key、label 与 weightKey');
+  }
+  if (typeof score !== 'function') {
+    throw new Error(`评分维度「${label}」缺少评分函数`);
+  }
+  if (typeof maxWeight !== 'number' || Number.isNaN(maxWeight) || maxWeight < 0) {
+    throw new Error(`评分维度「${label}」的最大权重必须为非负数`);
+  }
+  const unknown = inputs.filter(name => !DIMENSION_INPUTS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`评分维度「${label}」声明了未知输入：${unknown.join('、')}`);
+  }
+  if (registry.get(key)?.builtin && !definition.builtin) {
+    throw new Error(`内置评分维度「${registry.get(key).label}」不可覆盖`);
+  }
+
+  registry.set(key, { reasons: () => [], contributions: null, ...definition, inputs });
+}
+
+/**
+ * Remove a custom dimension. Built-ins stay registered.
+ */
+export function unregisterDimension(key) {
+  if (registry.get(key)?.builtin) return false;
+  return registry.delete(key);
+}
+
+/** Registered dimensions, in breakdown order */
+export function getDimensions() {
+  return Array.from(registry.values());
+}
+
+export function getDimension(key) {
+  return registry.get(key) ?? null;
+}
+
+/**
+ * A dimension's weight under a profile; profiles saved before the dimension
+ * existed fall back to its default.
+ */
+export function resolveWeight(dimension, profile) {
+  return profile.weights[dimension.weightKey] ?? dimension.maxWeight;
+}
+
+function countCategories(pois) {
+  const cats = {};
+  pois.forEach(p => { cats[p.category] = (cats[p.category] || 0) + 1; });
+  return cats;
+}
+
+// ─── Dimension 1: 地铁人流量 (35 pts) ────────────────────────────────────────
+// Catchment ridership is the primary signal; POI high-value density adds a bonus.
+// Model 2.0 used the nearest station only, with its own distance decay.
+
+function calcSubwayTrafficScore({ pois, mtaInfo }, { thresholds, weight }) {
+  let raw;
+  let stations = [];
+
+  if (mtaInfo) {
+    const { ridership, maxWeeklyRidership } = thresholds;
+    let stationScore;
+    let counted;
+    if (ridership.mode === 'nearest') {
+      const { slope, floor } = ridership.distanceDecay;
+      const distMult = Math.max(floor, 1 - mtaInfo.distance * slope);
+      stationScore = Math.min(100, (mtaInfo.weeklyRidership / maxWeeklyRidership) * 100) * distMult;
+      counted = mtaInfo.stations.slice(0, 1).map(s => ({ ...s, share: 1 }));
+    } else {
+      // Blended ridership is already distance-decayed per station → 0-100 (capped at max)
+      stationScore = Math.min(100, (mtaInfo.blendedRidership / maxWeeklyRidership) * 100);
+      counted = mtaInfo.stations;
+    }
+
+    // High-value POI bonus (office, transport, shopping) — up to +20 pts
+    const highValuePOIs = pois.filter(p =>
+      ['OFFICE', 'TRANSPORT', 'SHOPPING'].includes(p.category)
+    ).length;
+    const poiBonus = Math.min(20, highValuePOIs * 3);
+
+    raw = Math.min(100, stationScore + poiBonus);
+
+    // Each station's share of the station score, in weighted points
+    const stationPts = (stationScore / 100) * weight;
+    stations = counted.map(s => ({
+      id:              s.station.id,
+      name:            s.station.name,
+      distance:        s.distance,
+      weeklyRidership: s.weeklyRidership,
+      weight:          s.weight,
+      contribution:    s.contribution,
+      points:          Math.round(stationPts * s.share * 10) / 10
+    }));
+  } else {
+    // No MTA data: pure POI density proxy
+    const count     = pois.length;
+    const highValue = pois.filter(p =>
+      ['SHOPPING', 'TRANSPORT', 'OFFICE'].includes(p.category)
+    ).length;
+    raw = Math.min(100, count * 4 + highValue * 6);
+  }
+
+  return { raw, stations };
+}
+
+function subwayTrafficReasons(result, { pois, mtaInfo }) {
+  const reasons = [];
+
+  if (mtaInfo) {
+    const label  = getRidershipLabel(mtaInfo.weeklyRidership);
+    const count  = formatRidership(mtaInfo.weeklyRidership);
+    const distFt = Math.round(mtaInfo.distance * 5280);
+    const name   = mtaInfo.station.name;
+
+    if      (mtaInfo.weeklyRidership >= 400000) {
+      reasons.push({ key: 'subway', type: 'positive', icon: '🚇',
+        text: `${name}（${label}，${count}）距此 ${distFt} 英尺 — 顶级客流枢纽，早高峰通勤人流密集，适合咖啡消费场景` });
+    } else if (mtaInfo.weeklyRidership >= 200000) {
+      reasons.push({ key: 'subway', type: 'positive', icon: '🚇',
+        text: `${name}（${label}，${count}）距此 ${distFt} 英尺，客流稳定充足` });
+    } else if (mtaInfo.weeklyRidership >= 100000) {
+      reasons.push({ key: 'subway', type: 'neutral', icon: '🚶',
+        text: `${name}（${label}，${count}）距此 ${distFt} 英尺，客流中等` });
+    } else {
+      reasons.push({ key: 'subway', type: 'negative', icon: '⚠️',
+        text: `${name}（${label}，${count}）距此 ${distFt} 英尺，站点客流有限，需依赖周边商业带动` });
+    }
+
+    if (mtaInfo.stations.length >= 2) {
+      const names = mtaInfo.stations.slice(0, 3).map(s => s.station.name).join('、');
+      reasons.push({ key: 'catchment', type: mtaInfo.blendedRidership >= 200000 ? 'positive' : 'neutral', icon: '🚉',
+        text: `步行范围内 ${mtaInfo.stations.length} 个站点（${names}）合计加权客流 ${formatRidership(mtaInfo.blendedRidership)}，多站叠加辐射` });
+    }
+  } else {
+    const n = pois.length;
+    if      (result.raw >= 65) {
+      reasons.push({ key: 'footTraffic', type: 'positive', icon: '✅', text: `周边设施密集（${n} 个），人流潜力强` });
+    } else if (result.raw >= 40) {
+      reasons.push({ key: 'footTraffic', type: 'neutral',  icon: '➡️', text: `周边设施一般（${n} 个），人流量中等` });
+    } else {
+      reasons.push({ key: 'footTraffic', type: 'negative', icon: '⚠️', text: `周边设施稀少（${n} 个），自然人流不足` });
+    }
+  }
+
+  return reasons;
+}
+
+// ─── Dimension 2: 竞品格局 (20 pts) ──────────────────────────────────────────
+// Distance-weighted competitor pressure: brand weight × walking-ring decay,
+// optionally scaled by store size and opening hours when that data exists.
+// 1-2 competitors → market-validation bonus.
+
+// Optional competitor.size → pressure multiplier
+const COMPETITOR_SIZE_FACTOR = {
+  kiosk:    0.6,
+  standard: 1.0,
+  flagship: 1.4
+};
+
+function calcCompetitionScore({ competitors, storeLat, storeLng }, { profile, thresholds }) {
+  const { mode, bands, floorRaw, validationBonus: bonus, walkRings, outerRing } = thresholds.competition;
+  // Model 2.0 counted every competitor at full weight regardless of distance
+  const hasLocation = mode === 'distance' && storeLat != null && storeLng != null;
+
+  const drivers = competitors.map(c => {
+    const brandWeight = profile.brandWeight[c.brand] ?? 0.8;
+
+    // Without store coordinates every competitor counts at full weight
+    let distance = null;
+    let walkMinutes = null;
+    let ring = null;
+    if (hasLocation && c.coordinates) {
+      distance    = calculateDistance(storeLat, storeLng, c.coordinates.lat, c.coordinates.lng);
+      walkMinutes = estimateWalkingTime(distance);
+      ring        = walkRings.find(r => walkMinutes <= r.minutes) || outerRing;
+    }
+    const ringWeight = ring ? ring.weight : 1.0;
+
+    const sizeFactor = mode === 'distance' ? (COMPETITOR_SIZE_FACTOR[c.size] ?? 1.0) : 1.0;
+
+    // Known opening hours: a 14h day is neutral, longer hours compete more
+    const hours = getCompetitorHours(c);
+    const hoursFactor = mode === 'distance' && hours.source === 'osm'
+      ? Math.min(1.3, Math.max(0.6, (hours.close - hours.open) / 14))
+      : 1.0;
+
+    const pressure = brandWeight * ringWeight * sizeFactor * hoursFactor;
+    return {
+      id:          c.id,
+      name:        c.name,
+      brand:       c.brand,
+      distance,
+      walkMinutes: walkMinutes === null ? null : Math.round(walkMinutes * 10) / 10,
+      ring:        ring ? ring.label : null,
+      brandWeight,
+      ringWeight,
+      sizeFactor,
+      hoursFactor: Math.round(hoursFactor * 100) / 100,
+      pressure:    Math.round(pressure * 100) / 100
+    };
+  }).sort((a, b) => b.pressure - a.pressure);
+
+  const pressure = drivers.reduce((sum, d) => sum + d.pressure, 0);
+
+  const raw = pressure === 0
+    ? 100
+    : (bands.find(b => pressure < b.max)?.raw ?? floorRaw);
+
+  // Market-validation: 1-2 competitors prove the area supports coffee
+  const validationBonus = (competitors.length >= 1 && competitors.length <= 2) ? bonus : 0;
+
+  return {
+    raw:      Math.min(100, raw + validationBonus),
+    pressure: Math.round(pressure * 10) / 10,
+    // Each competitor's share of the total penalty, largest first
+    drivers:  drivers.map(d => ({
+      ...d,
+      share: pressure > 0 ? Math.round((d.pressure / pressure) * 100) / 100 : 0
+    }))
+  };
+}
+
+function competitionReasons(result, { competitors, competitorRadius }) {
+  const reasons = [];
+
+  if (competitors.length === 0) {
+    reasons.push({ key: 'competition', type: 'positive', icon: '✅',
+      text: `${competitorRadius ?? 322} 米内无直接竞品，先发优势明显，市场空白待填补` });
+    return reasons;
+  }
+
+  const sbCount = competitors.filter(c => c.brand === 'STARBUCKS').length;
+  const lkCount = competitors.filter(c => c.brand === 'LUCKIN').length;
+  const dkCount = competitors.filter(c => c.brand === 'DUNKIN').length;
+  const bsCount = competitors.filter(c => c.brand === 'BLANK_STREET').length;
+
+  const parts = [];
+  if (sbCount > 0) parts.push(`星巴克×${sbCount}`);
+  if (lkCount > 0) parts.push(`瑞幸×${lkCount}`);
+  if (dkCount > 0) parts.push(`Dunkin×${dkCount}`);
+  if (bsCount > 0) parts.push(`Blank Street×${bsCount}`);
+  const otherN = competitors.length - sbCount - lkCount - dkCount - bsCount;
+  if (otherN > 0) parts.push(`其他×${otherN}`);
+
+  const topDriver = result.drivers[0];
+  if (topDriver && topDriver.ring) {
+    reasons.push({ key: 'competition', type: topDriver.ringWeight >= 1 ? 'negative' : 'neutral', icon: '📏',
+      text: `主要竞争压力来自 ${getBrandInfo(topDriver.brand).name}（${topDriver.ring}步行圈，约 ${Math.round(topDriver.distance * 1609)} 米），占竞品压力 ${Math.round(topDriver.share * 100)}%` });
+  }
+
+  if (competitors.length <= 2) {
+    reasons.push({ key: 'competition', type: 'neutral', icon: '☕',
+      text: `附近 ${parts.join('、')}，竞争存在但市场已被验证，差异化可突围` });
+  } else {
+    reasons.push({ key: 'competition', type: 'negative', icon: '⚠️',
+      text: `竞品密集：${parts.join('、')}，需明确差异化定位（性价比 / 社交体验 / 速取效率）` });
+  }
+
+  return reasons;
+}
+
+// ─── Dimension 3: 商业生态 (20 pts) ──────────────────────────────────────────
+
+function calcEcosystemScore({ pois }, { profile }) {
+  if (pois.length === 0) return { raw: 15 };
+
+  const cats = countCategories(pois);
+
+  // Category diversity bonus (up to 25)
+  const diversityScore = Math.min(25, Object.keys(cats).length * 4);
+
+  // Density score weighted by category value (up to 50)
+  const officeN    = cats.OFFICE    || 0;
+  const transportN = cats.TRANSPORT || 0;
+  const shoppingN  = cats.SHOPPING  || 0;
+  const otherN     = pois.length - officeN - transportN - shoppingN;
+  const densityScore = Math.min(50,
+    officeN * 7 + transportN * 6 + shoppingN * 5 + otherN * 2
+  );
+
+  // Avg category-value bonus (up to 25)
+  const totalValue = pois.reduce((s, p) => s + (profile.categoryValue[p.category] || 1.0), 0);
+  const avgValue   = totalValue / pois.length;
+  const valueBonus = Math.min(25, (avgValue - 1.0) * 20);
+
+  return {
+    raw:          Math.min(100, diversityScore + densityScore + valueBonus),
+    catBreakdown: cats
+  };
+}
+
+function ecosystemReasons(result, { pois }) {
+  const reasons = [];
+  const cats = countCategories(pois);
+
+  if ((cats.OFFICE || 0) >= 3) {
+    reasons.push({ key: 'office', type: 'positive', icon: '🏢',
+      text: `${cats.OFFICE} 个办公楼/商业楼，工作日早晨 + 午餐时段消费能力强，复购率高` });
+  } else if ((cats.OFFICE || 0) >= 1) {
+    reasons.push({ key: 'office', type: 'neutral', icon: '🏢',
+      text: `${cats.OFFICE} 个办公场所，有工作日消费基础` });
+  }
+
+  if ((cats.TRANSPORT || 0) >= 2) {
+    reasons.push({ key: 'transport', type: 'positive', icon: '🚌',
+      text: `${cats.TRANSPORT} 个交通枢纽设施，全天候稳定客流，适合快取场景` });
+  } else if ((cats.TRANSPORT || 0) === 1) {
+    reasons.push({ key: 'transport', type: 'neutral', icon: '🚌',
+      text: `1 个交通节点附近，候车等待客群有潜力` });
+  }
+
+  if ((cats.SHOPPING || 0) >= 2) {
+    reasons.push({ key: 'shopping', type: 'positive', icon: '🛍️',
+      text: `${cats.SHOPPING} 个商业设施，周末 + 下班后客流活跃` });
+  }
+  if ((cats.EDUCATION || 0) >= 1) {
+    reasons.push({ key: 'education', type: 'neutral', icon: '🎓',
+      text: `${cats.EDUCATION} 所学校/教育机构附近，午后学生客群稳定` });
+  }
+
+  return reasons;
+}
+
+// ─── Dimension 4: 区位价值 (15 pts) ──────────────────────────────────────────
+// Catchment tier (superstation = midtown/downtown premium) + transport POI density.
+// Blended ridership already carries distance decay, so no separate distance modifier.
+
+function calcLocationValueScore({ pois, mtaInfo, subwayDist }, { thresholds }) {
+  let raw;
+
+  if (mtaInfo) {
+    // Tier score based on catchment grade (model 2.0: nearest station × distance modifier)
+    const decay = thresholds.tierDistanceDecay;
+    const wr = decay ? mtaInfo.weeklyRidership : mtaInfo.blendedRidership;
+    const tiers = thresholds.locationTiers;
+    const tierRaw = (tiers.find(t => wr >= t.min) ?? tiers[tiers.length - 1]).raw;
+    const tierScore = decay
+      ? tierRaw * Math.max(decay.floor, 1 - subwayDist * decay.slope)
+      : tierRaw;
+
+    // Transport POI bonus (up to 15)
+    const transportPOIs = pois.filter(p => p.category === 'TRANSPORT').length;
+    const transportBonus = Math.min(15, transportPOIs * 5);
+
+    raw = Math.min(100, tierScore + transportBonus);
+  } else if (subwayDist !== null) {
+    if      (subwayDist <= 0.1) raw = 85;
+    else if (subwayDist <= 0.2) raw = 70;
+    else if (subwayDist <= 0.3) raw = 55;
+    else if (subwayDist <= 0.5) raw = 38;
+    else                         raw = 20;
+  } else {
+    raw = 40;
+  }
+
+  return { raw };
+}
+
+function locationValueReasons(result, { mtaInfo }) {
+  if (mtaInfo && mtaInfo.weeklyRidership >= 300000) {
+    return [{ key: 'tier', type: 'neutral', icon: '📍',
+      text: `位于纽约 ${getRidershipLabel(mtaInfo.weeklyRidership)} 辐射区，商业价值高，但租金水平也相应偏高，需评估租金/营收比` }];
+  }
+  return [];
+}
+
+// ─── Dimension 5: 时段覆盖 (10 pts) ──────────────────────────────────────────
+
+function calcTimeCoverageScore({ pois, isWeekend }) {
+  const cats = countCategories(pois);
+
+  let score = 45; // base
+
+  // Weekday morning rush (offices)
+  if      ((cats.OFFICE || 0) >= 3) score += 20;
+  else if ((cats.OFFICE || 0) >= 1) score += 10;
+
+  // Lunch / afternoon (F&B + shopping)
+  if      ((cats.SHOPPING || 0) >= 2 || (cats.FOOD || 0) >= 3) score += 20;
+  else if ((cats.SHOPPING || 0) >= 1 || (cats.FOOD || 0) >= 2) score += 10;
+
+  // All-day (transit hub)
+  if ((cats.TRANSPORT || 0) >= 1) score += 15;
+
+  // Residential-dominant: weak peak hours
+  if ((cats.RESIDENTIAL || 0) > pois.length * 0.4) score -= 20;
+
+  // Weekend: shopping helps, office heavy hurts
+  if (isWeekend && (cats.SHOPPING || 0) >= 2) score += 5;
+  if (isWeekend && (cats.OFFICE   || 0) > pois.length * 0.5) score -= 10;
+
+  return { raw: Math.max(20, Math.min(100, score)) };
+}
+
+function timeCoverageReasons(result, { pois }) {
+  const cats = countCategories(pois);
+  if ((cats.TRANSPORT || 0) >= 1 && (cats.OFFICE || 0) >= 1) {
+    return [{ key: 'timeCoverage', type: 'positive', icon: '⏰',
+      text: '全天候客流结构：早高峰（通勤）→ 午餐（办公楼）→ 晚高峰（归途）' }];
+  }
+  if ((cats.RESIDENTIAL || 0) > pois.length * 0.5) {
+    return [{ key: 'timeCoverage', type: 'negative', icon: '🏘️',
+      text: '周边以居住区为主，工作日中段与非高峰时段客流稀疏，营业效率有限' }];
+  }
+  return [];
+}
+
+// ─── Built-in registrations ──────────────────────────────────────────────────
+
+registerDimension({
+  key:       'footTraffic',
+  label:     '地铁人流',
+  weightKey: 'SUBWAY_TRAFFIC',
+  maxWeight: 35,
+  inputs:    ['pois', 'mtaInfo'],
+  score:     calcSubwayTrafficScore,
+  reasons:   subwayTrafficReasons,
+  contributions: {
+    title: '🚇 步行范围内站点贡献',
+    build: result => result.stations.map(s => ({
+      id:    s.id,
+      name:  s.name,
+      meta:  `${Math.round(s.distance * 5280)}ft · ${formatRidership(s.weeklyRidership)} × ${s.weight}`,
+      value: `+${s.points}`
+    }))
+  },
+  builtin:   true
+});
+
+registerDimension({
+  key:       'competition',
+  label:     '竞品格局',
+  weightKey: 'COMPETITION',
+  maxWeight: 20,
+  inputs:    ['competitors', 'competitorRadius', 'storeLat', 'storeLng'],
+  score:     calcCompetitionScore,
+  reasons:   competitionReasons,
+  contributions: {
+    title: '☕ 竞品压力来源',
+    build: result => result.drivers.slice(0, 5).map(d => ({
+      id:   d.id,
+      name: d.name,
+      meta: [
+        d.ring ? `${d.ring} · ${Math.round(d.distance * 5280)}ft` : '距离未知',
+        d.sizeFactor !== 1 ? `规模×${d.sizeFactor}` : null,
+        d.hoursFactor !== 1 ? `营业时长×${d.hoursFactor}` : null
+      ].filter(Boolean).join(' · '),
+      value:    `${Math.round(d.share * 100)}%`,
+      negative: true
+    }))
+  },
+  builtin:   true
+});
+
+registerDimension({
+  key:       'ecosystem',
+  label:     '商业生态',
+  weightKey: 'ECOSYSTEM',
+  maxWeight: 20,
+  inputs:    ['pois'],
+  score:     calcEcosystemScore,
+  reasons:   ecosystemReasons,
+  builtin:   true
+});
+
+registerDimension({
+  key:       'transit',
+  label:     '区位价值',
+  weightKey: 'LOCATION_VALUE',
+  maxWeight: 15,
+  inputs:    ['pois', 'mtaInfo', 'subwayDist'],
+  score:     calcLocationValueScore,
+  reasons:   locationValueReasons,
+  builtin:   true
+});
+
+registerDimension({
+  key:       'timeCoverage',
+  label:     '时段覆盖',
+  weightKey: 'TIME_COVERAGE',
+  maxWeight: 10,
+  inputs:    ['pois', 'isWeekend'],
+  score:     calcTimeCoverageScore,
+  reasons:   timeCoverageReasons,
+  builtin:   true
+});
@@ -0,0 +1,149 @@
+/**
+ * Store Financial Forecast
+ *
+ * Turns the hourly traffic model into money: visitors × average ticket,
+ * less COGS, labour and rent, over a multi-year horizon with a ramp-up period.
+ * Produces a monthly P&L, break-even month, payback period, NPV / IRR and
+ * one-way sensitivity tables for capture rate and ticket size.
+ */
+
+import { generateDailyTrafficData, DEFAULT_CAPTURE_RATE } from './scoring';
+
+export const DEFAULT_FINANCIAL_INPUTS = {
+  avgTicket:    5.5,     // USD per transaction
+  captureRate:  DEFAULT_CAPTURE_RATE,
+  monthlyRent:  18000,   // USD
+  capex:        350000,  // build-out, equipment, pre-opening
+  monthlyLabor: 32000,   // USD, fully loaded
+  cogsPct:      0.30,    // share of revenue
+  discountRate: 0.10     // annual, for NPV
+};
+
+// Input labels for the UI, in form order
+export const FINANCIAL_INPUT_LABELS = {
+  avgTicket:    { label: '客单价', unit: '$',  step: 0.1 },
+  captureRate:  { label: '到店率', unit: '%',  step: 0.5, percent: true },
+  monthlyRent:  { label: '月租金', unit: '$',  step: 500 },
+  capex:        { label: '装修投入', unit: '$', step: 5000 },
+  monthlyLabor: { label: '月人工', unit: '$',  step: 500 },
+  cogsPct:      { label: '原料成本', unit: '%', step: 1, percent: true },
+  discountRate: { label: '折现率', unit: '%/年', step: 1, percent: true }
+};
+
+const HORIZON_MONTHS = 60;
+const DAYS_PER_MONTH = 30.4;
+
+// New stores ramp from 60% to full volume over the first six months
+const RAMP_UP = [0.6, 0.7, 0.8, 0.88, 0.94, 0.98];
+
+// Multipliers applied in the sensitivity tables
+const SENSITIVITY_STEPS = [-0.5, -0.25, 0, 0.25, 0.5];
+
+/**
+ * Average daily transactions at steady state (weekday/weekend blend).
+ */
+export function estimateDailyTransactions(pois, mtaInfo, captureRate) {
+  const sum = data => data.reduce((s, d) => s + d.visitors, 0);
+  const weekday = sum(generateDailyTrafficData(pois, false, mtaInfo, { captureRate }));
+  const weekend = sum(generateDailyTrafficData(pois, true, mtaInfo, { captureRate }));
+  return (weekday * 5 + weekend * 2) / 7;
+}
+
+/**
+ * Build the full forecast for one store.
+ * @param {object} params
+ * @param {Array}  params.pois     POIs near the store
+ * @param {object} params.mtaInfo  catchment ridership (from calculateLocationScore)
+ * @param {object} params.inputs   overrides for DEFAULT_FINANCIAL_INPUTS
+ * @returns {{ inputs, dailyTransactions, monthly, summary, sensitivity }}
+ */
+export function buildFinancialForecast({ pois = [], mtaInfo = null, inputs = {} }) {
+  const merged = { ...DEFAULT_FINANCIAL_INPUTS, ...inputs };
+  const base = runModel(pois, mtaInfo, merged);
+
+  const sensitivity = {
+    captureRate: SENSITIVITY_STEPS.map(step => {
+      const value = merged.captureRate * (1 + step);
+      const { summary } = runModel(pois, mtaInfo, { ...merged, captureRate: value });
+      return { step, value, npv: summary.npv, paybackMonth: summary.paybackMonth };
+    }),
+    avgTicket: SENSITIVITY_STEPS.map(step => {
+      const value = merged.avgTicket * (1 + step);
+      const { summary } = runModel(pois, mtaInfo, { ...merged, avgTicket: value });
+      return { step, value, npv: summary.npv, paybackMonth: summary.paybackMonth };
+    })
+  };
+
+  return { inputs: merged, ...base, sensitivity };
+}
+
+function runModel(pois, mtaInfo, inputs) {
+  const dailyTransactions = estimateDailyTransactions(pois, mtaInfo, inputs.captureRate);
+  const steadyRevenue = dailyTransactions * DAYS_PER_MONTH * inputs.avgTicket;
+
+  const monthly = [];
+  let cumulativeCash = -inputs.capex;
+
+  for (let month = 1; month <= HORIZON_MONTHS; month++) {
+    const ramp    = RAMP_UP[month - 1] ?? 1;
+    const revenue = steadyRevenue * ramp;
+    const cogs    = revenue * inputs.cogsPct;
+    const profit  = revenue - cogs - inputs.monthlyLabor - inputs.monthlyRent;
+    cumulativeCash += profit;
+
+    monthly.push({
+      month,
+      revenue:        Math.round(revenue),
+      cogs:           Math.round(cogs),
+      labor:          inputs.monthlyLabor,
+      rent:           inputs.monthlyRent,
+      profit:         Math.round(profit),
+      cumulativeCash: Math.round(cumulativeCash)
+    });
+  }
+
+  const cashFlows = [-inputs.capex, ...monthly.map(m => m.profit)];
+  const monthlyRate = Math.pow(1 + inputs.discountRate, 1 / 12) - 1;
+  const monthlyIrr = calculateIRR(cashFlows);
+
+  const summary = {
+    steadyMonthlyRevenue: Math.round(steadyRevenue),
+    steadyMonthlyProfit:  monthly[monthly.length - 1].profit,
+    breakEvenMonth:       monthly.find(m => m.profit >= 0)?.month ?? null,
+    paybackMonth:         monthly.find(m => m.cumulativeCash >= 0)?.month ?? null,
+    npv:                  Math.round(calculateNPV(cashFlows, monthlyRate)),
+    irr:                  monthlyIrr === null ? null : Math.pow(1 + monthlyIrr, 12) - 1
+  };
+
+  return { dailyTransactions: Math.round(dailyTransactions), monthly, summary };
+}
+
+/**
+ * Net present value of periodic cash flows; cashFlows[0] is undiscounted.
+ */
+export function calculateNPV(cashFlows, ratePerPeriod) {
+  return cashFlows.reduce((s, cf, t) => s + cf / Math.pow(1 + ratePerPeriod, t), 0);
+}
+
+/**
+ * Periodic IRR by bisection. Returns null when NPV does not change sign
+ * over the search range (e.g. the store never pays back).
+ */
+export function calculateIRR(cashFlows, low = -0.99, high = 1, tolerance = 1e-7) {
+  let npvLow = calculateNPV(cashFlows, low);
+  const npvHigh = calculateNPV(cashFlows, high);
+  if (npvLow * npvHigh > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = calculateNPV(cashFlows, mid);
+    if (Math.abs(npvMid) < tolerance) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+}
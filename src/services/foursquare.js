@@ -8,6 +8,9 @@
  * Coverage is far superior to OpenStreetMap for NYC chain coffee shops.
  */
 
+import { withProvenance } from './provenance';
+import { OUTER_RING_METERS } from '../utils/constants';
+
 const FSQ_API_KEY = import.meta.env.VITE_FOURSQUARE_API_KEY;
 const FSQ_BASE = 'https://api.foursquare.com/v3/places/search';
 
@@ -40,7 +43,7 @@ function detectBrandFromName(name = '') {
  * @param {number} radiusMeters
  * @returns {Promise<Array>} competitors array
  */
-export async function fetchCompetitorsFoursquare(lat, lng, radiusMeters = 322) {
+export async function fetchCompetitorsFoursquare(lat, lng, radiusMeters = OUTER_RING_METERS) {
   if (!FSQ_API_KEY) {
     return null; // Signal to caller: no key, fall back to OSM
   }
@@ -94,7 +97,7 @@ export async function fetchCompetitorsFoursquare(lat, lng, radiusMeters = 322) {
       })
       .filter(Boolean);
 
-    return competitors;
+    return withProvenance(competitors, 'foursquare');
   } catch (err) {
     console.error('Foursquare fetch failed:', err);
     return null; // Fall back to OSM
@@ -105,7 +108,7 @@ export async function fetchCompetitorsFoursquare(lat, lng, radiusMeters = 322) {
  * Fetch competitors for multiple store locations via Foursquare.
  * Deduplicates by Foursquare place ID.
  */
-export async function fetchCompetitorsForStoresFoursquare(stores, radiusMeters = 322) {
+export async function fetchCompetitorsForStoresFoursquare(stores, radiusMeters = OUTER_RING_METERS) {
   const allCompetitors = new Map();
 
   for (const store of stores) {
@@ -4,6 +4,7 @@
  */
 
 import { calculateDistance } from '../utils/distance';
+import { createSeededRandom, sampleTriangular, sampleNormal, quantile } from '../utils/random';
 
 /**
  * Time-based traffic multipliers
@@ -204,21 +205,63 @@ export function getTrafficLevel(score) {
 }
 
 /**
- * Estimate daily customer volume
+ * Input distributions for the daily customer forecast
  */
-export function estimateDailyCustomers(footTrafficScore, competitorCount = 0) {
-  // Base customers from foot traffic
-  let baseCustomers = footTrafficScore * 5; // Max ~500 customers/day at score 100
+const FORECAST_DISTRIBUTIONS = {
+  // Café capture rate (triangular) — the 2-4% band, most likely 3%
+  captureRate: { min: 0.02, mode: 0.03, max: 0.04 },
+  // Day-to-day ridership variation (normal, coefficient of variation)
+  ridershipCv: 0.15,
+  // Customers lost per nearby competitor (triangular)
+  competitorEffect: { min: 10, mode: 20, max: 35 }
+};
+
+const FORECAST_ITERATIONS = 2000;
+
+// competitorEffect was calibrated on competitor counts within this radius (0.2 mi)
+export const FORECAST_COMPETITOR_RADIUS_METERS = 322;
 
-  // Competition penalty
-  const competitionPenalty = competitorCount * 20;
-  baseCustomers = Math.max(0, baseCustomers - competitionPenalty);
+/**
+ * Estimate daily customer volume as a seeded Monte Carlo forecast.
+ * The same seed (e.g. a store id) always yields the same range, so reports
+ * are reproducible.
+ * @param {number} footTrafficScore  0–100
+ * @param {number} competitorCount  competitors within FORECAST_COMPETITOR_RADIUS_METERS
+ * @param {object} options
+ * @param {string|number} options.seed
+ * @param {number} options.iterations
+ * @returns {{ p10: number, p50: number, p90: number, mean: number, iterations: number }}
+ */
+export function estimateDailyCustomers(footTrafficScore, competitorCount = 0, {
+  seed = 'default',
+  iterations = FORECAST_ITERATIONS
+} = {}) {
+  const random = createSeededRandom(seed);
+  const { captureRate, ridershipCv, competitorEffect } = FORECAST_DISTRIBUTIONS;
+
+  // Base customers from foot traffic at the modal capture rate
+  const baseCustomers = footTrafficScore * 5; // Max ~500 customers/day at score 100
+
+  const samples = [];
+  for (let i = 0; i < iterations; i++) {
+    const capture   = sampleTriangular(random, captureRate.min, captureRate.mode, captureRate.max);
+    const ridership = Math.max(0, sampleNormal(random, 1, ridershipCv));
+    const lostPer   = sampleTriangular(random, competitorEffect.min, competitorEffect.mode, competitorEffect.max);
+
+    const customers = baseCustomers * (capture / captureRate.mode) * ridership - competitorCount * lostPer;
+    samples.push(Math.max(0, customers));
+  }
 
-  // Add some randomness (±20%)
-  const variance = baseCustomers * 0.2;
-  const randomFactor = 1 + (Math.random() - 0.5) * 0.4;
+  samples.sort((a, b) => a - b);
+  const mean = samples.reduce((s, v) => s + v, 0) / samples.length;
 
-  return Math.round(baseCustomers * randomFactor);
+  return {
+    p10:  Math.round(quantile(samples, 0.1)),
+    p50:  Math.round(quantile(samples, 0.5)),
+    p90:  Math.round(quantile(samples, 0.9)),
+    mean: Math.round(mean),
+    iterations
+  };
 }
 
 /**
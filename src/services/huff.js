@@ -0,0 +1,212 @@
+/**
+ * Huff Gravity Model — market-share estimation
+ *
+ * Each demand point (subway station, office, mall, campus …) splits its daily
+ * coffee purchases across every reachable store in proportion to
+ *
+ *   attractiveness / distance^λ
+ *
+ * Summing the Cotti store's slice over all demand points gives its expected
+ * daily visitors and share of local coffee demand. Competitor attractiveness
+ * comes from the scoring profile's brand weights, so a profile that treats
+ * Starbucks as a stronger rival also lets it pull more demand here.
+ */
+
+import mtaData from '../data/mta-ridership.json';
+import { calculateDistance } from '../utils/distance';
+import { getDefaultProfile } from './scoringProfiles';
+
+export const HUFF_DEFAULTS = {
+  distanceExponent:    2,     // λ — NYC walkers are very distance-sensitive
+  cottiAttractiveness: 1.3,   // on the same scale as profile.brandWeight
+  demandRadius:        0.5,   // miles — demand points considered around the site
+  competitorRadius:    0.75,  // miles — rivals that can pull from those points
+  stationCoffeeRate:   0.02   // share of daily station entries that buy coffee nearby
+};
+
+// Daily coffee purchases generated by one POI, weekday
+const POI_DAILY_DEMAND = {
+  OFFICE:        150,
+  TRANSPORT:     90,
+  SHOPPING:      60,
+  EDUCATION:     80,
+  FOOD:          20,
+  ENTERTAINMENT: 25,
+  PARK:          15,
+  RESIDENTIAL:   40
+};
+
+// Weekend demand relative to weekday, by demand-point type
+const WEEKEND_DEMAND_FACTOR = {
+  STATION:       0.65,
+  OFFICE:        0.25,
+  TRANSPORT:     0.7,
+  SHOPPING:      1.4,
+  EDUCATION:     0.4,
+  FOOD:          1.2,
+  ENTERTAINMENT: 1.5,
+  PARK:          1.6,
+  RESIDENTIAL:   1.1
+};
+
+// Below ~1 minute's walk distance stops mattering; also avoids divide-by-zero
+const MIN_DISTANCE_MILES = 0.03;
+
+/**
+ * Huff utility of a store for a demand point: attractiveness / distance^λ.
+ */
+export function huffUtility(attractiveness, distanceMiles, distanceExponent = HUFF_DEFAULTS.distanceExponent) {
+  return attractiveness / Math.pow(Math.max(MIN_DISTANCE_MILES, distanceMiles), distanceExponent);
+}
+
+/**
+ * Build demand points around a site from POIs and MTA stations.
+ * @returns {Array<{ id, name, type, lat, lng, demand, weekendDemand }>}
+ */
+export function buildDemandPoints(lat, lng, pois = [], demandRadius = HUFF_DEFAULTS.demandRadius,
+  stationCoffeeRate = HUFF_DEFAULTS.stationCoffeeRate, closedStationIds = []) {
+  const points = [];
+
+  mtaData.stations.forEach(station => {
+    if (closedStationIds.includes(station.id)) return;
+    if (calculateDistance(lat, lng, station.lat, station.lng) > demandRadius) return;
+    const demand = (station.weeklyRidership / 7) * stationCoffeeRate;
+    points.push({
+      id:            `station-${station.id}`,
+      name:          station.name,
+      type:          'STATION',
+      lat:           station.lat,
+      lng:           station.lng,
+      demand,
+      weekendDemand: demand * WEEKEND_DEMAND_FACTOR.STATION
+    });
+  });
+
+  pois.forEach(poi => {
+    const demand = POI_DAILY_DEMAND[poi.category];
+    if (!demand || !poi.coordinates) return;
+    const { lat: pLat, lng: pLng } = poi.coordinates;
+    if (calculateDistance(lat, lng, pLat, pLng) > demandRadius) return;
+    points.push({
+      id:            `poi-${poi.id}`,
+      name:          poi.name,
+      type:          poi.category,
+      lat:           pLat,
+      lng:           pLng,
+      demand,
+      weekendDemand: demand * (WEEKEND_DEMAND_FACTOR[poi.category] ?? 1)
+    });
+  });
+
+  return points;
+}
+
+/**
+ * Estimate a candidate site's share of local coffee demand.
+ * @param {object} params
+ * @param {{ lat, lng }} params.site        candidate Cotti location
+ * @param {Array}        params.competitors competitors from useCompetitors
+ * @param {Array}        params.pois        POIs near the site
+ * @param {Array}        params.ownStores   other Cotti stores that also draw on this demand
+ * @param {object}       params.profile     scoring profile (brandWeight = attractiveness)
+ * @param {object}       params.options     overrides for HUFF_DEFAULTS
+ * @param {string[]}     params.closedStationIds stations that generate no demand (what-if closures)
+ * @returns {{ share, visitors, weekendVisitors, totalDemand, demandPoints, competitors, ownStores, params }}
+ *   visitors / weekendVisitors are expected daily Cotti visitors;
+ *   demandPoints, competitors and ownStores list each one's share, largest first.
+ */
+export function calculateHuffMarketShare({
+  site,
+  competitors = [],
+  pois = [],
+  ownStores = [],
+  profile = getDefaultProfile(),
+  options = {},
+  closedStationIds = []
+}) {
+  const params = { ...HUFF_DEFAULTS, ...options };
+  const { lat, lng } = site;
+
+  const inReach = s => s.coordinates &&
+    calculateDistance(lat, lng, s.coordinates.lat, s.coordinates.lng) <= params.competitorRadius;
+
+  const rivals = [
+    ...competitors.filter(inReach).map(c => ({
+      id:             c.id,
+      name:           c.name,
+      brand:          c.brand,
+      coordinates:    c.coordinates,
+      attractiveness: profile.brandWeight[c.brand] ?? 0.8,
+      own:            false,
+      visitors:       0,
+      weekendVisitors: 0
+    })),
+    ...ownStores.filter(inReach).map(s => ({
+      id:             s.id,
+      name:           s.name,
+      brand:          'COTTI',
+      coordinates:    s.coordinates,
+      attractiveness: params.cottiAttractiveness,
+      own:            true,
+      visitors:       0,
+      weekendVisitors: 0
+    }))
+  ];
+
+  const utility = (attractiveness, pLat, pLng, sLat, sLng) =>
+    huffUtility(attractiveness, calculateDistance(pLat, pLng, sLat, sLng), params.distanceExponent);
+
+  const demandPoints = buildDemandPoints(lat, lng, pois, params.demandRadius, params.stationCoffeeRate, closedStationIds)
+    .map(point => {
+      const own = utility(params.cottiAttractiveness, point.lat, point.lng, lat, lng);
+      const rivalUtils = rivals.map(r =>
+        utility(r.attractiveness, point.lat, point.lng, r.coordinates.lat, r.coordinates.lng)
+      );
+      const total = own + rivalUtils.reduce((s, u) => s + u, 0);
+
+      rivals.forEach((r, i) => {
+        r.visitors        += point.demand * (rivalUtils[i] / total);
+        r.weekendVisitors += point.weekendDemand * (rivalUtils[i] / total);
+      });
+
+      const share = own / total;
+      return {
+        id:       point.id,
+        name:     point.name,
+        type:     point.type,
+        demand:   Math.round(point.demand),
+        share:    Math.round(share * 100) / 100,
+        visitors: point.demand * share,
+        weekendVisitors: point.weekendDemand * share
+      };
+    });
+
+  const sum = (list, key) => list.reduce((s, x) => s + x[key], 0);
+  const totalDemand = sum(demandPoints, 'demand');
+  const visitors = sum(demandPoints, 'visitors');
+  const weekendVisitors = sum(demandPoints, 'weekendVisitors');
+
+  return {
+    share:           totalDemand > 0 ? Math.round((visitors / totalDemand) * 1000) / 1000 : 0,
+    visitors:        Math.round(visitors),
+    weekendVisitors: Math.round(weekendVisitors),
+    totalDemand:     Math.round(totalDemand),
+    demandPoints:    demandPoints
+      .map(p => ({ ...p, visitors: Math.round(p.visitors), weekendVisitors: Math.round(p.weekendVisitors) }))
+      .sort((a, b) => b.visitors - a.visitors),
+    competitors:     summarizeRivals(rivals.filter(r => !r.own), totalDemand),
+    ownStores:       summarizeRivals(rivals.filter(r => r.own), totalDemand),
+    params
+  };
+}
+
+function summarizeRivals(rivals, totalDemand) {
+  return rivals
+    .map(({ coordinates, own, ...r }) => ({
+      ...r,
+      share:           totalDemand > 0 ? Math.round((r.visitors / totalDemand) * 1000) / 1000 : 0,
+      visitors:        Math.round(r.visitors),
+      weekendVisitors: Math.round(r.weekendVisitors)
+    }))
+    .sort((a, b) => b.visitors - a.visitors);
+}
@@ -0,0 +1,124 @@
+/**
+ * Multi-day Itineraries
+ *
+ * Forty candidates across three boroughs don't fit in one day. The stores
+ * are ordered once as a round trip from the start, and that tour is cut
+ * into consecutive stretches that each fit the daily budget (departure to
+ * day end, dwell included) — neighbouring stops on the tour land on the
+ * same day, so every day covers one part of the city. Each day is then
+ * re-optimized on its own and starts again from the start location.
+ */
+
+import { optimizeRoute, calculateRouteStats } from './optimization';
+import { buildSchedule, optimizeStopOrder, parseClock } from './schedule';
+import { OPTIMIZATION } from '../utils/constants';
+
+export const DAY_COLORS = [
+  '#3B82F6',
+  '#10B981',
+  '#F59E0B',
+  '#EF4444',
+  '#8B5CF6',
+  '#EC4899',
+  '#14B8A6',
+  '#F97316'
+];
+
+export function getDayColor(index) {
+  return DAY_COLORS[index % DAY_COLORS.length];
+}
+
+// ─── Splitting ───────────────────────────────────────────────────────────────
+
+/**
+ * Cut an ordered tour into the fewest days that fit the budget, breaking
+ * ties by the latest finish so the days come out balanced. A stop that
+ * can't fit even alone gets a day of its own and is reported over budget.
+ * @returns {Array<Array>} consecutive segments of the tour
+ */
+function splitTour(start, tour, { departAt, tourType, dayEndMinutes }) {
+  const n = tour.length;
+  const best = Array.from({ length: n + 1 }, () => ({ days: Infinity, latest: Infinity, total: Infinity, from: -1 }));
+  best[0] = { days: 0, latest: 0, total: 0, from: -1 };
+  const better = (a, b) => a.days - b.days || a.latest - b.latest || a.total - b.total;
+
+  for (let j = 0; j < n; j++) {
+    if (best[j].days === Infinity) continue;
+    for (let i = j + 1; i <= n; i++) {
+      const schedule = buildSchedule(start, tour.slice(j, i), { departAt, tourType });
+      const lastDeparture = schedule.stops[schedule.stops.length - 1].departure;
+      const fits = schedule.finishAt <= dayEndMinutes && schedule.feasible;
+
+      if (fits || i === j + 1) {
+        const candidate = {
+          days:   best[j].days + 1,
+          latest: Math.max(best[j].latest, schedule.finishAt),
+          total:  best[j].total + schedule.finishAt,
+          from:   j
+        };
+        if (better(candidate, best[i]) < 0) best[i] = candidate;
+      }
+      // Later stops only push the last departure further out
+      if (lastDeparture > dayEndMinutes) break;
+    }
+  }
+
+  const segments = [];
+  for (let i = n; i > 0; i = best[i].from) {
+    segments.unshift(tour.slice(best[i].from, i));
+  }
+  return segments;
+}
+
+// ─── Planning ────────────────────────────────────────────────────────────────
+
+/**
+ * Split stores into daily routes.
+ * @param {{ lat, lng }} start  where every day begins
+ * @param {Array} stores
+ * @param {object} [options]
+ * @param {string} [options.departAt]  day start 'HH:MM'
+ * @param {string} [options.dayEnd]    day end 'HH:MM' (last departure, or return on a loop)
+ * @param {'open'|'loop'} [options.tourType]
+ * @returns {{ days: Array<{ index, route, stats, schedule, color, overBudget }>,
+ *             totals: { totalDistance, totalTime, totalCost, stops }, overBudgetDays }}
+ */
+export function planItinerary(start, stores, {
+  departAt = OPTIMIZATION.DEFAULT_DEPART_AT,
+  dayEnd = OPTIMIZATION.DAY_END,
+  tourType = OPTIMIZATION.TOUR_TYPE
+} = {}) {
+  if (!stores || stores.length === 0) {
+    return { days: [], totals: { totalDistance: 0, totalTime: 0, totalCost: 0, stops: 0 }, overBudgetDays: 0 };
+  }
+
+  const dayEndMinutes = parseClock(dayEnd) ?? parseClock(OPTIMIZATION.DAY_END);
+
+  // A round trip sweeps around the start, so consecutive stretches form petals
+  const { route: tour } = optimizeRoute(start, stores, { tourType: 'loop' });
+  const segments = splitTour(start, tour, { departAt, tourType, dayEndMinutes });
+
+  const days = segments.map((segment, index) => {
+    const { route, schedule } = optimizeStopOrder(start, segment, { departAt, tourType });
+    return {
+      index,
+      route,
+      stats:      calculateRouteStats(start, route, 'mixed', tourType),
+      schedule,
+      color:      getDayColor(index),
+      overBudget: schedule.finishAt > dayEndMinutes
+    };
+  });
+
+  const sum = key => days.reduce((total, day) => total + day.stats[key], 0);
+  return {
+    days,
+    totals: {
+      totalDistance: Math.round(sum('totalDistance') * 100) / 100,
+      totalTime:     sum('totalTime'),
+      totalCost:     Math.round(sum('totalCost') * 100) / 100,
+      stops:         sum('stops')
+    },
+    overBudgetDays: days.filter(day => day.overBudget).length
+  };
+}
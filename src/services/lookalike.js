@@ -0,0 +1,153 @@
+/**
+ * Lookalike Site Finder
+ *
+ * Turns a scored site into a feature vector — POI category counts, catchment
+ * ridership, competitor pressure and station tier — and matches candidates
+ * and grid cells against chosen hero stores by nearest neighbour. Each match
+ * reports a 0-100 similarity plus the features that match or differ, so
+ * "looks like our Midtown store" can be checked rather than taken on faith.
+ */
+
+import { POI_CATEGORIES } from './poi';
+import { getScoringModel } from './scoringModels';
+import { formatRidership } from './mtaRidership';
+
+// Normalised gap at or below which a feature counts as matching
+const MATCH_TOLERANCE = 0.15;
+
+/**
+ * Feature definitions. `scale` maps the raw value to 0-1 (capped);
+ * `weight` sets its influence on similarity.
+ */
+export const LOOKALIKE_FEATURES = [
+  ...Object.entries(POI_CATEGORIES).map(([key, cat]) => ({
+    key:     `poi_${key}`,
+    label:   cat.name,
+    weight:  ['OFFICE', 'TRANSPORT', 'SHOPPING'].includes(key) ? 1.5 : 0.75,
+    extract: result => result.scoreBreakdown.ecosystem?.catBreakdown?.[key] ?? 0,
+    scale:   value => Math.min(1, value / 10),
+    format:  value => `${value} 个`
+  })),
+  {
+    key:     'ridership',
+    label:   '商圈客流',
+    weight:  2,
+    extract: result => result.mtaInfo?.blendedRidership ?? 0,
+    // Log scale: 10k → 0, 1M → 1 weekly riders
+    scale:   value => (value > 0 ? Math.min(1, Math.max(0, (Math.log10(value) - 4) / 2)) : 0),
+    format:  value => (value > 0 ? formatRidership(value) : '无')
+  },
+  {
+    key:     'pressure',
+    label:   '竞品压力',
+    weight:  1.5,
+    extract: result => result.scoreBreakdown.competition?.pressure ?? 0,
+    scale:   value => Math.min(1, value / 6),
+    format:  value => value.toFixed(1)
+  },
+  {
+    key:     'tier',
+    label:   '站点等级',
+    weight:  1,
+    extract: result => stationTier(result.mtaInfo),
+    scale:   value => value / (getScoringModel().thresholds.locationTiers.length - 1),
+    format:  value => `${value} 级`
+  }
+];
+
+/**
+ * Station tier 0 (no station / smallest) … N (superstation), from the current
+ * model's location tiers on the nearest station's ridership.
+ */
+function stationTier(mtaInfo) {
+  if (!mtaInfo) return 0;
+  const tiers = getScoringModel().thresholds.locationTiers;
+  const idx = tiers.findIndex(t => mtaInfo.weeklyRidership >= t.min);
+  return idx < 0 ? 0 : tiers.length - 1 - idx;
+}
+
+/**
+ * Feature vector of a calculateLocationScore result.
+ * @param {object} result
+ * @param {object} options
+ * @param {string[]} options.unknown  feature keys whose inputs were never fetched
+ *   (stored as null and left out of every comparison)
+ * @returns {{ raw: object, scaled: object }}
+ */
+export function buildFeatureVector(result, { unknown = [] } = {}) {
+  const raw = {};
+  const scaled = {};
+  LOOKALIKE_FEATURES.forEach(f => {
+    if (unknown.includes(f.key)) {
+      raw[f.key] = null;
+      scaled[f.key] = null;
+      return;
+    }
+    raw[f.key] = f.extract(result);
+    scaled[f.key] = f.scale(raw[f.key]);
+  });
+  return { raw, scaled };
+}
+
+/**
+ * Similarity 0-100 of two feature vectors, with per-feature comparison.
+ */
+export function compareVectors(target, hero) {
+  let sumSq = 0;
+  let sumWeight = 0;
+  // Features unknown at either site (never fetched) don't count either way
+  const features = LOOKALIKE_FEATURES
+    .filter(f => target.scaled[f.key] !== null && hero.scaled[f.key] !== null)
+    .map(f => {
+      const gap = target.scaled[f.key] - hero.scaled[f.key];
+      sumSq += f.weight * gap * gap;
+      sumWeight += f.weight;
+      return {
+        key:    f.key,
+        label:  f.label,
+        target: f.format(target.raw[f.key]),
+        hero:   f.format(hero.raw[f.key]),
+        gap:    Math.round(gap * 100) / 100,
+        // Impact on the distance, to rank the differences worth showing
+        impact: f.weight * gap * gap
+      };
+    });
+
+  const similarity = Math.round((1 - Math.sqrt(sumSq / sumWeight)) * 100);
+
+  // Only features present at either site are interesting matches
+  const matches = features
+    .filter(f => Math.abs(f.gap) <= MATCH_TOLERANCE && (target.scaled[f.key] > 0 || hero.scaled[f.key] > 0))
+    .sort((a, b) => hero.scaled[b.key] - hero.scaled[a.key]);
+  const differences = features
+    .filter(f => Math.abs(f.gap) > MATCH_TOLERANCE)
+    .sort((a, b) => b.impact - a.impact);
+
+  return { similarity, matches, differences };
+}
+
+/**
+ * Nearest-neighbour match of every target against the hero stores.
+ * @param {Array<{ id, name, vector }>} heroes
+ * @param {Array<{ id, name, kind, vector, ... }>} targets  candidates ('candidate') or grid cells ('cell')
+ * @param {object} options
+ * @param {number} options.limit  matches returned
+ * @returns {Array<{ target, hero, similarity, matches, differences }>} best first
+ */
+export function findLookalikes(heroes, targets, { limit = 10 } = {}) {
+  if (heroes.length === 0) return [];
+
+  return targets
+    .map(target => {
+      let best = null;
+      heroes.forEach(hero => {
+        const comparison = compareVectors(target.vector, hero.vector);
+        if (!best || comparison.similarity > best.similarity) {
+          best = { target, hero, ...comparison };
+        }
+      });
+      return best;
+    })
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
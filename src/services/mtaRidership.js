@@ -10,6 +10,14 @@ import { calculateDistance } from '../utils/distance';
 // NYC's busiest station weekly ridership (for normalization)
 const MAX_WEEKLY_RIDERSHIP = 650000;
 
+// Walking catchment: ~15 minutes at 3 mph — the same reach the single-station
+// lookup always had; distance decay does the down-weighting inside it
+const CATCHMENT_MAX_MILES = 0.75;
+
+// The nearest station never counts for less than this (the single-station
+// model's floor), so sites 0.5–0.75 mi out keep MTA-anchored traffic
+const NEAREST_DECAY_FLOOR = 0.2;
+
 /**
  * Find the nearest MTA station to a coordinate and return its ridership data.
  * @param {number} lat
@@ -41,6 +49,63 @@ export function getNearestStationRidership(lat, lng, maxDistanceMiles = 0.75) {
   };
 }
 
+/**
+ * Sum ridership across every station within walking distance, each weighted
+ * by distance decay — a corner between Herald Sq and Penn Station draws on both.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} maxDistanceMiles – walking threshold
+ * @param {string[]} closedStationIds – stations to leave out (what-if closures)
+ * @returns {{ station, distance, weeklyRidership, blendedRidership, stations, maxDistance } | null}
+ *   station / distance / weeklyRidership describe the nearest station;
+ *   stations lists each station's weight and weighted contribution.
+ */
+export function getCatchmentRidership(lat, lng, maxDistanceMiles = CATCHMENT_MAX_MILES, closedStationIds = []) {
+  const inRange = mtaData.stations
+    .filter(station => !closedStationIds.includes(station.id))
+    .map(station => ({ station, distance: calculateDistance(lat, lng, station.lat, station.lng) }))
+    .filter(s => s.distance <= maxDistanceMiles)
+    .sort((a, b) => a.distance - b.distance);
+
+  if (inRange.length === 0) return null;
+
+  const contributions = inRange.map(({ station, distance }, index) => {
+    const decay = ridershipDecay(distance);
+    const weight = index === 0 ? Math.max(NEAREST_DECAY_FLOOR, decay) : decay;
+    return {
+      station,
+      distance,
+      weeklyRidership: station.weeklyRidership,
+      weight:          Math.round(weight * 100) / 100,
+      contribution:    Math.round(station.weeklyRidership * weight)
+    };
+  }).filter((c, index) => index === 0 || c.weight > 0);
+
+  const blendedRidership = contributions.reduce((s, c) => s + c.contribution, 0);
+  const stations = contributions.map(c => ({
+    ...c,
+    share: blendedRidership > 0 ? Math.round((c.contribution / blendedRidership) * 100) / 100 : 0
+  }));
+
+  const nearest = stations[0];
+  return {
+    station:         nearest.station,
+    distance:        nearest.distance,
+    weeklyRidership: nearest.weeklyRidership,
+    blendedRidership,
+    stations,
+    maxDistance:     maxDistanceMiles
+  };
+}
+
+/**
+ * Share of a station's riders who reach a site at this walking distance.
+ * Same gentle linear decay the scoring model uses: 0 mi = ×1.0, 0.5 mi = ×0.25.
+ */
+export function ridershipDecay(distanceMiles) {
+  return Math.max(0, 1 - distanceMiles * 1.5);
+}
+
 /**
  * Get up to N nearest stations within maxDistanceMiles.
  */
@@ -52,6 +117,15 @@ export function getNearestStations(lat, lng, limit = 3, maxDistanceMiles = 0.5)
     .slice(0, limit);
 }
 
+/**
+ * Borough of a coordinate, taken from the nearest station in the dataset.
+ * Returns null beyond maxDistanceMiles (water, New Jersey, station-less fringe).
+ */
+export function getBorough(lat, lng, maxDistanceMiles = 2) {
+  const [nearest] = getNearestStations(lat, lng, 1, maxDistanceMiles);
+  return nearest?.borough ?? null;
+}
+
 /**
  * Convert weekly ridership + walking distance to a 0–100 foot traffic score.
  * A Times Sq station at 100ft walk → ~95 points.
@@ -1,4 +1,5 @@
 import { calculateDistance } from '../utils/distance';
+import { OPTIMIZATION } from '../utils/constants';
 
 /**
  * Greedy Nearest Neighbor algorithm for route optimization
@@ -52,70 +53,263 @@ export function optimizeRouteGreedy(currentLocation, stores) {
   return route;
 }
 
+// Improvements smaller than this (miles) are rounding noise
+const EPSILON = 1e-9;
+
+// Longest run of consecutive stops Or-opt tries to relocate
+const OR_OPT_MAX_SEGMENT = 3;
+
 /**
- * 2-Opt optimization to improve greedy route
- * Tries to eliminate route crossings
+ * Tour types: an open path ends at the last store; a loop returns to the start.
  */
-export function optimize2Opt(route, maxIterations = 100) {
-  if (!route || route.length < 4) {
-    return route;
+export const TOUR_TYPES = {
+  open: { key: 'open', label: '单程' },
+  loop: { key: 'loop', label: '往返' }
+};
+
+// ─── Local search on index sequences ─────────────────────────────────────────
+//
+// Node 0 is the fixed start; order[0] is always 0 and order[1..n] the stops.
+// The edge leaving the last stop goes back to 0 on a loop and costs nothing
+// on an open path — the old loop-only segment math mis-scored open routes.
+
+function buildDistanceMatrix(points) {
+  return points.map(a => points.map(b => calculateDistance(a.lat, a.lng, b.lat, b.lng)));
+}
+
+function createCost(matrix, tourType) {
+  const closes = tourType === 'loop';
+  // Node after position k (null = open end)
+  const after = (order, k) => (k + 1 < order.length ? order[k + 1] : (closes ? 0 : null));
+  const dist = (a, b) => (a === null || b === null ? 0 : matrix[a][b]);
+  return { after, dist };
+}
+
+/**
+ * One first-improvement 2-opt pass: reverse order[i+1..j] when that shortens the tour.
+ * @returns {boolean} whether the order changed
+ */
+function twoOptPass(order, { after, dist }) {
+  let improved = false;
+  for (let i = 0; i < order.length - 2; i++) {
+    for (let j = i + 2; j < order.length; j++) {
+      const a = order[i];
+      const b = order[i + 1];
+      const c = order[j];
+      const d = after(order, j);
+      const delta = dist(a, c) + dist(b, d) - dist(a, b) - dist(c, d);
+      if (delta < -EPSILON) {
+        const reversed = order.slice(i + 1, j + 1).reverse();
+        order.splice(i + 1, reversed.length, ...reversed);
+        improved = true;
+      }
+    }
   }
+  return improved;
+}
 
-  let improved = true;
-  let iterations = 0;
-  let currentRoute = [...route];
-
-  while (improved && iterations < maxIterations) {
-    improved = false;
-    iterations++;
-
-    for (let i = 0; i < currentRoute.length - 2; i++) {
-      for (let j = i + 2; j < currentRoute.length; j++) {
-        // Calculate current distance
-        const currentDist =
-          getSegmentDistance(currentRoute, i, i + 1) +
-          getSegmentDistance(currentRoute, j, (j + 1) % currentRoute.length);
-
-        // Calculate swapped distance
-        const swappedDist =
-          getSegmentDistance(currentRoute, i, j) +
-          getSegmentDistance(currentRoute, i + 1, (j + 1) % currentRoute.length);
-
-        // If swapping improves the route
-        if (swappedDist < currentDist) {
-          // Reverse the segment between i+1 and j
-          currentRoute = [
-            ...currentRoute.slice(0, i + 1),
-            ...currentRoute.slice(i + 1, j + 1).reverse(),
-            ...currentRoute.slice(j + 1)
-          ];
-          improved = true;
+/**
+ * One Or-opt pass: move a run of 1-3 consecutive stops (optionally reversed)
+ * to the cheapest other edge.
+ * @returns {boolean} whether the order changed
+ */
+function orOptPass(order, { after, dist }) {
+  let improved = false;
+  for (let len = 1; len <= OR_OPT_MAX_SEGMENT; len++) {
+    for (let i = 1; i + len <= order.length; i++) {
+      const segment = order.slice(i, i + len);
+      const first = segment[0];
+      const last = segment[len - 1];
+      const prev = order[i - 1];
+      const next = after(order, i + len - 1);
+      const removeGain = dist(prev, first) + dist(last, next) - dist(prev, next);
+
+      const rest = [...order.slice(0, i), ...order.slice(i + len)];
+      let best = null;
+      for (let k = 0; k < rest.length; k++) {
+        if (k === i - 1) continue; // original position
+        const p = rest[k];
+        const q = after(rest, k);
+        const base = dist(p, q);
+        const forward = dist(p, first) + dist(last, q) - base;
+        const backward = dist(p, last) + dist(first, q) - base;
+        const cost = Math.min(forward, backward);
+        if (removeGain - cost > EPSILON && (!best || cost < best.cost)) {
+          best = { k, cost, reverse: backward < forward };
         }
       }
+
+      if (best) {
+        const moved = best.reverse ? [...segment].reverse() : segment;
+        rest.splice(best.k + 1, 0, ...moved);
+        order.splice(0, order.length, ...rest);
+        improved = true;
+      }
     }
   }
+  return improved;
+}
+
+// Run the given passes until none improves (or the iteration cap)
+function localSearch(start, route, tourType, passes, maxIterations) {
+  const points = [start, ...route.map(s => s.coordinates)];
+  const cost = createCost(buildDistanceMatrix(points), tourType);
+  const order = points.map((_, i) => i);
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    const improved = passes.map(pass => pass(order, cost)).some(Boolean);
+    if (!improved) break;
+  }
 
-  return currentRoute;
+  return order.slice(1).map(i => route[i - 1]);
 }
 
 /**
- * Get distance between two route segments
+ * 2-opt refinement: removes crossings by reversing route segments.
+ * @param {Array} route  stores in visiting order
+ * @param {object} options
+ * @param {{ lat, lng }} options.start  fixed start (default: the first store stays first)
+ * @param {'open'|'loop'} options.tourType
+ * @param {number} options.maxIterations
  */
-function getSegmentDistance(route, i, j) {
-  if (i >= route.length || j >= route.length) {
-    return 0;
+export function optimize2Opt(route, { start = null, tourType = 'open', maxIterations = 100 } = {}) {
+  if (!route || route.length < 3) {
+    return route;
+  }
+  if (!start) {
+    return [route[0], ...optimize2Opt(route.slice(1), { start: route[0].coordinates, tourType, maxIterations })];
+  }
+  return localSearch(start, route, tourType, [twoOptPass], maxIterations);
+}
+
+/**
+ * Or-opt refinement: relocates runs of 1-3 stops to a cheaper place in the route.
+ * Same options as optimize2Opt.
+ */
+export function optimizeOrOpt(route, { start = null, tourType = 'open', maxIterations = 100 } = {}) {
+  if (!route || route.length < 3) {
+    return route;
+  }
+  if (!start) {
+    return [route[0], ...optimizeOrOpt(route.slice(1), { start: route[0].coordinates, tourType, maxIterations })];
+  }
+  return localSearch(start, route, tourType, [orOptPass], maxIterations);
+}
+
+/**
+ * Held-Karp dynamic programming: the provably shortest visiting order.
+ * dp[mask][j] = shortest path from the start through the stores in mask, ending at j.
+ * O(2ⁿ·n²) time and O(2ⁿ·n) memory — keep n at or below OPTIMIZATION.EXACT_MAX_STORES.
+ * @param {{ lat, lng }} start
+ * @param {Array} stores
+ * @param {object} options
+ * @param {'open'|'loop'} options.tourType
+ * @returns {Array} stores in optimal order
+ */
+export function optimizeRouteExact(start, stores, { tourType = 'open' } = {}) {
+  const n = stores.length;
+  if (n <= 1) {
+    return [...stores];
+  }
+
+  const matrix = buildDistanceMatrix([start, ...stores.map(s => s.coordinates)]);
+  const size = 1 << n;
+  const dp = new Float64Array(size * n).fill(Infinity);
+  const parent = new Int8Array(size * n).fill(-1);
+
+  for (let j = 0; j < n; j++) {
+    dp[(1 << j) * n + j] = matrix[0][j + 1];
+  }
+
+  for (let mask = 1; mask < size; mask++) {
+    for (let j = 0; j < n; j++) {
+      const cost = dp[mask * n + j];
+      if (!(mask & (1 << j)) || cost === Infinity) continue;
+      for (let k = 0; k < n; k++) {
+        if (mask & (1 << k)) continue;
+        const next = mask | (1 << k);
+        const candidate = cost + matrix[j + 1][k + 1];
+        if (candidate < dp[next * n + k]) {
+          dp[next * n + k] = candidate;
+          parent[next * n + k] = j;
+        }
+      }
+    }
+  }
+
+  // Best final stop, counting the leg home on a loop
+  const full = size - 1;
+  let last = 0;
+  let best = Infinity;
+  for (let j = 0; j < n; j++) {
+    const total = dp[full * n + j] + (tourType === 'loop' ? matrix[j + 1][0] : 0);
+    if (total < best) {
+      best = total;
+      last = j;
+    }
+  }
+
+  const order = [];
+  let mask = full;
+  while (last >= 0) {
+    order.push(last);
+    const prev = parent[mask * n + last];
+    mask &= ~(1 << last);
+    last = prev;
   }
 
-  const a = route[i].coordinates;
-  const b = route[j].coordinates;
+  return order.reverse().map(i => stores[i]);
+}
+
+/**
+ * Shortest route the store count allows: Held-Karp (proven optimal) up to
+ * OPTIMIZATION.EXACT_MAX_STORES stores, otherwise greedy construction refined
+ * by alternating 2-opt and Or-opt until neither improves.
+ * @param {{ lat, lng }} start
+ * @param {Array} stores
+ * @param {object} options
+ * @param {'open'|'loop'} options.tourType
+ * @param {'greedy'|'2-opt'} options.algorithm  'greedy' skips exact solving and refinement
+ * @param {number} options.exactMaxStores  largest store count solved exactly
+ * @returns {{ route, greedyRoute, distance, greedyDistance, tourType, method, optimal }}
+ *   method is 'exact', 'heuristic' or 'greedy'; optimal is true only for 'exact'.
+ */
+export function optimizeRoute(start, stores, {
+  tourType = OPTIMIZATION.TOUR_TYPE,
+  algorithm = OPTIMIZATION.ALGORITHM,
+  exactMaxStores = OPTIMIZATION.EXACT_MAX_STORES,
+  maxIterations = 100
+} = {}) {
+  const greedyRoute = optimizeRouteGreedy(start, stores);
+
+  let route;
+  let method;
+  if (algorithm === 'greedy') {
+    route = greedyRoute;
+    method = 'greedy';
+  } else if (stores.length <= exactMaxStores) {
+    route = optimizeRouteExact(start, stores, { tourType });
+    method = 'exact';
+  } else {
+    route = localSearch(start, greedyRoute, tourType, [twoOptPass, orOptPass], maxIterations);
+    method = 'heuristic';
+  }
 
-  return calculateDistance(a.lat, a.lng, b.lat, b.lng);
+  return {
+    route,
+    greedyRoute,
+    distance:       calculateTotalDistance(start, route, tourType),
+    greedyDistance: calculateTotalDistance(start, greedyRoute, tourType),
+    tourType,
+    method,
+    optimal:        method === 'exact'
+  };
 }
 
 /**
- * Calculate total route distance
+ * Calculate total route distance (including the leg back to the start on a loop)
  */
-export function calculateTotalDistance(currentLocation, route) {
+export function calculateTotalDistance(currentLocation, route, tourType = 'open') {
   if (!route || route.length === 0) {
     return 0;
   }
@@ -133,23 +327,40 @@ export function calculateTotalDistance(currentLocation, route) {
     current = store.coordinates;
   }
 
+  if (tourType === 'loop') {
+    total += calculateDistance(current.lat, current.lng, currentLocation.lat, currentLocation.lng);
+  }
+
   return total;
 }
 
+/**
+ * Travel minutes for one leg in mixed mode: walk under 0.5 miles (3 mph),
+ * otherwise an average 15-minute subway trip.
+ */
+export function estimateLegMinutes(from, to) {
+  const distance = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+  return distance < 0.5 ? (distance / 3) * 60 : 15;
+}
+
 /**
  * Calculate route statistics
+ * A loop counts the leg back to the start as one more segment.
  */
-export function calculateRouteStats(currentLocation, route, transportMode = 'mixed') {
+export function calculateRouteStats(currentLocation, route, transportMode = 'mixed', tourType = 'open') {
   if (!route || route.length === 0) {
     return {
       totalDistance: 0,
       totalTime: 0,
       totalCost: 0,
-      stops: 0
+      stops: 0,
+      tourType
     };
   }
 
-  const totalDistance = calculateTotalDistance(currentLocation, route);
+  const totalDistance = calculateTotalDistance(currentLocation, route, tourType);
+  const waypoints = route.map(store => store.coordinates);
+  if (tourType === 'loop') waypoints.push(currentLocation);
 
   // Estimate time based on transport mode
   let totalTime = 0;
@@ -160,30 +371,26 @@ export function calculateRouteStats(currentLocation, route, transportMode = 'mix
     totalCost = 0;
   } else if (transportMode === 'subway') {
     // Assume mostly subway with some walking
-    totalTime = (route.length * 15) + 20; // 15 min per stop + 20 min buffer
-    totalCost = (route.length + 1) * 3.00; // Subway fare per segment
+    totalTime = (waypoints.length * 15) + 20; // 15 min per stop + 20 min buffer
+    totalCost = (waypoints.length + 1) * 3.00; // Subway fare per segment
   } else {
     // Mixed mode: estimate based on distance
     // <0.5 miles: walk, >0.5 miles: subway
     let current = currentLocation;
-    for (const store of route) {
+    for (const point of waypoints) {
       const segmentDistance = calculateDistance(
         current.lat,
         current.lng,
-        store.coordinates.lat,
-        store.coordinates.lng
+        point.lat,
+        point.lng
       );
 
-      if (segmentDistance < 0.5) {
-        // Walking
-        totalTime += (segmentDistance / 3) * 60;
-      } else {
-        // Subway
-        totalTime += 15; // Average subway trip
-        totalCost += 3.00;
+      totalTime += estimateLegMinutes(current, point);
+      if (segmentDistance >= 0.5) {
+        totalCost += 3.00; // Subway fare
       }
 
-      current = store.coordinates;
+      current = point;
     }
   }
 
@@ -191,7 +398,8 @@ export function calculateRouteStats(currentLocation, route, transportMode = 'mix
     totalDistance: Math.round(totalDistance * 100) / 100, // Round to 2 decimals
     totalTime: Math.round(totalTime),
     totalCost: Math.round(totalCost * 100) / 100,
-    stops: route.length
+    stops: route.length,
+    tourType
   };
 }
 
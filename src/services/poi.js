@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { API_CONFIG } from '../utils/constants';
+import { withProvenance } from './provenance';
 
 /**
  * POI Categories for business area analysis
@@ -180,14 +181,14 @@ export async function fetchPOIsNearLocation(lat, lng, radiusMeters = 500) {
         }))
         .filter(poi => poi.category !== null);
 
-      return pois;
+      return withProvenance(pois, 'osm');
     }
 
     return [];
   } catch (error) {
     console.error('Error fetching POIs from Overpass:', error);
-    // Return mock data as fallback
-    return getMockPOIs(lat, lng, radiusMeters);
+    // Return mock data as fallback, tagged so scores built on it are flagged
+    return withProvenance(getMockPOIs(lat, lng, radiusMeters), 'mock');
   }
 }
 
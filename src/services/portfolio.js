@@ -0,0 +1,210 @@
+/**
+ * Portfolio Optimization — pick K of N candidate sites
+ *
+ * Objective: net new daily Cotti visitors across all demand points, using the
+ * same Huff shares as huff.js. Because every chosen site and every opened
+ * store splits the same demand, overlapping picks and cannibalization of
+ * opened stores are priced in automatically — two sites on one corner are
+ * worth little more than one.
+ */
+
+import { buildDemandPoints, huffUtility, HUFF_DEFAULTS } from './huff';
+import { DEFAULT_FINANCIAL_INPUTS } from './financials';
+import { getDefaultProfile } from './scoringProfiles';
+import { calculateDistance } from '../utils/distance';
+
+const DAYS_PER_MONTH = 30.4;
+const MAX_SWAP_PASSES = 20;
+
+/**
+ * Precompute each demand point's utilities so a portfolio can be valued
+ * with a sum instead of re-running the Huff model. As in huff.js, a rival or
+ * opened store only competes for a point when it is within reach of the
+ * site drawing on it, so each keeps the candidates that reach it.
+ */
+function buildDemandModel({ candidates, ourStores, competitors, pois, profile }) {
+  const { demandRadius, competitorRadius, cottiAttractiveness } = HUFF_DEFAULTS;
+
+  const pointsById = new Map();
+  candidates.forEach(c => {
+    buildDemandPoints(c.coordinates.lat, c.coordinates.lng, pois).forEach(p => {
+      if (!pointsById.has(p.id)) pointsById.set(p.id, p);
+    });
+  });
+
+  const distanceTo = (p, s) => calculateDistance(p.lat, p.lng, s.coordinates.lat, s.coordinates.lng);
+  const between = (a, b) => calculateDistance(a.coordinates.lat, a.coordinates.lng, b.coordinates.lat, b.coordinates.lng);
+
+  // Candidate indices each rival / opened store is within reach of
+  const withReach = (list, attractivenessOf, own) => list
+    .filter(s => s.coordinates)
+    .map(s => ({
+      store:          s,
+      attractiveness: attractivenessOf(s),
+      own,
+      reachedBy:      candidates.map((c, i) => (between(c, s) <= competitorRadius ? i : -1)).filter(i => i >= 0)
+    }))
+    .filter(s => s.reachedBy.length > 0);
+
+  const rivals = [
+    ...withReach(competitors, c => profile.brandWeight[c.brand] ?? 0.8, false),
+    ...withReach(ourStores, () => cottiAttractiveness, true)
+  ];
+
+  return Array.from(pointsById.values()).map(p => {
+    // Candidate index → utility, only for candidates whose catchment covers the point
+    const candidateUtility = new Map();
+    candidates.forEach((c, i) => {
+      const d = distanceTo(p, c);
+      if (d <= demandRadius) candidateUtility.set(i, huffUtility(cottiAttractiveness, d));
+    });
+
+    return {
+      demand: p.demand,
+      candidateUtility,
+      stores: rivals
+        .filter(r => r.reachedBy.some(i => candidateUtility.has(i)))
+        .map(r => ({ utility: huffUtility(r.attractiveness, distanceTo(p, r.store)), own: r.own, reachedBy: r.reachedBy }))
+    };
+  });
+}
+
+/**
+ * Net new daily Cotti visitors for a set of candidate indices.
+ */
+function portfolioValue(model, selected) {
+  let total = 0;
+  for (const point of model) {
+    const covering = selected.filter(i => point.candidateUtility.has(i));
+    if (covering.length === 0) continue;
+
+    let added = 0;
+    for (const i of covering) added += point.candidateUtility.get(i);
+
+    // Rivals and opened stores in reach of the chosen sites drawing on this point
+    let rivalUtility = 0;
+    let openedUtility = 0;
+    for (const store of point.stores) {
+      if (!store.reachedBy.some(i => covering.includes(i))) continue;
+      if (store.own) openedUtility += store.utility;
+      else rivalUtility += store.utility;
+    }
+
+    // Visitors our opened stores already get here without any new site
+    const baseTotal = rivalUtility + openedUtility;
+    const baselineOwn = baseTotal > 0 ? point.demand * (openedUtility / baseTotal) : 0;
+    const own = openedUtility + added;
+    total += point.demand * (own / (rivalUtility + own)) - baselineOwn;
+  }
+  return total;
+}
+
+/**
+ * Choose K sites maximizing net new visitors: greedy build-up, then
+ * 1-for-1 swaps until no swap improves the portfolio.
+ * @param {object} params
+ * @param {Array}  params.candidates  candidate stores
+ * @param {number} params.k           sites to open
+ * @param {Array}  params.ourStores   opened Cotti stores
+ * @param {Array}  params.competitors competitors from useCompetitors
+ * @param {Array}  params.pois        all known POIs
+ * @param {object} params.profile     scoring profile (competitor attractiveness)
+ * @param {object} params.scoreById   optional storeId → overall score, for the top-K baseline
+ * @param {number} params.avgTicket   USD per transaction
+ * @returns {{ selected, totalVisitors, monthlyRevenue, greedyVisitors, swaps, topScoreBaseline }}
+ */
+export function optimizePortfolio({
+  candidates = [],
+  k,
+  ourStores = [],
+  competitors = [],
+  pois = [],
+  profile = getDefaultProfile(),
+  scoreById = null,
+  avgTicket = DEFAULT_FINANCIAL_INPUTS.avgTicket
+}) {
+  const target = Math.max(0, Math.min(k, candidates.length));
+  const model = buildDemandModel({ candidates, ourStores, competitors, pois, profile });
+  const toRevenue = visitors => Math.round(visitors * avgTicket * DAYS_PER_MONTH);
+
+  // Greedy: add the site with the largest marginal gain each round
+  const selected = [];
+  let currentValue = 0;
+  while (selected.length < target) {
+    let best = null;
+    let bestValue = -Infinity;
+    candidates.forEach((_, i) => {
+      if (selected.includes(i)) return;
+      const value = portfolioValue(model, [...selected, i]);
+      if (value > bestValue) {
+        bestValue = value;
+        best = i;
+      }
+    });
+    selected.push(best);
+    currentValue = bestValue;
+  }
+  const greedyValue = currentValue;
+
+  // Local search: swap one chosen site for one unchosen site while it helps
+  let swaps = 0;
+  for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+    let improved = false;
+    for (let s = 0; s < selected.length; s++) {
+      for (let i = 0; i < candidates.length; i++) {
+        if (selected.includes(i)) continue;
+        const trial = [...selected];
+        trial[s] = i;
+        const value = portfolioValue(model, trial);
+        if (value > currentValue + 1e-6) {
+          selected[s] = i;
+          currentValue = value;
+          swaps++;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  // Marginal value = what the portfolio loses if this site is dropped
+  const chosen = selected
+    .map(i => {
+      const marginal = currentValue - portfolioValue(model, selected.filter(j => j !== i));
+      const standalone = portfolioValue(model, [i]);
+      return {
+        store:              candidates[i],
+        marginalVisitors:   Math.round(marginal),
+        marginalRevenue:    toRevenue(marginal),
+        standaloneVisitors: Math.round(standalone),
+        // Share of the site's standalone volume lost to overlap with the rest of the set
+        overlapLoss:        standalone > 0 ? Math.round((1 - marginal / standalone) * 100) / 100 : 0
+      };
+    })
+    .sort((a, b) => b.marginalVisitors - a.marginalVisitors);
+
+  // Compare against simply opening the K best-scored sites
+  let topScoreBaseline = null;
+  if (scoreById) {
+    const topIdx = candidates
+      .map((c, i) => ({ i, score: scoreById[c.id] ?? 0 }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, target)
+      .map(x => x.i);
+    const value = portfolioValue(model, topIdx);
+    topScoreBaseline = {
+      storeIds:       topIdx.map(i => candidates[i].id),
+      visitors:       Math.round(value),
+      monthlyRevenue: toRevenue(value)
+    };
+  }
+
+  return {
+    selected:       chosen,
+    totalVisitors:  Math.round(currentValue),
+    monthlyRevenue: toRevenue(currentValue),
+    greedyVisitors: Math.round(greedyValue),
+    swaps,
+    topScoreBaseline
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Data Provenance & Score Confidence
+ *
+ * Every fetched POI / competitor carries `provenance: { source, fetchedAt }`
+ * so a score can tell real data from the mock fallbacks that poi.js and
+ * competitors.js return on network errors. Records loaded from the local
+ * cache become source 'cached' and keep the original source as `origin`.
+ */
+
+export const PROVENANCE_SOURCES = {
+  foursquare: { label: 'Foursquare', fallback: false },
+  osm:        { label: 'OpenStreetMap', fallback: false },
+  mock:       { label: '示例数据', fallback: true },
+  manual:     { label: '手动录入', fallback: false },
+  cached:     { label: '本地缓存', fallback: false },
+  unknown:    { label: '来源未知', fallback: false }
+};
+
+// Cached data older than this lowers confidence (ms)
+export const STALE_AFTER = 12 * 60 * 60 * 1000;
+
+export const CONFIDENCE_LEVELS = {
+  high:   { label: '高', color: '#10B981' },
+  medium: { label: '中', color: '#F59E0B' },
+  low:    { label: '低', color: '#EF4444' }
+};
+
+/**
+ * Stamp records with where they came from.
+ */
+export function withProvenance(records, source, fetchedAt = Date.now()) {
+  return records.map(r => ({ ...r, provenance: { source, fetchedAt } }));
+}
+
+/**
+ * Mark records read back from the local cache, keeping the original source.
+ */
+export function markCached(records, cachedAt) {
+  return records.map(r => {
+    const prev = r.provenance;
+    const origin = prev?.source === 'cached' ? prev.origin : (prev?.source ?? 'unknown');
+    return {
+      ...r,
+      provenance: { source: 'cached', origin, fetchedAt: prev?.fetchedAt ?? cachedAt }
+    };
+  });
+}
+
+/**
+ * The source that actually produced the data (cache unwrapped).
+ */
+export function getOriginSource(record) {
+  const p = record.provenance;
+  if (!p) return 'unknown';
+  return p.source === 'cached' ? p.origin : p.source;
+}
+
+export function isFallbackRecord(record) {
+  return PROVENANCE_SOURCES[getOriginSource(record)]?.fallback ?? false;
+}
+
+function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${Math.max(1, minutes)} 分钟前`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} 小时前`;
+  return `${Math.round(hours / 24)} 天前`;
+}
+
+/**
+ * Human-readable provenance, e.g. "本地缓存（OpenStreetMap，3 小时前）".
+ */
+export function describeProvenance(provenance, now = Date.now()) {
+  if (!provenance) return PROVENANCE_SOURCES.unknown.label;
+  const label = PROVENANCE_SOURCES[provenance.source]?.label ?? provenance.source;
+  if (provenance.source !== 'cached') return label;
+
+  const origin = PROVENANCE_SOURCES[provenance.origin]?.label ?? provenance.origin;
+  return `${label}（${origin}，${formatAge(now - provenance.fetchedAt)}）`;
+}
+
+/**
+ * Count records per origin source, plus cache age of the oldest cached record.
+ */
+export function summarizeProvenance(records, now = Date.now()) {
+  const bySource = {};
+  let oldestCacheAge = null;
+  records.forEach(r => {
+    const origin = getOriginSource(r);
+    bySource[origin] = (bySource[origin] || 0) + 1;
+    if (r.provenance?.source === 'cached') {
+      const age = now - r.provenance.fetchedAt;
+      if (oldestCacheAge === null || age > oldestCacheAge) oldestCacheAge = age;
+    }
+  });
+  return {
+    total:    records.length,
+    bySource,
+    fallback: records.filter(isFallbackRecord).length,
+    oldestCacheAge
+  };
+}
+
+/**
+ * How far a score built on these inputs can be trusted.
+ * Any mock input → low; stale cache, untracked records or missing MTA data → medium.
+ * @returns {{ level, label, color, issues: string[], sources: { pois, competitors } }}
+ */
+export function assessConfidence({ pois = [], competitors = [], mtaInfo = null, now = Date.now() }) {
+  const sources = {
+    pois:        summarizeProvenance(pois, now),
+    competitors: summarizeProvenance(competitors, now)
+  };
+
+  const issues = [];
+  let level = 'high';
+  const lower = to => {
+    if (to === 'low' || level === 'high') level = to;
+  };
+
+  if (sources.pois.fallback > 0) {
+    issues.push(`${sources.pois.fallback} 个 POI 为示例数据（接口请求失败后的兜底）`);
+    lower('low');
+  }
+  if (sources.competitors.fallback > 0) {
+    issues.push(`${sources.competitors.fallback} 家竞品为示例数据（接口请求失败后的兜底）`);
+    lower('low');
+  }
+
+  const untracked = (sources.pois.bySource.unknown || 0) + (sources.competitors.bySource.unknown || 0);
+  if (untracked > 0) {
+    issues.push(`${untracked} 条记录缺少来源信息，建议刷新数据`);
+    lower('medium');
+  }
+
+  const oldest = Math.max(sources.pois.oldestCacheAge ?? 0, sources.competitors.oldestCacheAge ?? 0);
+  if (oldest > STALE_AFTER) {
+    issues.push(`缓存数据已有 ${formatAge(oldest).replace('前', '')}，可能已过时`);
+    lower('medium');
+  }
+
+  if (!mtaInfo) {
+    issues.push('无 MTA 客流数据，地铁人流按 POI 密度估算');
+    lower('medium');
+  }
+
+  return { level, ...CONFIDENCE_LEVELS[level], issues, sources };
+}
@@ -0,0 +1,202 @@
+/**
+ * What-if Scenarios
+ *
+ * "Luckin is signing a lease on that block" — a scenario is an ordered list
+ * of edits (add / move / remove competitors and POIs, close stations) laid
+ * over the real data. Applying it returns new arrays, so cached records are
+ * never touched; hypothetical records carry provenance 'manual'.
+ *
+ * runScenario scores the selected site and re-runs the Huff traffic model
+ * on baseline and scenario inputs gathered the same way, so the delta only
+ * reflects the edits.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { calculateLocationScore, generateDailyTrafficData } from './scoring';
+import { calculateHuffMarketShare } from './huff';
+import { filterCompetitorsNearLocation, getBrandInfo } from './competitors';
+import { POI_CATEGORIES } from './poi';
+import { withProvenance } from './provenance';
+import { calculateDistance } from '../utils/distance';
+
+// Same radius POIs are fetched and scored at (500m)
+const POI_RADIUS_MILES = 0.31;
+
+export function createScenario() {
+  return { edits: [] };
+}
+
+// ─── Edits ───────────────────────────────────────────────────────────────────
+
+/**
+ * A hypothetical competitor or POI at a map location.
+ * @param {'competitor'|'poi'} kind
+ * @param {{ lat, lng }} coordinates
+ * @param {string} type  brand key (competitor) or POI category
+ */
+export function createHypotheticalRecord(kind, coordinates, type) {
+  const record = kind === 'competitor'
+    ? { id: `scenario-${uuidv4()}`, name: `假设 ${getBrandInfo(type).name}`, brand: type, coordinates, hypothetical: true }
+    : { id: `scenario-${uuidv4()}`, name: `假设 ${POI_CATEGORIES[type]?.name ?? type}`, category: type, coordinates, tags: {}, hypothetical: true };
+  return withProvenance([record], 'manual')[0];
+}
+
+/**
+ * Add one edit, folding it into earlier edits of the same record so the
+ * list stays one line per record:
+ *   – moving a hypothetical record updates its 'add' edit
+ *   – moving a record twice keeps only the latest position
+ *   – removing a hypothetical record drops its 'add' edit
+ *   – closing a closed station reopens it
+ * @param {object} scenario
+ * @param {{ type: 'add'|'move'|'remove'|'close', kind, targetId?, record?, coordinates?, label? }} edit
+ * @returns {object} new scenario
+ */
+export function addEdit(scenario, edit) {
+  const { edits } = scenario;
+  const added = edit.targetId && edits.find(e => e.type === 'add' && e.record.id === edit.targetId);
+
+  if (added && edit.type === 'move') {
+    return {
+      edits: edits.map(e => (e === added
+        ? { ...e, record: { ...e.record, coordinates: edit.coordinates } }
+        : e))
+    };
+  }
+  if (added && edit.type === 'remove') {
+    return { edits: edits.filter(e => e !== added) };
+  }
+  if (edit.type === 'close' && edits.some(e => e.type === 'close' && e.targetId === edit.targetId)) {
+    return { edits: edits.filter(e => !(e.type === 'close' && e.targetId === edit.targetId)) };
+  }
+
+  // A later move or removal supersedes an earlier move of the same record
+  const kept = edit.type === 'add'
+    ? edits
+    : edits.filter(e => !(e.type === 'move' && e.kind === edit.kind && e.targetId === edit.targetId));
+  return { edits: [...kept, { ...edit, id: uuidv4() }] };
+}
+
+/**
+ * Drop one edit (undo).
+ */
+export function removeEdit(scenario, editId) {
+  return { edits: scenario.edits.filter(e => e.id !== editId) };
+}
+
+/**
+ * Apply a scenario's edits of one kind to a list of records.
+ * @returns {Array} new array; input records are never mutated
+ */
+export function applyEdits(records, scenario, kind) {
+  return scenario.edits
+    .filter(e => e.kind === kind)
+    .reduce((list, edit) => {
+      if (edit.type === 'add') return [...list, edit.record];
+      if (edit.type === 'remove') return list.filter(r => r.id !== edit.targetId);
+      if (edit.type === 'move') {
+        return list.map(r => (r.id === edit.targetId ? { ...r, coordinates: edit.coordinates } : r));
+      }
+      return list;
+    }, records);
+}
+
+export function getClosedStationIds(scenario) {
+  return scenario.edits.filter(e => e.type === 'close').map(e => e.targetId);
+}
+
+/**
+ * Ids of records the scenario removed, per kind — for greying them out on the map.
+ */
+export function getRemovedIds(scenario, kind) {
+  return scenario.edits.filter(e => e.kind === kind && e.type === 'remove').map(e => e.targetId);
+}
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+// Score + traffic for one set of inputs
+function evaluate({ site, pois, competitors, ownStores, profile, closedStationIds }) {
+  const { lat, lng } = site.coordinates;
+  const nearbyPOIs = pois.filter(p => p.coordinates &&
+    calculateDistance(lat, lng, p.coordinates.lat, p.coordinates.lng) <= POI_RADIUS_MILES);
+
+  const result = calculateLocationScore({
+    pois:        nearbyPOIs,
+    competitors: filterCompetitorsNearLocation(competitors, site.coordinates),
+    storeLat:    lat,
+    storeLng:    lng,
+    profile,
+    closedStationIds
+  });
+
+  const marketShare = calculateHuffMarketShare({
+    site: site.coordinates,
+    competitors,
+    pois: nearbyPOIs,
+    ownStores,
+    profile,
+    closedStationIds
+  });
+
+  const hourly = generateDailyTrafficData(nearbyPOIs, false, result.mtaInfo, {
+    dailyVisitors: marketShare.totalDemand ? marketShare.visitors : null
+  });
+
+  return {
+    result,
+    marketShare,
+    dailyVisitors: hourly.reduce((s, h) => s + h.visitors, 0),
+    peakVisitors:  Math.max(...hourly.map(h => h.visitors)),
+    ridership:     result.mtaInfo?.blendedRidership ?? 0
+  };
+}
+
+/**
+ * Baseline vs scenario for one site.
+ * @param {object} params
+ * @param {object} params.site         selected store ({ coordinates })
+ * @param {Array}  params.pois         real POIs (any around the site)
+ * @param {Array}  params.competitors  real competitors
+ * @param {Array}  params.ownStores    opened Cotti stores
+ * @param {object} params.profile      scoring profile
+ * @param {object} params.scenario
+ * @returns {{ baseline, scenario, delta }}
+ */
+export function runScenario({ site, pois = [], competitors = [], ownStores = [], profile, scenario }) {
+  const baseline = evaluate({ site, pois, competitors, ownStores, profile, closedStationIds: [] });
+  const what = evaluate({
+    site,
+    pois:             applyEdits(pois, scenario, 'poi'),
+    competitors:      applyEdits(competitors, scenario, 'competitor'),
+    ownStores,
+    profile,
+    closedStationIds: getClosedStationIds(scenario)
+  });
+
+  const dimensions = Object.entries(baseline.result.scoreBreakdown).map(([key, item]) => {
+    const next = what.result.scoreBreakdown[key];
+    return {
+      key,
+      label:    item.label,
+      baseline: item.weighted,
+      scenario: next.weighted,
+      delta:    Math.round((next.weighted - item.weighted) * 10) / 10
+    };
+  });
+
+  return {
+    baseline,
+    scenario: what,
+    delta: {
+      overall:         what.result.overall - baseline.result.overall,
+      gradeChanged:    what.result.grade.letter !== baseline.result.grade.letter,
+      dimensions,
+      visitors:        what.marketShare.visitors - baseline.marketShare.visitors,
+      weekendVisitors: what.marketShare.weekendVisitors - baseline.marketShare.weekendVisitors,
+      share:           Math.round((what.marketShare.share - baseline.marketShare.share) * 1000) / 1000,
+      dailyVisitors:   what.dailyVisitors - baseline.dailyVisitors,
+      peakVisitors:    what.peakVisitors - baseline.peakVisitors,
+      ridership:       what.ridership - baseline.ridership
+    }
+  };
+}
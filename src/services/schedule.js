@@ -0,0 +1,295 @@
+/**
+ * Time-windowed Visit Scheduling
+ *
+ * Landlords and brokers hand out fixed showing windows ("10:00–10:30 at
+ * 5th Ave"). A store may carry visitWindow { start, end } (HH:MM) and
+ * dwellMinutes; arriving early means waiting for the window to open, and
+ * a stop whose window has closed by the time we get there is flagged late.
+ *
+ * Leg times use the same mixed walk / subway estimate as the route stats,
+ * so the schedule and the summary agree on travel minutes.
+ */
+
+import { estimateLegMinutes, optimizeRouteGreedy, optimizeRoute } from './optimization';
+import { OPTIMIZATION } from '../utils/constants';
+
+// Lateness dominates finish time when comparing heuristic schedules
+const LATE_PENALTY = 1000;
+
+// ─── Clock helpers ───────────────────────────────────────────────────────────
+
+/**
+ * 'HH:MM' → minutes after midnight (null when unparseable)
+ */
+export function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value ?? '');
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes after midnight → 'HH:MM' (rolls past midnight as 24:10, 25:00…)
+ */
+export function formatClock(minutes) {
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  return `${String(hours).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * A store's window in minutes, or null when it has none (or an invalid one).
+ * Either bound may be left open.
+ */
+export function getVisitWindow(store) {
+  const window = store.visitWindow;
+  if (!window) return null;
+  const start = parseClock(window.start);
+  const end = parseClock(window.end);
+  if (start === null && end === null) return null;
+  if (start !== null && end !== null && end < start) return null;
+  return { start: start ?? 0, end: end ?? Infinity };
+}
+
+export function getDwellMinutes(store) {
+  return Number.isFinite(store.dwellMinutes) && store.dwellMinutes >= 0
+    ? store.dwellMinutes
+    : OPTIMIZATION.DEFAULT_DWELL_MINUTES;
+}
+
+export function hasTimeWindows(stores) {
+  return (stores || []).some(store => getVisitWindow(store) !== null);
+}
+
+// ─── Schedule ────────────────────────────────────────────────────────────────
+
+/**
+ * Walk a route in order and time every stop.
+ * @param {{ lat, lng }} start
+ * @param {Array} route  stores in visiting order
+ * @param {object} [options]
+ * @param {string} [options.departAt]  'HH:MM'
+ * @param {'open'|'loop'} [options.tourType]
+ * @returns {{ stops: Array<{ store, arrival, wait, serviceStart, departure, window, late, lateBy }>,
+ *             departAt, returnArrival, finishAt, totalWait, lateCount, feasible }}
+ */
+export function buildSchedule(start, route, {
+  departAt = OPTIMIZATION.DEFAULT_DEPART_AT,
+  tourType = OPTIMIZATION.TOUR_TYPE
+} = {}) {
+  const departMinutes = parseClock(departAt) ?? parseClock(OPTIMIZATION.DEFAULT_DEPART_AT);
+  let clock = departMinutes;
+  let position = start;
+  let totalWait = 0;
+
+  const stops = route.map(store => {
+    const arrival = clock + estimateLegMinutes(position, store.coordinates);
+    const window = getVisitWindow(store);
+    const serviceStart = window ? Math.max(arrival, window.start) : arrival;
+    const lateBy = window ? Math.max(0, serviceStart - window.end) : 0;
+    const departure = serviceStart + getDwellMinutes(store);
+
+    totalWait += serviceStart - arrival;
+    clock = departure;
+    position = store.coordinates;
+
+    return {
+      store,
+      arrival,
+      wait:         serviceStart - arrival,
+      serviceStart,
+      departure,
+      window,
+      late:         lateBy > 0,
+      lateBy
+    };
+  });
+
+  const returnArrival = tourType === 'loop' && stops.length > 0
+    ? clock + estimateLegMinutes(position, start)
+    : null;
+  const lateCount = stops.filter(s => s.late).length;
+
+  return {
+    stops,
+    departAt:   departMinutes,
+    returnArrival,
+    finishAt:   returnArrival ?? clock,
+    totalWait,
+    lateCount,
+    feasible:   lateCount === 0
+  };
+}
+
+// Total lateness outweighs any finish-time gain
+function scheduleCost(schedule) {
+  const lateness = schedule.stops.reduce((sum, s) => sum + s.lateBy, 0);
+  return lateness * LATE_PENALTY + schedule.finishAt;
+}
+
+// ─── Optimization ────────────────────────────────────────────────────────────
+
+/**
+ * Earliest-finish feasible order by dynamic programming over subsets.
+ * Travel times are fixed per leg, so leaving a stop earlier never hurts
+ * later stops — keeping only the earliest departure per (subset, last stop)
+ * is exact. Returns null when no order meets every window.
+ */
+function scheduleExact(start, stores, departMinutes, tourType) {
+  const n = stores.length;
+  const points = [start, ...stores.map(s => s.coordinates)];
+  const legs = points.map(a => points.map(b => estimateLegMinutes(a, b)));
+  const windows = stores.map(getVisitWindow);
+  const dwell = stores.map(getDwellMinutes);
+
+  // Departure time after visiting stop j with `mask` visited
+  const size = 1 << n;
+  const dp = new Float64Array(size * n).fill(Infinity);
+  const parent = new Int8Array(size * n).fill(-1);
+
+  const visit = (j, arrival) => {
+    const window = windows[j];
+    if (window && arrival > window.end) return Infinity;
+    return (window ? Math.max(arrival, window.start) : arrival) + dwell[j];
+  };
+
+  for (let j = 0; j < n; j++) {
+    dp[(1 << j) * n + j] = visit(j, departMinutes + legs[0][j + 1]);
+  }
+
+  for (let mask = 1; mask < size; mask++) {
+    for (let j = 0; j < n; j++) {
+      const time = dp[mask * n + j];
+      if (!(mask & (1 << j)) || time === Infinity) continue;
+      for (let k = 0; k < n; k++) {
+        if (mask & (1 << k)) continue;
+        const next = mask | (1 << k);
+        const departure = visit(k, time + legs[j + 1][k + 1]);
+        if (departure < dp[next * n + k]) {
+          dp[next * n + k] = departure;
+          parent[next * n + k] = j;
+        }
+      }
+    }
+  }
+
+  const full = size - 1;
+  let best = Infinity;
+  let last = -1;
+  for (let j = 0; j < n; j++) {
+    const finish = dp[full * n + j] + (tourType === 'loop' ? legs[j + 1][0] : 0);
+    if (finish < best) {
+      best = finish;
+      last = j;
+    }
+  }
+  if (last === -1) return null;
+
+  const order = [];
+  let mask = full;
+  while (last !== -1) {
+    order.push(stores[last]);
+    const prev = parent[mask * n + last];
+    mask &= ~(1 << last);
+    last = prev;
+  }
+  return order.reverse();
+}
+
+/**
+ * Seed with windowed stops by closing time and free stops greedily, then
+ * relocate single stops while total lateness or finish time improves.
+ */
+function scheduleHeuristic(start, stores, options, maxIterations) {
+  const timed = stores
+    .filter(s => getVisitWindow(s))
+    .sort((a, b) => getVisitWindow(a).end - getVisitWindow(b).end);
+  let route = [...timed];
+  for (const store of optimizeRouteGreedy(start, stores.filter(s => !getVisitWindow(s)))) {
+    // Cheapest position for each unwindowed stop
+    let bestRoute = null;
+    let bestCost = Infinity;
+    for (let i = 0; i <= route.length; i++) {
+      const candidate = [...route.slice(0, i), store, ...route.slice(i)];
+      const cost = scheduleCost(buildSchedule(start, candidate, options));
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestRoute = candidate;
+      }
+    }
+    route = bestRoute;
+  }
+
+  let bestCost = scheduleCost(buildSchedule(start, route, options));
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let improved = false;
+    for (let i = 0; i < route.length; i++) {
+      const without = [...route.slice(0, i), ...route.slice(i + 1)];
+      for (let j = 0; j <= without.length; j++) {
+        if (j === i) continue;
+        const candidate = [...without.slice(0, j), route[i], ...without.slice(j)];
+        const cost = scheduleCost(buildSchedule(start, candidate, options));
+        if (cost < bestCost - 1e-9) {
+          bestCost = cost;
+          route = candidate;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return route;
+}
+
+/**
+ * Order stores so every visit window is met, finishing as early as possible.
+ * Small sets are solved exactly; when no order meets every window (or the
+ * set is too large) a local search minimises total lateness instead, and
+ * the late stops are flagged in the schedule.
+ * @returns {{ route, schedule, method: 'exact'|'heuristic', optimal: boolean }}
+ */
+export function optimizeRouteWithWindows(start, stores, {
+  departAt = OPTIMIZATION.DEFAULT_DEPART_AT,
+  tourType = OPTIMIZATION.TOUR_TYPE,
+  exactMaxStores = OPTIMIZATION.EXACT_MAX_STORES,
+  maxIterations = 50
+} = {}) {
+  const options = { departAt, tourType };
+  const departMinutes = parseClock(departAt) ?? parseClock(OPTIMIZATION.DEFAULT_DEPART_AT);
+
+  if (stores.length <= exactMaxStores) {
+    const route = scheduleExact(start, stores, departMinutes, tourType);
+    if (route) {
+      return { route, schedule: buildSchedule(start, route, options), method: 'exact', optimal: true };
+    }
+  }
+
+  const route = scheduleHeuristic(start, stores, options, maxIterations);
+  return { route, schedule: buildSchedule(start, route, options), method: 'heuristic', optimal: false };
+}
+
+/**
+ * Best visiting order for one set of stops — by schedule when any has a
+ * window, by distance otherwise. The given order is kept if re-optimizing
+ * would make more stops late or finish later (distance and time disagree
+ * now and then).
+ * @returns {{ route, schedule }}
+ */
+export function optimizeStopOrder(start, stores, { departAt, tourType } = {}) {
+  const options = { departAt, tourType };
+  const givenSchedule = buildSchedule(start, stores, options);
+  if (stores.length < 2) return { route: stores, schedule: givenSchedule };
+
+  const { route } = hasTimeWindows(stores)
+    ? optimizeRouteWithWindows(start, stores, options)
+    : optimizeRoute(start, stores, { tourType });
+  const schedule = buildSchedule(start, route, options);
+
+  if (schedule.lateCount > givenSchedule.lateCount ||
+      (schedule.lateCount === givenSchedule.lateCount && schedule.finishAt > givenSchedule.finishAt)) {
+    return { route: stores, schedule: givenSchedule };
+  }
+  return { route, schedule };
+}
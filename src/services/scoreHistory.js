@@ -0,0 +1,155 @@
+/**
+ * Score History
+ *
+ * Snapshots of calculateLocationScore runs — score, per-dimension points and
+ * the inputs that produced them (POIs, competitors with their data source,
+ * MTA catchment, model version, profile and its weights) — plus a diff that
+ * explains what changed between two snapshots, e.g. "Starbucks opened 120 m
+ * away" or "office POI disappeared".
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { calculateDistance } from '../utils/distance';
+import { getOriginSource } from './provenance';
+import { getDimensions } from './dimensions';
+
+export const MAX_SNAPSHOTS_PER_STORE = 50;
+
+/**
+ * Compact, storable snapshot of one scoring run.
+ */
+export function createSnapshot(store, pois, competitors, result) {
+  const { lat, lng } = store.coordinates;
+  const mta = result.mtaInfo;
+
+  return {
+    id:           uuidv4(),
+    storeId:      store.id,
+    timestamp:    new Date().toISOString(),
+    modelVersion: result.modelVersion,
+    profile:      result.profile,
+    overall:      result.overall,
+    grade:        result.grade.letter,
+    confidence:   result.confidence?.level ?? null,
+    dimensions:   Object.fromEntries(
+      Object.entries(result.scoreBreakdown).map(([key, d]) => [key, { label: d.label, weighted: d.weighted }])
+    ),
+    inputs: {
+      pois: pois.map(p => ({ id: p.id, name: p.name, category: p.category, source: getOriginSource(p) })),
+      competitors: competitors.map(c => ({
+        id:       c.id,
+        name:     c.name,
+        brand:    c.brand,
+        source:   getOriginSource(c),
+        distance: c.coordinates
+          ? Math.round(calculateDistance(lat, lng, c.coordinates.lat, c.coordinates.lng) * 1609)
+          : null
+      })),
+      mtaInfo: mta ? {
+        stationName:      mta.station.name,
+        distance:         mta.distance,
+        weeklyRidership:  mta.weeklyRidership,
+        blendedRidership: mta.blendedRidership,
+        stations:         mta.stations.map(s => ({
+          id:              s.station.id,
+          name:            s.station.name,
+          weeklyRidership: s.weeklyRidership
+        }))
+      } : null
+    }
+  };
+}
+
+/**
+ * Identity of a run's outputs and inputs — consecutive runs with the same
+ * fingerprint are not stored again. Data source counts too, so mock data
+ * being replaced by real data with the same ids is still a new run.
+ */
+export function snapshotFingerprint(snapshot) {
+  const ids = list => list.map(x => `${x.id}@${x.source ?? 'unknown'}`).sort().join(',');
+  return [
+    snapshot.modelVersion,
+    snapshot.profile?.id,
+    JSON.stringify(snapshot.profile?.weights ?? null),
+    snapshot.overall,
+    snapshot.confidence ?? 'none',
+    ids(snapshot.inputs.pois),
+    ids(snapshot.inputs.competitors),
+    snapshot.inputs.mtaInfo?.blendedRidership ?? 'none'
+  ].join('|');
+}
+
+// Weights edited under the same profile id; snapshots saved before weights
+// were recorded have nothing to compare
+function diffWeights(before, after) {
+  if (!before || !after) return [];
+  return Object.keys({ ...before, ...after })
+    .filter(key => (before[key] ?? 0) !== (after[key] ?? 0))
+    .map(key => ({
+      key,
+      label: getDimensions().find(d => d.weightKey === key)?.label ?? key,
+      from:  before[key] ?? 0,
+      to:    after[key] ?? 0
+    }));
+}
+
+function diffById(before, after) {
+  const beforeIds = new Set(before.map(x => x.id));
+  const afterIds = new Set(after.map(x => x.id));
+  return {
+    added:   after.filter(x => !beforeIds.has(x.id)),
+    removed: before.filter(x => !afterIds.has(x.id))
+  };
+}
+
+/**
+ * Explain what changed between two snapshots of the same store.
+ * @returns {{ scoreDelta, dimensions, competitors, pois, stations, ridership, modelChanged, profileChanged, weights }}
+ */
+export function diffSnapshots(from, to) {
+  const dimensions = Object.keys(to.dimensions)
+    .map(key => {
+      const before = from.dimensions[key]?.weighted ?? 0;
+      const after = to.dimensions[key].weighted;
+      return { key, label: to.dimensions[key].label, from: before, to: after, delta: Math.round((after - before) * 10) / 10 };
+    })
+    .filter(d => d.delta !== 0);
+
+  const fromMta = from.inputs.mtaInfo;
+  const toMta = to.inputs.mtaInfo;
+
+  return {
+    scoreDelta:  to.overall - from.overall,
+    dimensions,
+    competitors: diffById(from.inputs.competitors, to.inputs.competitors),
+    pois:        diffById(from.inputs.pois, to.inputs.pois),
+    stations:    diffById(fromMta?.stations || [], toMta?.stations || []),
+    ridership:   (fromMta?.blendedRidership ?? 0) !== (toMta?.blendedRidership ?? 0)
+      ? { from: fromMta?.blendedRidership ?? 0, to: toMta?.blendedRidership ?? 0 }
+      : null,
+    modelChanged:   from.modelVersion !== to.modelVersion
+      ? { from: from.modelVersion, to: to.modelVersion }
+      : null,
+    profileChanged: from.profile?.id !== to.profile?.id
+      ? { from: from.profile?.name, to: to.profile?.name }
+      : null,
+    weights:        diffWeights(from.profile?.weights, to.profile?.weights)
+  };
+}
+
+/**
+ * One-line summary of a diff for the timeline.
+ */
+export function summarizeDiff(diff) {
+  const parts = [];
+  if (diff.modelChanged) parts.push(`模型 ${diff.modelChanged.from} → ${diff.modelChanged.to}`);
+  if (diff.profileChanged) parts.push(`方案 ${diff.profileChanged.from} → ${diff.profileChanged.to}`);
+  else if (diff.weights.length) parts.push('权重调整');
+  if (diff.competitors.added.length) parts.push(`新增竞品 ${diff.competitors.added.length}`);
+  if (diff.competitors.removed.length) parts.push(`竞品消失 ${diff.competitors.removed.length}`);
+  if (diff.pois.added.length) parts.push(`新增 POI ${diff.pois.added.length}`);
+  if (diff.pois.removed.length) parts.push(`POI 消失 ${diff.pois.removed.length}`);
+  if (diff.stations.added.length || diff.stations.removed.length) parts.push('地铁站点变化');
+  else if (diff.ridership) parts.push('客流数据更新');
+  return parts.length ? parts.join('，') : '输入无变化';
+}
@@ -0,0 +1,160 @@
+/**
+ * Scoring Model Registry
+ *
+ * Every change to scoring logic or thresholds ships as a new model version
+ * here instead of editing numbers in place, so old scores stay reproducible.
+ * calculateLocationScore takes a model (default: current) and stamps its id
+ * on the result.
+ *
+ * A model holds:
+ *   thresholds  every band / cut-off the dimension functions read
+ *   changelog   what changed versus the previous version
+ * Dimension weights are not part of a model — they come from the scoring
+ * profile (see scoringProfiles.js), and every result records the weights it
+ * was scored with.
+ */
+
+import { OUTER_RING_METERS } from '../utils/constants';
+
+export const CURRENT_MODEL_ID = '2.2';
+
+const GRADES = [
+  { min: 85, letter: 'A+', label: '强烈推荐', color: '#10B981' },
+  { min: 75, letter: 'A',  label: '推荐',     color: '#34D399' },
+  { min: 65, letter: 'B+', label: '较好',     color: '#60A5FA' },
+  { min: 55, letter: 'B',  label: '一般',     color: '#93C5FD' },
+  { min: 45, letter: 'C',  label: '谨慎',     color: '#FCD34D' },
+  { min: 35, letter: 'D',  label: '不建议',   color: '#F87171' },
+  { min: 0,  letter: 'F',  label: '不推荐',   color: '#EF4444' }
+];
+
+const gradeMin = letter => GRADES.find(g => g.letter === letter).min;
+
+// Original advice cut-offs: overall score for strong / consider / caution
+const LEGACY_RECOMMENDATION = { strong: 82, consider: 65, caution: 50 };
+
+// Tiers start at the A+ / B+ / C boundaries, so the advice text never
+// contradicts the grade shown next to it
+const GRADE_ALIGNED_RECOMMENDATION = {
+  strong:   gradeMin('A+'),
+  consider: gradeMin('B+'),
+  caution:  gradeMin('C')
+};
+
+// Competitor pressure → raw score; below `max` scores `raw`, beyond the last band scores floorRaw
+const COMPETITION_BANDS = [
+  { max: 1.5, raw: 82 },
+  { max: 2.5, raw: 68 },
+  { max: 4,   raw: 52 },
+  { max: 6,   raw: 36 }
+];
+
+// Catchment ridership → location tier score; first band with ridership ≥ min wins
+const LOCATION_TIERS = [
+  { min: 500000, raw: 85 }, // Times Sq / Grand Central tier
+  { min: 300000, raw: 72 }, // Penn Station / Fulton tier
+  { min: 150000, raw: 56 }, // Mid-tier hubs
+  { min: 75000,  raw: 40 },
+  { min: 0,      raw: 22 }
+];
+
+// Model 2.1 thresholds; later versions override only what they change
+const CATCHMENT_THRESHOLDS = {
+  maxWeeklyRidership: 650000,
+  ridership: {
+    mode:             'catchment',
+    maxDistanceMiles: 0.75
+  },
+  competition: {
+    mode:            'distance',
+    radiusMeters:    OUTER_RING_METERS,
+    bands:           COMPETITION_BANDS,
+    floorRaw:        18,
+    validationBonus: 5,
+    // Walking-time rings at 3 mph (1 min ≈ 0.05 mi ≈ 80 m)
+    walkRings: [
+      { minutes: 1, label: '1 分钟', weight: 1.0 },
+      { minutes: 3, label: '3 分钟', weight: 0.65 },
+      { minutes: 5, label: '5 分钟', weight: 0.35 }
+    ],
+    outerRing: { label: '5 分钟外', weight: 0.15 }
+  },
+  locationTiers:     LOCATION_TIERS,
+  tierDistanceDecay: null,
+  grades:            GRADES,
+  recommendation:    LEGACY_RECOMMENDATION
+};
+
+export const SCORING_MODELS = [
+  {
+    id:         '2.0',
+    name:       '单站模型',
+    changelog: [
+      'MTA 客流成为地铁人流主信号（最近站点 × 距离衰减）',
+      '竞品按品牌加权计数，1-2 家竞品给予市场验证加分'
+    ],
+    thresholds: {
+      maxWeeklyRidership: 650000,
+      ridership: {
+        mode:             'nearest',
+        maxDistanceMiles: 0.75,
+        distanceDecay:    { slope: 1.5, floor: 0.2 }
+      },
+      competition: {
+        mode:            'count',
+        radiusMeters:    322, // 0.2 mi, the reach competitors were fetched at
+        bands:           COMPETITION_BANDS,
+        floorRaw:        18,
+        validationBonus: 5
+      },
+      locationTiers:    LOCATION_TIERS,
+      tierDistanceDecay: { slope: 2, floor: 0.2 },
+      grades:           GRADES,
+      recommendation:   LEGACY_RECOMMENDATION
+    }
+  },
+  {
+    id:         '2.1',
+    name:       '商圈模型',
+    changelog: [
+      '地铁人流改为步行范围内所有站点的距离加权客流',
+      '区位等级按商圈加权客流划分，不再叠加距离修正',
+      '竞品压力按步行 1/3/5 分钟圈衰减，可按门店规模与营业时长调整',
+      '竞品范围由 322 米扩大至 600 米，覆盖 5 分钟步行圈外',
+      '步行商圈沿用 0.75 英里范围，最近站点权重不低于 0.2'
+    ],
+    thresholds: CATCHMENT_THRESHOLDS
+  },
+  {
+    id:         '2.2',
+    name:       '商圈模型（建议对齐评级）',
+    changelog: [
+      `建议分档改为与评级边界对齐（${GRADE_ALIGNED_RECOMMENDATION.strong} / ${GRADE_ALIGNED_RECOMMENDATION.consider} / ${GRADE_ALIGNED_RECOMMENDATION.caution} 分），原为 82 / 65 / 50 分`
+    ],
+    thresholds: {
+      ...CATCHMENT_THRESHOLDS,
+      recommendation: GRADE_ALIGNED_RECOMMENDATION
+    }
+  }
+];
+
+/**
+ * Look up a model version; unknown or missing ids fall back to the current model.
+ */
+export function getScoringModel(id = CURRENT_MODEL_ID) {
+  return SCORING_MODELS.find(m => m.id === id)
+    || SCORING_MODELS.find(m => m.id === CURRENT_MODEL_ID);
+}
+
+/**
+ * Changelog entries between two versions (exclusive of `fromId`, inclusive of `toId`),
+ * in release order. Works in either direction.
+ */
+export function getChangelogBetween(fromId, toId) {
+  const fromIdx = SCORING_MODELS.findIndex(m => m.id === fromId);
+  const toIdx = SCORING_MODELS.findIndex(m => m.id === toId);
+  if (fromIdx < 0 || toIdx < 0 || fromIdx === toIdx) return [];
+
+  const [lo, hi] = fromIdx < toIdx ? [fromIdx, toIdx] : [toIdx, fromIdx];
+  return SCORING_MODELS.slice(lo + 1, hi + 1).map(m => ({ id: m.id, changelog: m.changelog }));
+}
@@ -0,0 +1,210 @@
+/**
+ * Scoring Profiles
+ *
+ * A profile bundles the three tables calculateLocationScore depends on:
+ *   weights        dimension weightKey → max points (must sum to 100)
+ *   categoryValue  POI category → business value for this store format
+ *   brandWeight    competitor brand → competitive strength
+ *
+ * Built-in profiles cover our store formats; users can edit them or save
+ * their own from the UI (persisted via profileStorage).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDimensions, resolveWeight } from './dimensions';
+
+export const DEFAULT_PROFILE_ID = 'standard';
+
+/**
+ * Display labels for the weight keys of every registered dimension, in breakdown order.
+ */
+export function getWeightLabels() {
+  return Object.fromEntries(getDimensions().map(d => [d.weightKey, d.label]));
+}
+
+const STANDARD_BRAND_WEIGHT = {
+  STARBUCKS:    1.5,
+  LUCKIN:       1.4,
+  BLANK_STREET: 1.2,
+  DUNKIN:       1.0
+};
+
+export const BUILTIN_PROFILES = [
+  {
+    id: 'standard',
+    name: '标准店',
+    description: '综合型门店，地铁人流为主要信号',
+    builtin: true,
+    weights: {
+      SUBWAY_TRAFFIC: 35,
+      COMPETITION:    20,
+      ECOSYSTEM:      20,
+      LOCATION_VALUE: 15,
+      TIME_COVERAGE:  10
+    },
+    categoryValue: {
+      OFFICE:        2.5,  // Daily buyers, high LTV
+      TRANSPORT:     2.0,  // Consistent all-day flow
+      SHOPPING:      1.8,  // Afternoon & weekend spikes
+      EDUCATION:     1.5,  // Student regulars
+      FOOD:          1.0,  // F&B density = traffic signal, but competitive
+      ENTERTAINMENT: 0.8,
+      PARK:          0.4,
+      RESIDENTIAL:   0.3   // Low-frequency, price-sensitive
+    },
+    brandWeight: STANDARD_BRAND_WEIGHT
+  },
+  {
+    id: 'kiosk',
+    name: 'Kiosk 快取店',
+    description: '小面积外带，依赖通勤客流与站点等级',
+    builtin: true,
+    weights: {
+      SUBWAY_TRAFFIC: 45,
+      COMPETITION:    20,
+      ECOSYSTEM:      10,
+      LOCATION_VALUE: 20,
+      TIME_COVERAGE:  5
+    },
+    categoryValue: {
+      TRANSPORT:     2.8,
+      OFFICE:        2.5,
+      SHOPPING:      1.2,
+      EDUCATION:     1.0,
+      FOOD:          0.8,
+      ENTERTAINMENT: 0.6,
+      PARK:          0.3,
+      RESIDENTIAL:   0.2
+    },
+    brandWeight: STANDARD_BRAND_WEIGHT
+  },
+  {
+    id: 'flagship',
+    name: 'Flagship 旗舰店',
+    description: '堂食社交空间，看重商业生态与全时段覆盖',
+    builtin: true,
+    weights: {
+      SUBWAY_TRAFFIC: 25,
+      COMPETITION:    15,
+      ECOSYSTEM:      30,
+      LOCATION_VALUE: 15,
+      TIME_COVERAGE:  15
+    },
+    categoryValue: {
+      SHOPPING:      2.5,
+      OFFICE:        2.0,
+      ENTERTAINMENT: 1.6,
+      TRANSPORT:     1.5,
+      FOOD:          1.4,
+      EDUCATION:     1.2,
+      PARK:          1.0,
+      RESIDENTIAL:   0.5
+    },
+    brandWeight: { ...STANDARD_BRAND_WEIGHT, STARBUCKS: 1.8 } // Reserve-style stores compete head-on
+  },
+  {
+    id: 'campus',
+    name: 'Campus 校园店',
+    description: '高校周边，学生复购与午后时段为核心',
+    builtin: true,
+    weights: {
+      SUBWAY_TRAFFIC: 20,
+      COMPETITION:    25,
+      ECOSYSTEM:      25,
+      LOCATION_VALUE: 10,
+      TIME_COVERAGE:  20
+    },
+    categoryValue: {
+      EDUCATION:     3.0,
+      TRANSPORT:     1.5,
+      FOOD:          1.4,
+      OFFICE:        1.2,
+      SHOPPING:      1.2,
+      ENTERTAINMENT: 1.0,
+      PARK:          0.8,
+      RESIDENTIAL:   0.8
+    },
+    brandWeight: { ...STANDARD_BRAND_WEIGHT, LUCKIN: 1.6 } // Price-sensitive students
+  }
+];
+
+export function getDefaultProfile() {
+  return BUILTIN_PROFILES.find(p => p.id === DEFAULT_PROFILE_ID);
+}
+
+/**
+ * Merge built-in profiles with user-saved ones.
+ * A saved profile with a built-in id overrides that built-in.
+ */
+export function mergeProfiles(savedProfiles = []) {
+  const savedById = new Map(savedProfiles.map(p => [p.id, p]));
+  const builtins = BUILTIN_PROFILES.map(p =>
+    savedById.has(p.id) ? { ...savedById.get(p.id), builtin: true, modified: true } : p
+  );
+  const custom = savedProfiles.filter(p => !BUILTIN_PROFILES.some(b => b.id === p.id));
+  return [...builtins, ...custom];
+}
+
+/**
+ * Sum of a profile's dimension weights.
+ */
+export function getWeightTotal(weights = {}) {
+  return Object.values(weights).reduce((s, w) => s + (Number(w) || 0), 0);
+}
+
+/**
+ * Validate a profile before scoring or saving.
+ * @returns {{ valid: boolean, errors: string[], total: number }}
+ */
+export function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile || !profile.weights) {
+    return { valid: false, errors: ['评分方案缺少权重配置'], total: 0 };
+  }
+  if (!profile.name || !profile.name.trim()) {
+    errors.push('评分方案名称不能为空');
+  }
+
+  // Dimensions registered after the profile was saved use their default weight;
+  // such profiles are scaled to 100 at scoring time instead of being rejected
+  let usesDefaults = false;
+  let total = 0;
+  for (const dim of getDimensions()) {
+    if (profile.weights[dim.weightKey] === undefined && !dim.builtin) {
+      usesDefaults = true;
+    } else {
+      const w = profile.weights[dim.weightKey];
+      if (typeof w !== 'number' || Number.isNaN(w) || w < 0) {
+        errors.push(`${dim.label} 权重必须为非负数`);
+        continue;
+      }
+    }
+    total += resolveWeight(dim, profile);
+  }
+  total = Math.round(total * 10) / 10;
+
+  if (total <= 0) {
+    errors.push('权重合计必须大于 0');
+  } else if (!usesDefaults && total !== 100) {
+    errors.push(`权重合计为 ${total}，必须等于 100`);
+  }
+
+  return { valid: errors.length === 0, errors, total };
+}
+
+/**
+ * Create a new custom profile, copying tables from a base profile.
+ */
+export function createProfile(base, name) {
+  return {
+    id: uuidv4(),
+    name,
+    description: `基于「${base.name}」`,
+    builtin: false,
+    weights: { ...base.weights },
+    categoryValue: { ...base.categoryValue },
+    brandWeight: { ...base.brandWeight },
+    createdAt: new Date().toISOString()
+  };
+}
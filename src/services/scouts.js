@@ -0,0 +1,199 @@
+/**
+ * Multi-scout Routing
+ *
+ * Two to four scouts go out on the same day, each from their own start.
+ * Every store is assigned to exactly one scout so that the longest working
+ * day (travel + waiting + dwell, from the shared departure time) is as
+ * short as possible — a vehicle routing problem with a min-max objective.
+ *
+ * Stores are placed by regret insertion (the store that would suffer most
+ * from missing its best scout goes first), then single stores are moved
+ * between scouts while the busiest day shrinks, and each scout's route is
+ * re-ordered on its own. Visit windows count: lateness outranks balance.
+ */
+
+import { calculateRouteStats } from './optimization';
+import { buildSchedule, optimizeStopOrder } from './schedule';
+import { OPTIMIZATION } from '../utils/constants';
+
+export const SCOUT_COLORS = [
+  '#2563EB',
+  '#DC2626',
+  '#059669',
+  '#D97706',
+  '#7C3AED',
+  '#DB2777'
+];
+
+export function getScoutColor(index) {
+  return SCOUT_COLORS[index % SCOUT_COLORS.length];
+}
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+// Working minutes and lateness for one scout's route
+function measure(start, route, options) {
+  const schedule = buildSchedule(start, route, options);
+  return {
+    duration: schedule.finishAt - schedule.departAt,
+    lateness: schedule.stops.reduce((sum, s) => sum + s.lateBy, 0)
+  };
+}
+
+// Lateness first, then the longest day, then total working time
+function compareLoads(a, b) {
+  return (a.lateness - b.lateness) || (a.makespan - b.makespan) || (a.total - b.total);
+}
+
+function summarize(measures) {
+  return {
+    lateness: measures.reduce((sum, m) => sum + m.lateness, 0),
+    makespan: Math.max(0, ...measures.map(m => m.duration)),
+    total:    measures.reduce((sum, m) => sum + m.duration, 0)
+  };
+}
+
+// Cheapest position for a store in one route (shortest resulting day)
+function bestInsertion(start, route, store, options) {
+  let best = null;
+  for (let i = 0; i <= route.length; i++) {
+    const candidate = [...route.slice(0, i), store, ...route.slice(i)];
+    const m = measure(start, candidate, options);
+    if (!best || m.lateness < best.lateness ||
+        (m.lateness === best.lateness && m.duration < best.duration)) {
+      best = { route: candidate, ...m };
+    }
+  }
+  return best;
+}
+
+// ─── Construction ────────────────────────────────────────────────────────────
+
+function regretInsertion(starts, stores, options) {
+  const routes = starts.map(() => []);
+  const measures = starts.map(start => measure(start, [], options));
+  const unassigned = [...stores];
+
+  while (unassigned.length > 0) {
+    let pick = null;
+
+    for (const store of unassigned) {
+      // Cost of giving this store to each scout, given the current busiest day
+      const makespan = Math.max(...measures.map(m => m.duration));
+      const choices = starts.map((start, k) => {
+        const insertion = bestInsertion(start, routes[k], store, options);
+        return {
+          k,
+          insertion,
+          cost: insertion.lateness * 1000 +
+            Math.max(makespan, insertion.duration) + (insertion.duration - measures[k].duration)
+        };
+      }).sort((a, b) => a.cost - b.cost);
+
+      const regret = choices.length > 1 ? choices[1].cost - choices[0].cost : 0;
+      if (!pick || regret > pick.regret) {
+        pick = { store, regret, choice: choices[0] };
+      }
+    }
+
+    const { k, insertion } = pick.choice;
+    routes[k] = insertion.route;
+    measures[k] = { duration: insertion.duration, lateness: insertion.lateness };
+    unassigned.splice(unassigned.indexOf(pick.store), 1);
+  }
+
+  return routes;
+}
+
+// ─── Improvement ─────────────────────────────────────────────────────────────
+
+// Move single stores to another scout while the overall load improves
+function relocatePass(starts, routes, options) {
+  let improved = false;
+  const measures = routes.map((route, k) => measure(starts[k], route, options));
+
+  for (let from = 0; from < routes.length; from++) {
+    for (let i = 0; i < routes[from].length; i++) {
+      const store = routes[from][i];
+      const remaining = [...routes[from].slice(0, i), ...routes[from].slice(i + 1)];
+      const remainingMeasure = measure(starts[from], remaining, options);
+
+      for (let to = 0; to < routes.length; to++) {
+        if (to === from) continue;
+        const insertion = bestInsertion(starts[to], routes[to], store, options);
+        const next = measures.map((m, k) => (
+          k === from ? remainingMeasure : k === to ? insertion : m
+        ));
+
+        if (compareLoads(summarize(next), summarize(measures)) < -1e-9) {
+          routes[from] = remaining;
+          routes[to] = insertion.route;
+          measures[from] = remainingMeasure;
+          measures[to] = { duration: insertion.duration, lateness: insertion.lateness };
+          improved = true;
+          i--;
+          break;
+        }
+      }
+    }
+  }
+
+  return improved;
+}
+
+// ─── Planning ────────────────────────────────────────────────────────────────
+
+/**
+ * Assign stores to scouts and route each one.
+ * @param {Array<{ id, name, coordinates }>} scouts  one start location per scout
+ * @param {Array} stores
+ * @param {object} [options]
+ * @param {string} [options.departAt]  shared departure 'HH:MM'
+ * @param {'open'|'loop'} [options.tourType]  loop = every scout returns to their start
+ * @param {number} [options.maxIterations]
+ * @returns {{ assignments: Array<{ scout, index, route, stats, schedule, color, duration }>,
+ *             makespan, totals: { totalDistance, totalTime, totalCost, stops } }}
+ */
+export function planScoutRoutes(scouts, stores, {
+  departAt = OPTIMIZATION.DEFAULT_DEPART_AT,
+  tourType = OPTIMIZATION.TOUR_TYPE,
+  maxIterations = 20
+} = {}) {
+  const options = { departAt, tourType };
+  const starts = scouts.map(scout => scout.coordinates);
+  let routes = regretInsertion(starts, stores || [], options);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const moved = relocatePass(starts, routes, options);
+    const before = summarize(routes.map((route, k) => measure(starts[k], route, options)));
+    routes = routes.map((route, k) => optimizeStopOrder(starts[k], route, options).route);
+    const after = summarize(routes.map((route, k) => measure(starts[k], route, options)));
+    if (!moved && compareLoads(after, before) >= -1e-9) break;
+  }
+
+  const assignments = scouts.map((scout, index) => {
+    const route = routes[index];
+    const schedule = buildSchedule(starts[index], route, options);
+    return {
+      scout,
+      index,
+      route,
+      stats:    calculateRouteStats(starts[index], route, 'mixed', tourType),
+      schedule,
+      color:    getScoutColor(index),
+      duration: schedule.finishAt - schedule.departAt
+    };
+  });
+
+  const sum = key => assignments.reduce((total, a) => total + a.stats[key], 0);
+  return {
+    assignments,
+    makespan: Math.max(0, ...assignments.map(a => a.duration)),
+    totals: {
+      totalDistance: Math.round(sum('totalDistance') * 100) / 100,
+      totalTime:     sum('totalTime'),
+      totalCost:     Math.round(sum('totalCost') * 100) / 100,
+      stops:         sum('stops')
+    }
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * White-Space Finder
+ *
+ * Lays a grid over NYC (or a drawn area), scores every cell centre with
+ * calculateLocationScore and returns the best cells that are not already
+ * claimed by one of our stores. Runs entirely on local data — MTA ridership
+ * JSON plus whatever POIs / competitors are cached — so a city-wide pass
+ * needs no network.
+ */
+
+import { calculateLocationScore } from './scoring';
+import { filterCompetitorsNearLocation } from './competitors';
+import { calculateDistance } from '../utils/distance';
+import { NYC_BOUNDS } from '../utils/constants';
+
+export const GRID_CELL_OPTIONS = [0.25, 0.5, 1];    // miles
+export const DEFAULT_CELL_MILES = 0.5;
+export const MAX_GRID_CELLS = 20000;
+
+const MILES_PER_DEGREE_LAT = 69;
+const POI_RADIUS_MILES = 0.31;          // 500m, same radius POIs are fetched at
+const CLAIM_RADIUS_MILES = 0.3;         // cells this close to a store are taken
+const SUGGESTION_SPACING_MILES = 0.5;   // keep suggestions from clustering
+
+/**
+ * Grid cells covering a bounding box.
+ * @param {{ north, south, east, west }} bounds
+ * @param {number} cellMiles – cell edge length
+ * @returns {Array<{ id, lat, lng, bounds }>} cell centres and extents
+ */
+export function buildGrid(bounds = NYC_BOUNDS, cellMiles = DEFAULT_CELL_MILES) {
+  const midLat = (bounds.north + bounds.south) / 2;
+  const latStep = cellMiles / MILES_PER_DEGREE_LAT;
+  const lngStep = cellMiles / (MILES_PER_DEGREE_LAT * Math.cos((midLat * Math.PI) / 180));
+
+  const rows = Math.max(1, Math.ceil((bounds.north - bounds.south) / latStep));
+  const cols = Math.max(1, Math.ceil((bounds.east - bounds.west) / lngStep));
+  if (rows * cols > MAX_GRID_CELLS) {
+    throw new Error(`网格过密（${rows * cols} 格），请增大格子尺寸或缩小区域`);
+  }
+
+  const cells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const south = bounds.south + r * latStep;
+      const west  = bounds.west + c * lngStep;
+      cells.push({
+        id:  `${r}-${c}`,
+        lat: south + latStep / 2,
+        lng: west + lngStep / 2,
+        bounds: { south, west, north: south + latStep, east: west + lngStep }
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Score one grid cell with the same dimensions as a typed-in store.
+ */
+export function scoreCell(cell, { pois = [], competitors = [], profile }) {
+  const nearbyPOIs = pois.filter(poi => poi.coordinates &&
+    calculateDistance(cell.lat, cell.lng, poi.coordinates.lat, poi.coordinates.lng) <= POI_RADIUS_MILES);
+  const nearbyCompetitors = filterCompetitorsNearLocation(competitors, { lat: cell.lat, lng: cell.lng });
+
+  const result = calculateLocationScore({
+    pois:        nearbyPOIs,
+    competitors: nearbyCompetitors,
+    isWeekend:   false,
+    storeLat:    cell.lat,
+    storeLng:    cell.lng,
+    profile
+  });
+
+  return { ...cell, poiCount: nearbyPOIs.length, competitorCount: nearbyCompetitors.length, result };
+}
+
+/**
+ * True when an existing store already covers the cell.
+ */
+export function isCellClaimed(cell, stores, radiusMiles = CLAIM_RADIUS_MILES) {
+  return stores.some(store =>
+    calculateDistance(cell.lat, cell.lng, store.coordinates.lat, store.coordinates.lng) <= radiusMiles
+  );
+}
+
+/**
+ * Best unclaimed cells, spaced apart so neighbouring cells of one hotspot
+ * don't crowd out other areas.
+ * @param {Array}  scoredCells – output of scoreCell
+ * @param {Array}  stores      – existing stores (claimed areas)
+ * @param {object} options
+ * @returns {Array} suggestions with rank, best first
+ */
+export function pickSuggestions(scoredCells, stores = [], {
+  limit = 10,
+  spacingMiles = SUGGESTION_SPACING_MILES
+} = {}) {
+  const ranked = scoredCells
+    .filter(cell => !isCellClaimed(cell, stores))
+    .sort((a, b) => b.result.overall - a.result.overall);
+
+  const picked = [];
+  for (const cell of ranked) {
+    if (picked.length >= limit) break;
+    const tooClose = picked.some(p =>
+      calculateDistance(cell.lat, cell.lng, p.lat, p.lng) < spacingMiles
+    );
+    if (!tooClose) picked.push(cell);
+  }
+
+  return picked.map((cell, i) => ({ ...cell, rank: i + 1 }));
+}
@@ -0,0 +1,13 @@
+// Items scored between yields to the UI thread in long background loops
+export const CHUNK_SIZE = 250;
+
+/**
+ * Merge live and cached records, keeping the first copy of each id
+ */
+export function mergeById(...lists) {
+  const seen = new Map();
+  lists.flat().forEach(item => {
+    if (item && !seen.has(item.id)) seen.set(item.id, item);
+  });
+  return Array.from(seen.values());
+}
@@ -71,6 +71,7 @@ export const MAP_CONFIG = {
 
   // Marker colors
   STORE_COLOR: '#2563EB', // Blue
+  OUR_STORE_COLOR: '#F97316', // Orange — opened Cotti stores
   CURRENT_LOCATION_COLOR: '#10B981', // Green
   ROUTE_COLOR: '#8B5CF6', // Purple
 
@@ -78,13 +79,21 @@ export const MAP_CONFIG = {
   COMPETITOR_RADIUS: 500
 };
 
+// Competitors are fetched and scored out to here so the outermost walking
+// ring (beyond 5 minutes ≈ 400m at 3 mph) actually gets populated
+export const OUTER_RING_METERS = 600;
+
 // LocalStorage Keys
 export const STORAGE_KEYS = {
   STORES: 'cotti_stores',
   CURRENT_LOCATION: 'cotti_current_location',
   ROUTE: 'cotti_route',
   COMPETITORS: 'cotti_competitors',
-  PREFERENCES: 'cotti_preferences'
+  PREFERENCES: 'cotti_preferences',
+  SCORING_PROFILES: 'cotti_scoring_profiles',
+  OUR_STORES: 'cotti_our_stores',
+  SCORE_HISTORY: 'cotti_score_history',
+  SCOUTS: 'cotti_scouts'
 };
 
 // Cache TTL (Time To Live) in milliseconds
@@ -95,7 +104,12 @@ export const CACHE_TTL = {
 
 // Route Optimization Settings
 export const OPTIMIZATION = {
-  ALGORITHM: 'greedy', // 'greedy' or '2-opt'
+  ALGORITHM: '2-opt', // 'greedy' or '2-opt' (greedy refined by 2-opt + Or-opt)
+  TOUR_TYPE: 'open', // 'open' (end at the last store) or 'loop' (return to start)
+  EXACT_MAX_STORES: 12, // Held-Karp exact solver up to this many stores (O(2ⁿ·n²))
+  DEFAULT_DEPART_AT: '09:00', // Scouting day start (HH:MM)
+  DEFAULT_DWELL_MINUTES: 15, // Time spent at a store when none is set
+  DAY_END: '17:00', // Multi-day itineraries: latest finish each day (HH:MM)
   MAX_STORES: 50 // Maximum number of stores for optimization
 };
 
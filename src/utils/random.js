@@ -0,0 +1,61 @@
+/**
+ * Seeded random number helpers
+ * Deterministic sampling so forecasts are reproducible across renders and reports.
+ */
+
+/**
+ * Hash any string (e.g. a store id) to a 32-bit seed (FNV-1a).
+ */
+export function hashSeed(value) {
+  const str = String(value);
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32 PRNG — returns a function yielding floats in [0, 1).
+ */
+export function createSeededRandom(seed) {
+  let state = (typeof seed === 'number' ? seed : hashSeed(seed)) >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sample a triangular distribution (min, mode, max).
+ */
+export function sampleTriangular(random, min, mode, max) {
+  const u = random();
+  const c = (mode - min) / (max - min);
+  if (u < c) return min + Math.sqrt(u * (max - min) * (mode - min));
+  return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+/**
+ * Sample a normal distribution (Box–Muller).
+ */
+export function sampleNormal(random, mean, stdDev) {
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Value at quantile q (0–1) of an ascending-sorted array (linear interpolation).
+ */
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
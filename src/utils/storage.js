@@ -61,6 +61,29 @@ export const storeStorage = {
   }
 };
 
+// Opened Cotti stores (kept apart from candidate stores)
+export const ourStoreStorage = {
+  async get() {
+    try {
+      const stores = await localforage.getItem(STORAGE_KEYS.OUR_STORES);
+      return stores || [];
+    } catch (error) {
+      console.error('Error reading our stores:', error);
+      return [];
+    }
+  },
+
+  async set(stores) {
+    try {
+      await localforage.setItem(STORAGE_KEYS.OUR_STORES, stores);
+      return true;
+    } catch (error) {
+      console.error('Error saving our stores:', error);
+      return false;
+    }
+  }
+};
+
 // Current location storage
 export const locationStorage = {
   async get() {
@@ -171,9 +194,10 @@ export const competitorStorage = {
     }
   },
 
-  async set(competitors, ttl = 24 * 60 * 60 * 1000) {
+  async set(competitors, ttl = 24 * 60 * 60 * 1000, meta = {}) {
     try {
       const data = {
+        ...meta,
         competitors,
         cachedAt: Date.now(),
         ttl
@@ -228,6 +252,75 @@ export const preferencesStorage = {
   }
 };
 
+// Scoring profile storage (user-saved profiles + active selection)
+export const profileStorage = {
+  async get() {
+    try {
+      const data = await localforage.getItem(STORAGE_KEYS.SCORING_PROFILES);
+      return data || { profiles: [], activeProfileId: null };
+    } catch (error) {
+      console.error('Error reading scoring profiles:', error);
+      return { profiles: [], activeProfileId: null };
+    }
+  },
+
+  async set(data) {
+    try {
+      await localforage.setItem(STORAGE_KEYS.SCORING_PROFILES, data);
+      return true;
+    } catch (error) {
+      console.error('Error saving scoring profiles:', error);
+      return false;
+    }
+  }
+};
+
+// Score snapshots, keyed by store id: { [storeId]: [snapshot, ...] } oldest first
+export const scoreHistoryStorage = {
+  async get() {
+    try {
+      const data = await localforage.getItem(STORAGE_KEYS.SCORE_HISTORY);
+      return data || {};
+    } catch (error) {
+      console.error('Error reading score history:', error);
+      return {};
+    }
+  },
+
+  async set(history) {
+    try {
+      await localforage.setItem(STORAGE_KEYS.SCORE_HISTORY, history);
+      return true;
+    } catch (error) {
+      console.error('Error saving score history:', error);
+      return false;
+    }
+  }
+};
+
+// Teammates who scout alongside the current location (one start each)
+export const scoutStorage = {
+  async get() {
+    try {
+      const scouts = await localforage.getItem(STORAGE_KEYS.SCOUTS);
+      return scouts || [];
+    } catch (error) {
+      console.error('Error reading scouts:', error);
+      return [];
+    }
+  },
+
+  async set(scouts) {
+    try {
+      await localforage.setItem(STORAGE_KEYS.SCOUTS, scouts);
+      return true;
+    } catch (error) {
+      console.error('Error saving scouts:', error);
+      return false;
+    }
+  }
+};
+
 // Clear all storage
 export async function clearAllStorage() {
   try {